@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+const Redis = require('ioredis')
+const PrimusRoomsMetroplexAdapter = require('..')
+const Inspector = require('../lib/inspector')
+
+const USAGE = `usage: room-manager-inspect [options] <command> [argument]
+
+commands:
+  rooms          lists all rooms with their number of sparks
+  room <room>    lists the sparks of a room by server instance
+  spark <id>     lists the rooms of a spark, and the server instance it's connected to
+  servers        lists server instances with their number of rooms and sparks
+  audit          lists keys without a TTL, and keys of servers metroplex doesn't know about
+
+options:
+  --redis <url>                 redis url (default: $REDIS_URL or redis://127.0.0.1:6379)
+  --cluster                     connects to a redis cluster through the node at --redis
+  --namespace <name>            key prefix of the adapter (default: room_manager)
+  --metroplex-namespace <name>  key prefix of metroplex (default: metroplex)
+  --json                        prints JSON instead of tables
+  -h, --help                    prints this help`
+
+const COMMANDS = {
+  rooms: { argument: false, run: inspector => cb => inspector.rooms(cb) },
+  room: { argument: true, run: (inspector, room) => cb => inspector.room(room, cb) },
+  spark: { argument: true, run: (inspector, sparkId) => cb => inspector.spark(sparkId, cb) },
+  servers: { argument: false, run: inspector => cb => inspector.servers(cb) },
+  audit: { argument: false, run: inspector => cb => inspector.audit(cb) }
+}
+
+// options which take a value, by flag
+const VALUE_OPTIONS = {
+  '--redis': 'redis',
+  '--namespace': 'namespace',
+  '--metroplex-namespace': 'metroplexNamespace'
+}
+
+function parseArgs (args) {
+  const opts = {
+    redis: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+    namespace: 'room_manager',
+    metroplexNamespace: 'metroplex',
+    cluster: false,
+    json: false,
+    help: false,
+    positional: []
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+
+    if (VALUE_OPTIONS[arg]) {
+      if (i + 1 >= args.length) throw new Error(`${arg} requires a value`)
+      opts[VALUE_OPTIONS[arg]] = args[++i]
+    } else if (arg === '--cluster') {
+      opts.cluster = true
+    } else if (arg === '--json') {
+      opts.json = true
+    } else if (arg === '-h' || arg === '--help') {
+      opts.help = true
+    } else if (arg.startsWith('-')) {
+      throw new Error(`unknown option ${arg}`)
+    } else {
+      opts.positional.push(arg)
+    }
+  }
+
+  return opts
+}
+
+// formats rows as a table with a header, in columns padded to their widest value
+function table (columns, rows) {
+  const lines = [columns.map(([title]) => title)]
+    .concat(rows.map(row => columns.map(([, value]) => String(value(row)))))
+  const widths = columns.map((column, i) => Math.max(...lines.map(line => line[i].length)))
+
+  return lines
+    .map(line => line.map((cell, i) => i === line.length - 1 ? cell : cell.padEnd(widths[i])).join('  '))
+    .join('\n')
+}
+
+const yesNo = value => value ? 'yes' : 'no'
+
+const FORMATTERS = {
+  rooms: rooms => table([
+    ['ROOM', ({ room }) => room],
+    ['SPARKS', ({ sparks }) => sparks]
+  ], rooms) + `\n\n${rooms.length} rooms`,
+
+  room: ({ room, sparks, serverInstances }) => {
+    const rows = []
+    serverInstances.forEach(({ serverInstance, live, sparkIds }) => {
+      sparkIds.forEach(sparkId => rows.push({ serverInstance, live, sparkId }))
+    })
+
+    return table([
+      ['SERVER INSTANCE', ({ serverInstance }) => serverInstance],
+      ['LIVE', ({ live }) => yesNo(live)],
+      ['SPARK', ({ sparkId }) => sparkId]
+    ], rows) + `\n\n${sparks} sparks in room ${room} on ${serverInstances.length} server instances`
+  },
+
+  spark: ({ sparkId, rooms, serverInstances }) => table([
+    ['ROOM', room => room]
+  ], rooms) + `\n\nspark ${sparkId} is in ${rooms.length} rooms, ` +
+    (serverInstances.length > 0 ? `connected to ${serverInstances.join(', ')}` : 'not connected'),
+
+  servers: servers => table([
+    ['SERVER INSTANCE', ({ serverInstance }) => serverInstance],
+    ['LIVE', ({ live }) => yesNo(live)],
+    ['INDEXED', ({ indexed }) => yesNo(indexed)],
+    ['ROOMS', ({ rooms }) => rooms],
+    ['SPARKS', ({ sparks }) => sparks]
+  ], servers) + `\n\n${servers.length} server instances`,
+
+  audit: ({ keys, issues }) => table([
+    ['KEY', ({ key }) => key],
+    ['ISSUE', ({ type }) => type === 'noTTL' ? 'no TTL' : 'unknown server'],
+    ['SERVER INSTANCE', ({ serverInstance }) => serverInstance || '-']
+  ], issues) + `\n\n${issues.length} issues in ${keys} keys`
+}
+
+// connects to redis. ioredis retries failed connections forever,
+// so connection errors are printed and end the process instead
+function connect (opts) {
+  const storage = opts.cluster ? new Redis.Cluster([opts.redis]) : new Redis(opts.redis)
+
+  storage.on('error', err => {
+    console.error(`error: ${err.message}`)
+    process.exit(1)
+  })
+
+  return storage
+}
+
+function main () {
+  let opts
+  try {
+    opts = parseArgs(process.argv.slice(2))
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`)
+    process.exit(2)
+  }
+
+  const [commandName, argument] = opts.positional
+  const command = COMMANDS[commandName]
+
+  if (opts.help) {
+    console.log(USAGE)
+    return
+  }
+  if (!command || (command.argument && argument == null)) {
+    console.error(USAGE)
+    process.exit(2)
+  }
+
+  const storage = connect(opts)
+
+  // metroplex keeps the addresses of live servers in a set
+  const primus = {
+    metroplex: {
+      address: 'inspector',
+      servers: callback => storage.smembers(`${opts.metroplexNamespace}:servers`, callback)
+    }
+  }
+
+  const adapter = new PrimusRoomsMetroplexAdapter(storage, primus, {
+    namespace: opts.namespace,
+    cluster: opts.cluster
+  })
+
+  command.run(new Inspector(adapter), argument)((err, result) => {
+    storage.disconnect()
+
+    if (err) {
+      console.error(`error: ${err.message}`)
+      process.exit(1)
+    }
+
+    console.log(opts.json ? JSON.stringify(result, null, 2) : FORMATTERS[commandName](result))
+  })
+}
+
+if (require.main === module) main()
+
+module.exports = {
+  parseArgs,
+  table,
+  connect,
+  FORMATTERS
+}
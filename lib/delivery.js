@@ -0,0 +1,131 @@
+const async = require('async')
+const { chunk } = require('lodash')
+
+// forwarding runs into memory issues when called
+// with too many spark ids. to avoid this, we forward
+// using sub-groups of spark ids
+const MAX_SPARK_FORWARDS_PER_BATCH = 50000
+
+// delivers a broadcast to sparks, and reports on it. sparks of this server
+// instance are written to directly, and the others are forwarded through
+// the transport with a bounded number of forwards in flight. failed forwards
+// are retried with exponential backoff, and once out of retries, they are
+// recorded in the report while the other forwards carry on
+module.exports = class Delivery {
+  /**
+  * @param {PrimusRoomsMetroplexAdapter} adapter - Adapter
+  * @param {*} data - Message
+  * @param {Object} opts - Forwarding options
+  * @param {Number} opts.concurrency - Number of forwards in flight at once
+  * @param {Number} opts.retries - Number of times a failed forward is retried
+  * @param {Number} opts.retryInterval - Time in ms before the first retry, doubled for each further one
+  */
+  constructor (adapter, data, opts) {
+    this.adapter = adapter
+    this.data = data
+    this.retries = opts.retries
+    this.retryInterval = opts.retryInterval
+    this.report = { sparks: 0, failedSparks: 0, retries: 0, serverInstances: {} }
+
+    this._forwards = async.queue((forward, callback) => this._forward(forward, callback), opts.concurrency)
+  }
+
+  /**
+  * Sends the message to sparks, and waits for their forwards to finish.
+  * Failed forwards are recorded in the report rather than passed to the callback
+  * @param {Object} sparkIdsByServer - Spark ids by server instance
+  * @param {Function} callback - Callback
+  */
+  send (sparkIdsByServer, callback) {
+    const forwards = []
+
+    Object.keys(sparkIdsByServer).forEach(serverInstance => {
+      const sparkIds = sparkIdsByServer[serverInstance]
+      if (sparkIds.length === 0) return
+
+      const serverReport = this._serverReport(serverInstance)
+      serverReport.sparks += sparkIds.length
+      this.report.sparks += sparkIds.length
+
+      if (serverInstance === this.adapter._serverInstance) {
+        this.adapter._metrics.increment('broadcast_sparks', sparkIds.length, { target: 'local' })
+        this.adapter._writeToLocalSparks(sparkIds, this.data)
+        return
+      }
+
+      this.adapter._metrics.increment('broadcast_sparks', sparkIds.length, { target: 'forwarded' })
+      chunk(sparkIds, MAX_SPARK_FORWARDS_PER_BATCH).forEach(sparkIds => {
+        forwards.push({ serverInstance, sparkIds })
+      })
+    })
+
+    this.adapter._metrics.increment('forward_chunks', forwards.length)
+
+    if (forwards.length === 0) return callback()
+
+    let pending = forwards.length
+    this._forwards.push(forwards, () => {
+      if (--pending === 0) callback()
+    })
+  }
+
+  /**
+  * returns Error listing the server instances which weren't delivered to,
+  *   with the report as its `report`, or null if everything was delivered
+  */
+  error () {
+    const failed = Object.keys(this.report.serverInstances)
+      .filter(serverInstance => !this.report.serverInstances[serverInstance].delivered)
+    if (failed.length === 0) return null
+
+    const reasons = failed.map(serverInstance => {
+      return `${serverInstance}: ${this.report.serverInstances[serverInstance].error.message}`
+    })
+    const err = new Error(
+      `Failed to deliver to ${this.report.failedSparks} of ${this.report.sparks} sparks (${reasons.join(', ')})`
+    )
+    err.report = this.report
+    return err
+  }
+
+  _serverReport (serverInstance) {
+    if (!this.report.serverInstances[serverInstance]) {
+      this.report.serverInstances[serverInstance] = {
+        sparks: 0,
+        delivered: true,
+        failedSparks: 0,
+        retries: 0,
+        error: null
+      }
+    }
+    return this.report.serverInstances[serverInstance]
+  }
+
+  _forward ({ serverInstance, sparkIds }, callback) {
+    const serverReport = this._serverReport(serverInstance)
+    let attempts = 0
+
+    async.retry({
+      times: this.retries + 1,
+      // called with the number of the next attempt, starting at 2
+      interval: attempt => this.retryInterval * Math.pow(2, attempt - 2),
+      errorFilter: () => !this.adapter._destroyed
+    }, callback => {
+      if (attempts++ > 0) {
+        serverReport.retries++
+        this.report.retries++
+        this.adapter._metrics.increment('forward_retries')
+      }
+      this.adapter._transport.send(serverInstance, sparkIds, this.data, callback)
+    }, err => {
+      if (err) {
+        serverReport.delivered = false
+        serverReport.failedSparks += sparkIds.length
+        serverReport.error = err
+        this.report.failedSparks += sparkIds.length
+        this.adapter._metrics.increment('forward_failures')
+      }
+      callback()
+    })
+  }
+}
@@ -0,0 +1,26 @@
+// passed to the caller of `add` when a spark may not join a room,
+// either because the join policy rejected it (`reason` is 'policy')
+// or because the room is full (`reason` is 'capacity')
+class JoinRejectedError extends Error {
+  /**
+  * @param {String} sparkId - Spark id
+  * @param {String} room - Room the spark was rejected from
+  * @param {String} reason - 'policy' or 'capacity'
+  * @param {Number} [capacity] - Capacity of the room, if it's full
+  */
+  constructor (sparkId, room, reason, capacity = null) {
+    super(reason === 'capacity'
+      ? `room ${room} is full (capacity ${capacity})`
+      : `spark ${sparkId} may not join room ${room}`)
+
+    this.name = 'JoinRejectedError'
+    this.sparkId = sparkId
+    this.room = room
+    this.reason = reason
+    this.capacity = capacity
+  }
+}
+
+module.exports = {
+  JoinRejectedError
+}
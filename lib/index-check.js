@@ -0,0 +1,209 @@
+const async = require('async')
+const { chunk } = require('lodash')
+const { decodeRoom } = require('./room-names')
+
+const DEFAULT_MAX_ISSUES = 1000
+
+// checks that the room->spark and spark->room sets agree, walking both with
+// `scan` and `sscan`. memberships they disagree on are reported as issues:
+//
+// * `orphanedMember`: a spark in a room->spark set which is neither connected
+//   to the server instance nor has a spark->room set anymore
+// * `roomOnly`: a spark in a room->spark set whose spark->room set is missing the room
+// * `sparkOnly`: a room in a spark->room set whose room->spark sets don't have the spark
+//
+// when repairing, each issue is fixed as it's found: orphaned members are removed
+// from the room, room-only memberships are added to the spark->room set unless
+// the spark left the room in the meantime, and spark-only memberships are removed
+// from it. memberships changing while the check runs may be reported, so a repair
+// is best re-run rather than retried
+module.exports = class IndexCheck {
+  /**
+  * @param {PrimusRoomsMetroplexAdapter} adapter - Adapter
+  * @param {Object} [opts] - Options
+  * @param {Boolean} [opts.repair=false] - Fixes the issues found
+  * @param {Boolean} [opts.dryRun=false] - Only reports what a repair would fix
+  * @param {Number} [opts.maxIssues=1000] - Number of issues listed in the report. All are counted
+  */
+  constructor (adapter, opts = {}) {
+    this.adapter = adapter
+    this.repair = !!opts.repair
+    this.dryRun = !!opts.dryRun
+    this.maxIssues = opts.maxIssues != null ? opts.maxIssues : DEFAULT_MAX_ISSUES
+
+    this.report = {
+      roomSets: 0,
+      sparkSets: 0,
+      counts: { orphanedMember: 0, roomOnly: 0, sparkOnly: 0 },
+      issues: []
+    }
+    if (this.repair) Object.assign(this.report, { dryRun: this.dryRun, repaired: 0 })
+  }
+
+  /**
+  * Walks both indexes.
+  * returns Object report with the number of `roomSets` and `sparkSets` checked,
+  *   the `counts` of each type of issue, the `issues` themselves, and a one-line `summary`.
+  *   Repairs also report the number of `repaired` issues, and whether it was a `dryRun`
+  * @param {Function} callback - Callback
+  */
+  run (callback) {
+    async.series([
+      callback => this._checkRoomSets(callback),
+      callback => this._checkSparkSets(callback)
+    ], err => {
+      if (err) return callback(err)
+
+      this.report.summary = this._summary()
+      callback(null, this.report)
+    })
+  }
+
+  _checkRoomSets (callback) {
+    const prefix = `${this.adapter._namespace}:rooms:`
+
+    this.adapter._iterateNamespaceKeys('rooms:').each((keys, callback) => {
+      async.eachSeries(keys, (key, callback) => {
+        const [serverInstance, encodedRoom] = this.adapter._splitServerKey(key.slice(prefix.length))
+        this.report.roomSets++
+        this._checkRoomSet(key, serverInstance, decodeRoom(encodedRoom), callback)
+      }, callback)
+    }, callback)
+  }
+
+  _checkRoomSet (roomKey, serverInstance, room, callback) {
+    const adapter = this.adapter
+
+    adapter._iterateSetMembers(callback => callback(null, [roomKey])).each((sparkIds, callback) => {
+      const multi = adapter.storage.multi()
+      sparkIds.forEach(sparkId => {
+        const sparkKey = adapter._sparkRoomSetKey(sparkId, serverInstance)
+        multi
+          .sismember(sparkKey, room)
+          .exists(sparkKey)
+          .sismember(adapter._serverSparkSetKey(serverInstance), sparkId)
+      })
+
+      multi.exec((err, results) => {
+        if (err) return callback(err)
+
+        adapter._validateMultiResults(results, err => {
+          if (err) return callback(err)
+
+          const issues = []
+          chunk(results.map(([, result]) => result), 3).forEach(([inSparkSet, sparkSetExists, connected], i) => {
+            if (inSparkSet === 1) return
+
+            const type = sparkSetExists === 0 && connected === 0 ? 'orphanedMember' : 'roomOnly'
+            issues.push({ type, room, sparkId: sparkIds[i], serverInstance })
+          })
+
+          async.eachSeries(issues, (issue, callback) => this._found(issue, callback), callback)
+        })
+      })
+    }, callback)
+  }
+
+  _checkSparkSets (callback) {
+    const prefix = `${this.adapter._namespace}:sparks:`
+
+    this.adapter._iterateNamespaceKeys('sparks:').each((keys, callback) => {
+      async.eachSeries(keys, (key, callback) => {
+        // spark->room sets are only scoped by server instance in cluster mode
+        const [serverInstance, sparkId] = this.adapter._cluster
+          ? this.adapter._splitServerKey(key.slice(prefix.length))
+          : [null, key.slice(prefix.length)]
+
+        this.report.sparkSets++
+        this._checkSparkSet(key, serverInstance, sparkId, callback)
+      }, callback)
+    }, callback)
+  }
+
+  _checkSparkSet (sparkKey, serverInstance, sparkId, callback) {
+    this.adapter._iterateSetMembers(callback => callback(null, [sparkKey])).each((rooms, callback) => {
+      async.eachSeries(rooms, (room, callback) => {
+        this._isInRoom(sparkId, room, serverInstance, (err, isInRoom) => {
+          if (err) return callback(err)
+          if (isInRoom) return callback()
+          this._found({ type: 'sparkOnly', room, sparkId, serverInstance }, callback)
+        })
+      }, callback)
+    }, callback)
+  }
+
+  // whether a spark is in the room->spark set of a room. without a server
+  // instance, those of all server instances with sparks in the room are checked
+  _isInRoom (sparkId, room, serverInstance, callback) {
+    const isMember = (serverInstance, callback) => {
+      this.adapter.storage.sismember(this.adapter._roomSparkSetKey(room, serverInstance), sparkId, (err, isMember) => {
+        callback(err, isMember === 1)
+      })
+    }
+
+    if (serverInstance) return isMember(serverInstance, callback)
+
+    this.adapter._serverInstancesForRoom(room, (err, serverInstances) => {
+      if (err) return callback(err)
+      async.some(serverInstances, isMember, callback)
+    })
+  }
+
+  _found (issue, callback) {
+    this.report.counts[issue.type]++
+    if (this.report.issues.length < this.maxIssues) this.report.issues.push(issue)
+
+    if (!this.repair || this.dryRun) return callback()
+
+    this._fix(issue, (err, fixed) => {
+      if (err) return callback(err)
+      if (fixed) this.report.repaired++
+      callback()
+    })
+  }
+
+  // calls back with whether the issue was fixed
+  _fix ({ type, room, sparkId, serverInstance }, callback) {
+    const adapter = this.adapter
+    const sparkKey = adapter._sparkRoomSetKey(sparkId, serverInstance || undefined)
+
+    // the spark may have left the room since it was checked,
+    // so it's only added if it's still in the room->spark set
+    if (type === 'roomOnly') {
+      const roomKey = adapter._roomSparkSetKey(room, serverInstance)
+      return adapter.storage.repairRoomOnly(roomKey, sparkKey, sparkId, room, adapter._sparkRoomSetTTLSeconds, (err, added) => {
+        callback(err, added === 1)
+      })
+    }
+
+    const multi = adapter.storage.multi()
+    if (type === 'orphanedMember') {
+      multi.srem(adapter._roomSparkSetKey(room, serverInstance), sparkId)
+      adapter._syncRoomIndex(multi, room, adapter._roomSparkSetTTLSeconds, serverInstance)
+    } else {
+      multi.srem(sparkKey, room)
+    }
+
+    multi.exec((err, results) => {
+      if (err) return callback(err)
+
+      adapter._validateMultiResults(results, err => {
+        if (err) return callback(err)
+        if (type !== 'orphanedMember') return callback(null, true)
+        adapter._roomsChanged([room], err => callback(err, true))
+      })
+    })
+  }
+
+  _summary () {
+    const { roomSets, sparkSets, counts, repaired, dryRun } = this.report
+    const issues = counts.orphanedMember + counts.roomOnly + counts.sparkOnly
+
+    let summary = `checked ${roomSets} room->spark and ${sparkSets} spark->room sets: ` +
+      `${issues} issues (${counts.orphanedMember} orphaned members, ` +
+      `${counts.roomOnly} room-only and ${counts.sparkOnly} spark-only memberships)`
+
+    if (this.repair) summary += dryRun ? ', dry run' : `, ${repaired} repaired`
+    return summary
+  }
+}
@@ -0,0 +1,194 @@
+const async = require('async')
+const { sortBy, union } = require('lodash')
+
+// number of rooms counted, or keys whose TTL is read, at once
+const INSPECT_CONCURRENCY = 10
+
+// namespaces of keys which belong to a server instance, ie. `rooms:$serverInstance:$room`.
+// spark->room sets only belong to one in cluster mode
+const SERVER_KEY_NAMESPACES = ['rooms', 'servers', 'users']
+
+// reads the room state of all server instances for debugging, ie. with
+// bin/room-manager-inspect.js. everything is read with the key helpers and
+// scans of the adapter, which only needs storage and metroplex, so it
+// doesn't have to be initialized
+module.exports = class Inspector {
+  /**
+  * @param {PrimusRoomsMetroplexAdapter} adapter - Adapter. Its metroplex lists
+  *   the addresses of live servers
+  */
+  constructor (adapter) {
+    this.adapter = adapter
+  }
+
+  /**
+  * Lists all rooms.
+  * returns Array of objects of the `room` and its number of `sparks`, by room name
+  * @param {Function} callback - Callback
+  */
+  rooms (callback) {
+    const rooms = []
+
+    this.adapter.iterateRooms().each((page, callback) => {
+      async.mapLimit(page, INSPECT_CONCURRENCY, (room, callback) => {
+        this.adapter.count(room, (err, sparks) => callback(err, { room, sparks }))
+      }, (err, pageRooms) => {
+        if (err) return callback(err)
+        rooms.push(...pageRooms)
+        callback()
+      })
+    }, err => {
+      if (err) return callback(err)
+      callback(null, sortBy(rooms, 'room'))
+    })
+  }
+
+  /**
+  * Lists the sparks of a room by server instance.
+  * returns Object of the `room`, its number of `sparks`, and its `serverInstances` as
+  *   objects of the `serverInstance`, whether metroplex knows it (`live`) and its `sparkIds`
+  * @param {String} room - Room name
+  * @param {Function} callback - Callback
+  */
+  room (room, callback) {
+    async.autoInject({
+      liveAddresses: callback => this._liveAddresses(callback),
+      sparkIdsByServer: callback => this.adapter._fetchRoomSparkIdsByServer(room, callback)
+    }, (err, { liveAddresses, sparkIdsByServer }) => {
+      if (err) return callback(err)
+
+      const serverInstances = Object.keys(sparkIdsByServer).sort().map(serverInstance => ({
+        serverInstance,
+        live: this._isLive(serverInstance, liveAddresses),
+        sparkIds: sparkIdsByServer[serverInstance].sort()
+      }))
+
+      const sparks = serverInstances.reduce((sum, { sparkIds }) => sum + sparkIds.length, 0)
+      callback(null, { room, sparks, serverInstances })
+    })
+  }
+
+  /**
+  * Lists the rooms of a spark.
+  * returns Object of the `sparkId`, its `rooms`, and the `serverInstances`
+  *   whose server->spark sets have it, which is one while it's connected
+  * @param {String} sparkId - Spark id
+  * @param {Function} callback - Callback
+  */
+  spark (sparkId, callback) {
+    const adapter = this.adapter
+
+    adapter._knownServerInstances((err, { serverInstances } = {}) => {
+      if (err) return callback(err)
+
+      async.autoInject({
+        rooms: callback => {
+          if (!adapter._cluster) return adapter.storage.smembers(adapter._sparkRoomSetKey(sparkId), callback)
+
+          // spark->room sets are kept per server instance in cluster mode
+          async.map(serverInstances, (serverInstance, callback) => {
+            adapter.storage.smembers(adapter._sparkRoomSetKey(sparkId, serverInstance), callback)
+          }, (err, roomGroups) => callback(err, union(...roomGroups || [])))
+        },
+
+        connectedTo: callback => {
+          async.filter(serverInstances, (serverInstance, callback) => {
+            adapter.storage.sismember(adapter._serverSparkSetKey(serverInstance), sparkId, (err, isMember) => {
+              callback(err, isMember === 1)
+            })
+          }, callback)
+        }
+      }, (err, { rooms, connectedTo }) => {
+        if (err) return callback(err)
+        callback(null, { sparkId, rooms: rooms.sort(), serverInstances: connectedTo.sort() })
+      })
+    })
+  }
+
+  /**
+  * Lists all server instances with room state, including dead ones.
+  * returns Array of objects of the `serverInstance`, whether metroplex knows it (`live`),
+  *   whether its server instance index entry is current (`indexed`), and its number
+  *   of `rooms` and `sparks`
+  * @param {Function} callback - Callback
+  */
+  servers (callback) {
+    async.autoInject({
+      liveAddresses: callback => this._liveAddresses(callback),
+      knownServerInstances: callback => this.adapter._knownServerInstances(callback),
+      indexedServerInstances: callback => this.adapter._liveServerInstances(callback)
+    }, (err, { liveAddresses, knownServerInstances, indexedServerInstances }) => {
+      if (err) return callback(err)
+
+      async.mapSeries(knownServerInstances.serverInstances.sort(), (serverInstance, callback) => {
+        this.adapter._serverInstanceStats(serverInstance, (err, { sparks, roomSizes } = {}) => {
+          if (err) return callback(err)
+
+          callback(null, {
+            serverInstance,
+            live: this._isLive(serverInstance, liveAddresses),
+            indexed: indexedServerInstances.includes(serverInstance),
+            rooms: Object.keys(roomSizes).length,
+            sparks
+          })
+        })
+      }, callback)
+    })
+  }
+
+  /**
+  * Scans all keys of the namespace for keys which would never expire, and keys
+  * of server instances whose address metroplex doesn't know about.
+  * returns Object of the number of scanned `keys`, and the `issues` as objects of
+  *   the `key`, the `type` of issue (`noTTL` or `unknownServer`) and its `serverInstance`
+  * @param {Function} callback - Callback
+  */
+  audit (callback) {
+    const report = { keys: 0, issues: [] }
+
+    this._liveAddresses((err, liveAddresses) => {
+      if (err) return callback(err)
+
+      this.adapter._iterateNamespaceKeys('').each((keys, callback) => {
+        async.mapLimit(keys, INSPECT_CONCURRENCY, (key, callback) => {
+          this.adapter.storage.ttl(key, callback)
+        }, (err, ttls) => {
+          if (err) return callback(err)
+
+          keys.forEach((key, i) => {
+            const serverInstance = this._serverInstanceOfKey(key)
+            report.keys++
+
+            if (ttls[i] === -1) report.issues.push({ key, type: 'noTTL', serverInstance })
+            if (serverInstance && !this._isLive(serverInstance, liveAddresses)) {
+              report.issues.push({ key, type: 'unknownServer', serverInstance })
+            }
+          })
+          callback()
+        })
+      }, err => {
+        if (err) return callback(err)
+        report.issues = sortBy(report.issues, ['key', 'type'])
+        callback(null, report)
+      })
+    })
+  }
+
+  _liveAddresses (callback) {
+    this.adapter.primus.metroplex.servers((err, servers) => callback(err, servers))
+  }
+
+  _isLive (serverInstance, liveAddresses) {
+    return liveAddresses.includes(this.adapter._serverAddress(serverInstance))
+  }
+
+  // returns the server instance a key belongs to, or null
+  _serverInstanceOfKey (key) {
+    const namespaces = this.adapter._cluster ? SERVER_KEY_NAMESPACES.concat('sparks') : SERVER_KEY_NAMESPACES
+    const rest = key.slice(this.adapter._namespace.length + 1)
+    const namespace = rest.slice(0, rest.indexOf(':'))
+    if (!namespaces.includes(namespace)) return null
+
+    return this.adapter._splitServerKey(rest.slice(namespace.length + 1))[0]
+  }
+}
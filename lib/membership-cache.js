@@ -0,0 +1,148 @@
+const DEFAULT_MAX_ROOMS = 1000
+const DEFAULT_TTL_MS = 5000
+
+// caches the spark ids of rooms, grouped by server instance, for broadcasts.
+// whenever the membership of rooms changes, they are invalidated on every
+// server instance through a single channel per namespace. entries also
+// expire after a TTL, in case an invalidation is missed (ie. when a
+// server instance dies and its room state is reaped)
+module.exports = class MembershipCache {
+  /**
+  * @param {PrimusRoomsMetroplexAdapter} adapter - Adapter
+  * @param {Object} [opts] - Cache options
+  * @param {Number} [opts.maxRooms=1000] - Number of rooms to keep. The least
+  *   recently used rooms are evicted first
+  * @param {Number} [opts.ttl=5000] - Time in ms after which rooms are read from storage again
+  * @param {Redis} [opts.subscriber] - Connection used for subscribing.
+  *   Defaults to a duplicate of the adapter's storage connection
+  */
+  constructor (adapter, opts = {}) {
+    this.adapter = adapter
+    this.maxRooms = opts.maxRooms || DEFAULT_MAX_ROOMS
+    this.ttl = opts.ttl || DEFAULT_TTL_MS
+    this.subscriber = opts.subscriber || null
+    this.hits = 0
+    this.misses = 0
+
+    this._ownsSubscriber = !opts.subscriber
+    this._channel = null
+    this._entries = new Map()
+    // bumped on each invalidation, so reads which started
+    // before it don't put stale entries in the cache
+    this._version = 0
+    this._onMessage = this._onMessage.bind(this)
+  }
+
+  /**
+  * Subscribes to the invalidation channel. Rooms are only cached while subscribed
+  */
+  initialize () {
+    this.subscriber = this.subscriber || this.adapter.storage.duplicate()
+    this._channel = this.adapter._membershipChannel()
+
+    this.subscriber.on('message', this._onMessage)
+    this.subscriber.subscribe(this._channel, err => {
+      if (err) this.adapter._logger.error(new Error(`Error subscribing to ${this._channel}: ${err}`))
+    })
+  }
+
+  /**
+  * Unsubscribes from the invalidation channel and empties the cache. The subscriber
+  * connection is closed unless it was passed in the cache options
+  */
+  destroy () {
+    this._entries.clear()
+    if (!this.subscriber) return
+
+    this.subscriber.removeListener('message', this._onMessage)
+    if (this._ownsSubscriber) {
+      this.subscriber.disconnect()
+      this.subscriber = null
+    } else {
+      this.subscriber.unsubscribe(this._channel, err => {
+        if (err) this.adapter._logger.error(new Error(`Error unsubscribing from ${this._channel}: ${err}`))
+      })
+    }
+    this._channel = null
+  }
+
+  /**
+  * Gets the cached spark ids of a room, or fetches and caches them
+  * @param {String} room - Room name
+  * @param {Function} fetch - Called with a callback to read the room from storage
+  * @param {Function} callback - Callback
+  */
+  get (room, fetch, callback) {
+    if (!this._channel) return fetch(callback)
+
+    const entry = this._entries.get(room)
+    if (entry && entry.expiresAt > Date.now()) {
+      this.hits++
+      // re-inserted, so the map stays ordered from least to most recently used
+      this._entries.delete(room)
+      this._entries.set(room, entry)
+      return callback(null, entry.sparkIdsByServer)
+    }
+
+    this.misses++
+    const version = this._version
+
+    fetch((err, sparkIdsByServer) => {
+      if (err) return callback(err)
+      if (version === this._version && this._channel) this._set(room, sparkIdsByServer)
+      callback(null, sparkIdsByServer)
+    })
+  }
+
+  /**
+  * Invalidates rooms on this and all other server instances.
+  * Errors are logged, as the cached rooms expire anyway
+  * @param {Array} rooms - Room names
+  * @param {Function} callback - Callback
+  */
+  invalidate (rooms, callback) {
+    this._invalidate(rooms)
+
+    const message = JSON.stringify({ serverInstance: this.adapter._serverInstance, rooms })
+    this.adapter.storage.publish(this.adapter._membershipChannel(), message, err => {
+      if (err) this.adapter._logger.error(new Error(`Error publishing membership changes: ${err}`))
+      callback()
+    })
+  }
+
+  /**
+  * returns Object with the number of cache `hits` and `misses`, and the number of cached rooms
+  */
+  stats () {
+    return { hits: this.hits, misses: this.misses, size: this._entries.size }
+  }
+
+  _set (room, sparkIdsByServer) {
+    this._entries.delete(room)
+    this._entries.set(room, { sparkIdsByServer, expiresAt: Date.now() + this.ttl })
+
+    if (this._entries.size > this.maxRooms) {
+      this._entries.delete(this._entries.keys().next().value)
+    }
+  }
+
+  _invalidate (rooms) {
+    this._version++
+    rooms.forEach(room => this._entries.delete(room))
+  }
+
+  _onMessage (channel, message) {
+    if (channel !== this._channel) return
+
+    let parsed
+    try {
+      parsed = JSON.parse(message)
+    } catch (err) {
+      return this.adapter._logger.error(new Error(`Error parsing message from ${channel}: ${err}`))
+    }
+
+    // rooms changed by this server instance were invalidated right away
+    if (parsed.serverInstance === this.adapter._serverInstance) return
+    this._invalidate(parsed.rooms)
+  }
+}
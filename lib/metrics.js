@@ -0,0 +1,175 @@
+const DEFAULT_PREFIX = 'room_manager_'
+
+// seconds, like the default buckets of the prometheus clients
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+// descriptions of the metrics reported by the adapter, by exported name
+const HELP = {
+  operation_duration_seconds: 'Latency of adapter operations',
+  scan_iterations_total: 'Number of scan and sscan calls',
+  keys_touched_total: 'Number of keys returned by scan, and of sets walked with sscan',
+  broadcasts_total: 'Number of broadcasts',
+  broadcast_sparks_total: 'Number of sparks broadcast to, written to locally or forwarded',
+  broadcast_targeted_sparks_total: 'Number of sparks targeted by broadcasts, which divided by the broadcasts is their fan-out',
+  forward_chunks_total: 'Number of chunks of spark ids forwarded to other server instances',
+  forward_retries_total: 'Number of retried forwards',
+  forward_failures_total: 'Number of forwards which failed after all retries',
+  refresher_lag_seconds: 'Time the last run of a periodic task started late',
+  refresher_failures_total: 'Number of failed runs of periodic tasks'
+}
+
+// metrics which are dropped, used when the adapter has no `metrics` option
+const noopMetrics = {
+  timing () {},
+  increment () {},
+  gauge () {}
+}
+
+// escapes a label value, see https://prometheus.io/docs/instrumenting/exposition_formats/
+function escapeLabelValue (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+function formatLabels (labels) {
+  const names = Object.keys(labels)
+  if (names.length === 0) return ''
+  return `{${names.map(name => `${name}="${escapeLabelValue(labels[name])}"`).join(',')}}`
+}
+
+function formatValue (value) {
+  if (value === Infinity) return '+Inf'
+  if (value === -Infinity) return '-Inf'
+  return String(value)
+}
+
+// sorts labels by name, so their order doesn't create separate series
+function sortLabels (labels = {}) {
+  const sorted = {}
+  Object.keys(labels).sort().forEach(name => {
+    sorted[name] = labels[name]
+  })
+  return sorted
+}
+
+// implementation of the metrics interface which keeps the metrics in memory,
+// and exports them in the prometheus text format. timings are kept as
+// histograms in seconds, and counters get a `_total` suffix
+class PrometheusMetrics {
+  /**
+  * @param {Object} [opts] - Options
+  * @param {String} [opts.prefix='room_manager_'] - Prefix of the exported metric names
+  * @param {Array} [opts.buckets] - Upper bounds of the histogram buckets of timings, in seconds
+  */
+  constructor (opts = {}) {
+    this.prefix = opts.prefix != null ? opts.prefix : DEFAULT_PREFIX
+    this.buckets = (opts.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b)
+    this._metrics = new Map()
+  }
+
+  /**
+  * Records the duration of an operation
+  * @param {String} name - Metric name
+  * @param {Number} ms - Duration in ms
+  * @param {Object} [labels] - Labels
+  */
+  timing (name, ms, labels) {
+    const seconds = ms / 1000
+    const series = this._series(`${name}_seconds`, 'histogram', labels, () => ({
+      buckets: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }))
+
+    this.buckets.forEach((bound, i) => {
+      if (seconds <= bound) series.buckets[i]++
+    })
+    series.sum += seconds
+    series.count++
+  }
+
+  /**
+  * Increments a counter
+  * @param {String} name - Metric name
+  * @param {Number} [value=1] - Increment
+  * @param {Object} [labels] - Labels
+  */
+  increment (name, value = 1, labels) {
+    this._series(`${name}_total`, 'counter', labels, () => ({ value: 0 })).value += value
+  }
+
+  /**
+  * Sets a gauge
+  * @param {String} name - Metric name
+  * @param {Number} value - Value
+  * @param {Object} [labels] - Labels
+  */
+  gauge (name, value, labels) {
+    this._series(name, 'gauge', labels, () => ({ value: 0 })).value = value
+  }
+
+  /**
+  * returns String of all metrics in the prometheus text format
+  */
+  export () {
+    const lines = []
+
+    this._metrics.forEach(({ type, series }, name) => {
+      const exportedName = this.prefix + name
+      if (HELP[name]) lines.push(`# HELP ${exportedName} ${HELP[name]}`)
+      lines.push(`# TYPE ${exportedName} ${type}`)
+
+      series.forEach(({ labels, values }) => {
+        if (type !== 'histogram') {
+          lines.push(`${exportedName}${formatLabels(labels)} ${formatValue(values.value)}`)
+          return
+        }
+
+        this.buckets.concat(Infinity).forEach((bound, i) => {
+          const count = bound === Infinity ? values.count : values.buckets[i]
+          const bucketLabels = Object.assign({}, labels, { le: formatValue(bound) })
+          lines.push(`${exportedName}_bucket${formatLabels(bucketLabels)} ${count}`)
+        })
+        lines.push(`${exportedName}_sum${formatLabels(labels)} ${formatValue(values.sum)}`)
+        lines.push(`${exportedName}_count${formatLabels(labels)} ${values.count}`)
+      })
+    })
+
+    return lines.length > 0 ? `${lines.join('\n')}\n` : ''
+  }
+
+  /**
+  * Forgets all metrics
+  */
+  reset () {
+    this._metrics.clear()
+  }
+
+  // returns the values of the series of a metric with the given labels,
+  // created with `init` on first use
+  _series (name, type, labels, init) {
+    let metric = this._metrics.get(name)
+    if (!metric) {
+      metric = { type, series: new Map() }
+      this._metrics.set(name, metric)
+    } else if (metric.type !== type) {
+      throw new Error(`metric ${name} is a ${metric.type}, not a ${type}`)
+    }
+
+    const sortedLabels = sortLabels(labels)
+    const key = JSON.stringify(sortedLabels)
+    let series = metric.series.get(key)
+    if (!series) {
+      series = { labels: sortedLabels, values: init() }
+      metric.series.set(key, series)
+    }
+    return series.values
+  }
+}
+
+// content type of the exported metrics, ie. for the response of a `/metrics` endpoint
+PrometheusMetrics.contentType = 'text/plain; version=0.0.4; charset=utf-8'
+
+module.exports = {
+  noopMetrics,
+  PrometheusMetrics
+}
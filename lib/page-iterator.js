@@ -0,0 +1,105 @@
+const async = require('async')
+
+// async iterator over the pages of one or more redis cursors, ie. of `scan`
+// or `sscan` on several keys. each page is read once the previous one was
+// consumed, so only one page is held in memory at a time, and empty pages
+// are skipped
+module.exports = class PageIterator {
+  /**
+  * @param {Function} getSources - Called with a callback, which is called with an
+  *   Array of cursor sources. Each source is called with a cursor and a callback,
+  *   which is called with the next cursor and the page, like `scan` replies
+  */
+  constructor (getSources) {
+    this._getSources = getSources
+    this._sources = null
+    this._cursor = '0'
+    // pages are read one at a time, even if `next` is called again meanwhile
+    this._reads = async.queue((task, callback) => this._read(callback), 1)
+  }
+
+  [Symbol.asyncIterator] () {
+    return this
+  }
+
+  /**
+  * Reads the next page.
+  * returns Object with the page as `value`, or `done` once all cursors were read
+  * @param {Function} [callback] - Callback. Returns a promise if omitted
+  */
+  next (callback) {
+    if (typeof callback === 'function') {
+      this._reads.push({}, callback)
+      return
+    }
+
+    return new Promise((resolve, reject) => {
+      this._reads.push({}, (err, result) => err ? reject(err) : resolve(result))
+    })
+  }
+
+  /**
+  * Stops reading pages, ie. when breaking out of a `for await` loop
+  * returns Object with `done`
+  */
+  return () {
+    this._sources = []
+    return Promise.resolve({ done: true, value: undefined })
+  }
+
+  /**
+  * Calls `iteratee` with each remaining page, and waits for it before reading the next one
+  * @param {Function} iteratee - Called with a page and a callback
+  * @param {Function} callback - Callback
+  */
+  each (iteratee, callback) {
+    let done = false
+
+    async.until(() => done, callback => {
+      this.next((err, result) => {
+        if (err) return callback(err)
+        done = result.done
+        if (done) return callback()
+        iteratee(result.value, callback)
+      })
+    }, err => callback(err))
+  }
+
+  /**
+  * Reads all remaining pages.
+  * returns Array of the items of all pages
+  * @param {Function} callback - Callback
+  */
+  all (callback) {
+    const items = []
+
+    this.each((page, callback) => {
+      items.push(...page)
+      callback()
+    }, err => callback(err, err ? undefined : items))
+  }
+
+  _read (callback) {
+    if (!this._sources) {
+      return this._getSources((err, sources) => {
+        if (err) return callback(err)
+        this._sources = sources.slice()
+        this._read(callback)
+      })
+    }
+
+    if (this._sources.length === 0) return callback(null, { done: true, value: undefined })
+
+    this._sources[0](this._cursor, (err, result) => {
+      if (err) return callback(err)
+
+      const [cursor, page] = result
+      this._cursor = String(cursor)
+      // a cursor of 0 ends the source, and starts the next one
+      if (this._cursor === '0') this._sources.shift()
+
+      if (page.length === 0) return this._read(callback)
+      callback(null, { done: false, value: page })
+    })
+  }
+}
@@ -0,0 +1,82 @@
+// propagates room presence changes to every server instance.
+// changes are published on a single redis channel per namespace,
+// and each server instance - including the one which made the
+// change - emits them as events on its adapter
+module.exports = class Presence {
+  /**
+  * @param {PrimusRoomsMetroplexAdapter} adapter - Adapter
+  * @param {Object} [opts] - Presence options
+  * @param {Redis} [opts.subscriber] - ioredis connection used for subscribing.
+  *   Defaults to a duplicate of the adapter's storage connection
+  */
+  constructor (adapter, opts = {}) {
+    this.adapter = adapter
+    this.subscriber = opts.subscriber || null
+    this._ownsSubscriber = !opts.subscriber
+    this._onMessage = this._onMessage.bind(this)
+  }
+
+  /**
+  * Subscribes to the presence channel
+  */
+  initialize () {
+    this.subscriber = this.subscriber || this.adapter.storage.duplicate()
+    this._channel = this.adapter._presenceChannel()
+
+    this.subscriber.on('message', this._onMessage)
+    this.subscriber.subscribe(this._channel, err => {
+      if (err) this.adapter._logger.error(new Error(`Error subscribing to ${this._channel}: ${err}`))
+    })
+  }
+
+  /**
+  * Unsubscribes from the presence channel. The subscriber connection
+  * is closed unless it was passed in the presence options
+  */
+  destroy () {
+    if (!this.subscriber) return
+
+    this.subscriber.removeListener('message', this._onMessage)
+    if (this._ownsSubscriber) {
+      this.subscriber.disconnect()
+      this.subscriber = null
+    } else {
+      this.subscriber.unsubscribe(this._channel, err => {
+        if (err) this.adapter._logger.error(new Error(`Error unsubscribing from ${this._channel}: ${err}`))
+      })
+    }
+  }
+
+  _onMessage (channel, message) {
+    if (channel !== this._channel) return
+
+    let parsed
+    try {
+      parsed = JSON.parse(message)
+    } catch (err) {
+      return this.adapter._logger.error(new Error(`Error parsing message from ${channel}: ${err}`))
+    }
+
+    const { serverInstance, changes } = parsed
+    changes.forEach(({ event, room, sparkIds }) => {
+      sparkIds.forEach(sparkId => {
+        this.adapter.emit(event, { sparkId, room, serverInstance })
+      })
+    })
+  }
+
+  /**
+  * Publishes presence changes made by this server instance.
+  * Errors are logged, as the changes themselves were already made
+  * @param {Array} changes - Objects with the `event`, `room` and `sparkIds` of a change
+  * @param {Function} callback - Callback
+  */
+  publish (changes, callback) {
+    const message = JSON.stringify({ serverInstance: this.adapter._serverInstance, changes })
+
+    this.adapter.storage.publish(this.adapter._presenceChannel(), message, err => {
+      if (err) this.adapter._logger.error(new Error(`Error publishing presence changes: ${err}`))
+      callback()
+    })
+  }
+}
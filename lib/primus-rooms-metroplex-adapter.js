@@ -1,9 +1,21 @@
+const { EventEmitter } = require('events')
 const PrimusRoomsAdapter = require('primus-rooms-adapter')
 const Redis = require('ioredis')
-const { compact, chunk, flatten, uniq, without } = require('lodash')
+const { castArray, compact, chunk, difference, flatten, intersection, mapValues, mergeWith, orderBy, sum, union, uniq } = require('lodash')
 const async = require('async')
-
-const MAX_SPARK_FORWARDS_PER_BATCH = 50000
+const scripts = require('./scripts')
+const OmegaSupremeTransport = require('./transports/omega-supreme')
+const RedisTransport = require('./transports/redis')
+const Presence = require('./presence')
+const MembershipCache = require('./membership-cache')
+const Sessions = require('./sessions')
+const PageIterator = require('./page-iterator')
+const Delivery = require('./delivery')
+const IndexCheck = require('./index-check')
+const MemoryStorage = require('./storage/memory')
+const { encodeRoom, decodeRoom } = require('./room-names')
+const { JoinRejectedError } = require('./errors')
+const { noopMetrics, PrometheusMetrics } = require('./metrics')
 
 const DEFAULT_ROOM_REFRESH_INTERVAL_MS = 300000 // metroplex interval default
 
@@ -19,16 +31,140 @@ const DEFAULT_HEARTBEAT_PING_INTERVAL_MS = 300000
 const TTL_REFRESH_DRIFT_FACTOR = 1.2
 
 const DEFAULT_KEYS_MATCH_SCAN_COUNT = 100
+const DEFAULT_STATS_BIGGEST_ROOMS = 10
 const MEMBERS_SSCAN_COUNT = 10000
 
-module.exports = class PrimusRoomsMetroplexAdapter extends PrimusRoomsAdapter {
-  constructor (redis, primus, opts = {}) {
+// removing a disconnected spark from its rooms is retried with
+// exponential backoff (100ms, 200ms, ... 12.8s), so it survives
+// redis being unavailable for about half a minute
+const DISCONNECT_CLEANUP_RETRY_TIMES = 9
+const DISCONNECT_CLEANUP_RETRY_INTERVAL_MS = 100
+
+// upper bound for a single reaper run. the lock expires after
+// this time in case the node holding it crashes mid-run
+const REAPER_LOCK_TTL_MS = 60000
+
+const DEFAULT_FORWARD_CONCURRENCY = 10
+const DEFAULT_FORWARD_RETRIES = 2
+const DEFAULT_FORWARD_RETRY_INTERVAL_MS = 100
+
+const DEFAULT_HISTORY_MAX_LENGTH = 100
+
+// commands a storage implements besides the atomic operations of ./scripts,
+// with the same arguments and replies as their redis counterparts. these are
+// all commands the adapter calls on a storage, its multis and its duplicates,
+// which test/storage/memory.test.js checks against the calls of a recorded run
+const STORAGE_COMMANDS = [
+  'del', 'exists', 'expire', 'pexpire', 'ttl', 'set', 'scan',
+  'sadd', 'srem', 'smembers', 'sismember', 'scard', 'sscan', 'sunionstore',
+  'zadd', 'zrem', 'zrange', 'zrangebyscore', 'zremrangebyscore', 'zscan',
+  'xadd', 'xrange', 'xrevrange', 'publish', 'subscribe', 'unsubscribe',
+  'multi', 'duplicate', 'disconnect'
+]
+
+// commands a storage implements in cluster mode, to scan the keys of each node
+const CLUSTER_STORAGE_COMMANDS = ['nodes']
+
+// methods of the metrics interface
+const METRICS_METHODS = ['timing', 'increment', 'gauge']
+
+// whether an object implements the storage interface, including
+// the commands of cluster mode if `cluster` is set
+function isStorage (storage, cluster) {
+  return !!storage && STORAGE_COMMANDS.concat(Object.keys(scripts), cluster ? CLUSTER_STORAGE_COMMANDS : [])
+    .every(name => typeof storage[name] === 'function')
+}
+
+// escapes glob characters for use in `scan` MATCH patterns
+function escapeGlob (str) {
+  return String(str).replace(/[*?[\]\\]/g, '\\$&')
+}
+
+// parses a stream id, ie. `1526919030474-55`, to its time and sequence number
+function parseStreamId (id) {
+  const [ms, seq = 0] = String(id).split('-').map(Number)
+  return [ms, seq]
+}
+
+// runs `fn` with a node-style callback. if the caller provided
+// a callback it is used as-is, otherwise a promise is returned
+// which settles with the callback's result
+function withCallback (callback, fn) {
+  if (typeof callback === 'function') {
+    fn(callback)
+    return
+  }
+
+  return new Promise((resolve, reject) => {
+    fn((err, result) => err ? reject(err) : resolve(result))
+  })
+}
+
+/**
+* primus-rooms adapter which keeps rooms in redis, or another storage.
+* With `opts.presence`, emits `join`, `leave` and `roomEmpty` events for
+* room changes made on any server instance, each with an object of the
+* `sparkId`, `room` and originating `serverInstance` of the change
+*/
+class PrimusRoomsMetroplexAdapter extends PrimusRoomsAdapter {
+  /**
+  * @param {Redis|Redis.Cluster|Object} storage - ioredis connection, or another
+  *   implementation of the storage interface (ie. `MemoryStorage`). Clusters require `opts.cluster`
+  * @param {Primus} primus - Primus server, with metroplex loaded
+  * @param {Object} [opts] - Adapter options
+  * @param {String} [opts.namespace='room_manager'] - Prefix of all redis keys
+  * @param {String} [opts.identifier] - Unique id of this process. Must not contain `_`
+  * @param {Function} [opts.transport=OmegaSupremeTransport] - Class used for
+  *   delivering messages to sparks connected to other server instances
+  * @param {Object} [opts.transportOptions] - Options passed to the transport
+  * @param {Number} [opts.forwardConcurrency=10] - Number of forwards to other server
+  *   instances a broadcast has in flight at once
+  * @param {Number} [opts.forwardRetries=2] - Number of times a failed forward is retried
+  * @param {Number} [opts.forwardRetryInterval=100] - Time in ms before retrying a failed
+  *   forward the first time, doubled for each further retry
+  * @param {Number} [opts.reaperInterval] - If set, removes the room state of
+  *   server instances which metroplex no longer knows about every `reaperInterval` ms
+  * @param {Boolean} [opts.cluster=false] - Uses a key layout which is
+  *   compatible with redis cluster. Requires an ioredis cluster, or a storage implementing `nodes`
+  * @param {Boolean|Object} [opts.presence=false] - Enables presence events.
+  *   An object is passed to the presence subscriber as its options
+  * @param {Boolean|Object} [opts.membershipCache=false] - Caches the sparks of rooms
+  *   for broadcasts. An object is passed to the cache as its options
+  *   (`maxRooms`, `ttl` and `subscriber`)
+  * @param {Boolean|Object} [opts.history=false] - Keeps the messages broadcast to rooms,
+  *   so they can be replayed to sparks which join later. An object sets the
+  *   `maxLength` of the history of each room (default 100)
+  * @param {Function} [opts.joinPolicy] - Called with a spark id and a room before the spark
+  *   joins it. The join is rejected unless it returns (or resolves to) a truthy value
+  * @param {Number|Function} [opts.roomCapacity] - Maximum number of sparks in a room across
+  *   all server instances, or a function returning it for a room (`null` for no limit).
+  *   Not available in cluster mode
+  * @param {Object} [opts.sessions] - Re-joins sparks which reconnect with the same session
+  *   id to the rooms of their session. Passed to the sessions as their options (`extract`,
+  *   which is required, and `graceWindow`)
+  * @param {Object} [opts.metrics] - Receives the adapter's metrics through `timing(name, ms, labels)`,
+  *   `increment(name, value, labels)` and `gauge(name, value, labels)`, ie. `PrometheusMetrics`
+  * @param {Object} [opts.logger=console] - Logs errors of background work through `error(err)`
+  */
+  constructor (storage, primus, opts = {}) {
     super(opts)
+    EventEmitter.call(this)
 
-    if (redis instanceof Redis) {
-      this.redis = redis
+    this._cluster = !!opts.cluster
+
+    if (storage instanceof Redis.Cluster && !this._cluster) {
+      throw new Error('redis object is an ioredis cluster, which requires the `cluster` option')
+    } else if (storage instanceof Redis && !(storage instanceof Redis.Cluster) && this._cluster) {
+      throw new Error('the `cluster` option requires an ioredis cluster')
+    } else if (storage instanceof Redis || storage instanceof Redis.Cluster) {
+      this.storage = storage
+      Object.keys(scripts).forEach(name => {
+        if (!this.storage[name]) this.storage.defineCommand(name, scripts[name])
+      })
+    } else if (isStorage(storage, this._cluster)) {
+      this.storage = storage
     } else {
-      throw new Error('redis object is not an instance of ioredis')
+      throw new Error('storage object is neither an instance of ioredis nor implements the storage interface')
     }
 
     if (primus) {
@@ -41,9 +177,56 @@ module.exports = class PrimusRoomsMetroplexAdapter extends PrimusRoomsAdapter {
       throw new Error('PrimusRoomsMetroplexAdapter must be instantiated after metroplex')
     }
 
+    if (opts.metrics && !METRICS_METHODS.every(name => typeof opts.metrics[name] === 'function')) {
+      throw new Error('metrics object does not implement `timing`, `increment` and `gauge`')
+    }
+
+    this._metrics = opts.metrics || noopMetrics
+    this._logger = opts.logger || console
+
     this._namespace = opts.namespace || 'room_manager'
     this._identifier = opts.identifier || new Date().getTime()
 
+    const Transport = opts.transport || OmegaSupremeTransport
+    this._transport = new Transport(this, opts.transportOptions)
+    this._forwardOptions = {
+      concurrency: opts.forwardConcurrency || DEFAULT_FORWARD_CONCURRENCY,
+      retries: opts.forwardRetries != null ? opts.forwardRetries : DEFAULT_FORWARD_RETRIES,
+      retryInterval: opts.forwardRetryInterval || DEFAULT_FORWARD_RETRY_INTERVAL_MS
+    }
+
+    this._presence = opts.presence
+      ? new Presence(this, opts.presence === true ? {} : opts.presence)
+      : null
+
+    this._membershipCache = opts.membershipCache
+      ? new MembershipCache(this, opts.membershipCache === true ? {} : opts.membershipCache)
+      : null
+
+    this._history = opts.history
+      ? { maxLength: opts.history.maxLength || DEFAULT_HISTORY_MAX_LENGTH }
+      : null
+
+    if (opts.roomCapacity != null && this._cluster) {
+      throw new Error('the `roomCapacity` option is not available in cluster mode')
+    }
+
+    this._joinPolicy = opts.joinPolicy ? async.asyncify(opts.joinPolicy) : null
+    this._roomCapacity = opts.roomCapacity != null ? opts.roomCapacity : null
+
+    this._sessions = opts.sessions
+      ? new Sessions(this, opts.sessions)
+      : null
+
+    this._reaperInterval = opts.reaperInterval || null
+
+    this._roomSetTTLRefresher = null
+    this._reaper = null
+    this._primusListeners = []
+    // users bound to sparks of this server instance
+    this._sparkUsers = new Map()
+    this._destroyed = false
+
     this._roomSparkSetTTLSeconds = Math.ceil(
       (this.primus.metroplex.interval || DEFAULT_ROOM_REFRESH_INTERVAL_MS) / 1000 * TTL_REFRESH_DRIFT_FACTOR
     )
@@ -53,319 +236,1787 @@ module.exports = class PrimusRoomsMetroplexAdapter extends PrimusRoomsAdapter {
   }
 
   /**
-  * Initializes redis key TTL refreshers
+  * Initializes redis key TTL refreshers, the transport, presence events,
+  * the membership cache and sessions
   */
   initialize () {
     this._initializeRoomSetTTLRefresher()
     this._initializeSparkSetsTTLRefresher()
+    this._initializeServerSparkSetRegistry()
+    if (this._reaperInterval) this._initializeReaper()
+    this._transport.initialize()
+    if (this._presence) this._presence.initialize()
+    if (this._membershipCache) this._membershipCache.initialize()
+    if (this._sessions) this._sessions.initialize()
   }
 
   /**
-  * Adds a socket to a room
-  * @param {String} id - Socket id
-  * @param {String} room - Room name
-  * @param {Function} callback - Callback
+  * Stops the TTL refreshers, the transport, presence events, the membership cache and sessions, and removes the room
+  * state of this server instance so other servers stop sending to it
+  * @param {Function} [callback] - Callback. Returns a promise if omitted
   */
-  add (id, room, callback) {
-    const roomSparkSetKey = this._roomSparkSetKey(room)
-    const sparkRoomSetKey = this._sparkRoomSetKey(id)
-    this.redis.multi()
-      .sadd(roomSparkSetKey, id)
-      .expire(roomSparkSetKey, this._roomSparkSetTTLSeconds)
-      .sadd(sparkRoomSetKey, room)
-      .expire(sparkRoomSetKey, this._sparkRoomSetTTLSeconds)
-      .exec((err, results) => {
-        if (err) return callback(err)
-        this._validateMultiResults(results, err => callback(err))
+  destroy (callback) {
+    return withCallback(callback, callback => {
+      this._destroyed = true
+      clearInterval(this._roomSetTTLRefresher)
+      this._roomSetTTLRefresher = null
+      clearInterval(this._reaper)
+      this._reaper = null
+
+      this._primusListeners.forEach(({ event, listener }) => {
+        this.primus.removeListener(event, listener)
       })
+      this._primusListeners = []
+      this._sparkUsers.clear()
+
+      this._transport.destroy()
+      if (this._presence) this._presence.destroy()
+      if (this._membershipCache) this._membershipCache.destroy()
+      if (this._sessions) this._sessions.destroy()
+      this._removeServerInstance(this._serverInstance, callback)
+    })
   }
 
   /**
-  * Get rooms the socket is in or get all rooms if no socket ID is provided
-  * returns Array of room names
-  * @param {String} [id] Socket id
-  * @param {Function} callback Callback
+  * Removes the room state of server instances whose address metroplex
+  * no longer knows about, or which stopped refreshing their TTLs.
+  * Only one node reaps at a time; others skip the run while it is locked.
+  * returns Array of the reaped server instances
+  * @param {Function} [callback] - Callback. Returns a promise if omitted
   */
-  get (id, callback) {
-    if (id) {
-      this.redis.smembers(this._sparkRoomSetKey(id), callback)
-    } else {
-      this._keysMatchingPattern(`${this._namespace}:rooms:*:*`, (err, keys) => {
+  reap (callback) {
+    return withCallback(callback, this._timed('reap', callback => {
+      const lockKey = this._reaperLockKey()
+      const lockToken = `${this._serverInstance}:${Date.now()}`
+
+      this.storage.set(lockKey, lockToken, 'PX', REAPER_LOCK_TTL_MS, 'NX', (err, locked) => {
         if (err) return callback(err)
+        if (!locked) return callback(null, [])
 
-        const rooms = uniq(keys.map(key => {
-          const parts = key.split(':')
-          return parts[parts.length - 1]
-        }))
+        async.autoInject({
+          deadServerInstances: callback => {
+            this._deadServerInstances(callback)
+          },
 
-        callback(null, rooms)
+          removeData: (deadServerInstances, callback) => {
+            async.eachSeries(deadServerInstances, this._removeServerInstance.bind(this), callback)
+          }
+        }, (err, results) => {
+          this.storage.releaseLock(lockKey, lockToken, lockErr => {
+            if (err || lockErr) return callback(err || lockErr)
+            callback(null, results.deadServerInstances)
+          })
+        })
       })
-    }
+    }))
   }
 
   /**
-  * Remove a socket from a room or all rooms if a room name is not passed.
-  * @param {String} id - Socket id
-  * @param {String} [room] - Room name
-  * @param {Function} callback Callback
+  * Moves the room sets of rooms whose names need encoding in keys
+  * (ie. names containing `:`, `*` or `%`) from the unencoded keys written
+  * by earlier versions, and adds the room sets of earlier versions to the
+  * room index. Meant to be run once all servers are upgraded; unmigrated
+  * keys are otherwise ignored until they expire. Room sets of server
+  * instances which are neither known nor listed by metroplex are left to expire
+  * returns Number of migrated room sets
+  * @param {Function} [callback] - Callback. Returns a promise if omitted
   */
-  del (id, room, callback) {
-    if (room) {
-      this.redis.multi()
-        .srem(this._roomSparkSetKey(room), id)
-        .srem(this._sparkRoomSetKey(id), room)
-        .exec((err, results) => {
-          if (err) return callback(err)
-          this._validateMultiResults(results, err => callback(err))
-        })
-    } else {
-      this.redis.smembers(this._sparkRoomSetKey(id), (err, roomsForUser) => {
-        if (err) return callback(err)
+  migrateRoomKeys (callback) {
+    return withCallback(callback, callback => {
+      const roomKeyPrefix = `${this._namespace}:rooms:`
 
-        const multi = this.redis.multi()
+      async.autoInject({
+        liveAddresses: callback => {
+          this.primus.metroplex.servers((err, servers) => callback(err, servers))
+        },
 
-        multi.srem(this._roomSparkSetKey(room), id)
+        knownServerInstances: callback => {
+          this._knownServerInstances(callback)
+        },
 
-        roomsForUser.forEach(room => {
-          multi.srem(this._roomSparkSetKey(room), id)
-        })
+        // earlier versions didn't index their rooms, so room sets are found with `scan`
+        roomKeys: callback => {
+          this._keysMatchingPattern(`${escapeGlob(roomKeyPrefix)}*`, callback)
+        },
 
-        multi
-          .del(this._sparkRoomSetKey(id))
-          .exec((err, results) => {
-            if (err) return callback(err)
-            this._validateMultiResults(results, err => callback(err))
+        counts: (liveAddresses, knownServerInstances, roomKeys, callback) => {
+          const serverInstances = union([this._serverInstance], knownServerInstances.serverInstances)
+          const roomKeysByServerInstance = {}
+
+          roomKeys.forEach(key => {
+            const split = this._splitLegacyRoomKey(key.slice(roomKeyPrefix.length), serverInstances, liveAddresses)
+            if (!split) return
+
+            const [serverInstance, room] = split
+            roomKeysByServerInstance[serverInstance] = roomKeysByServerInstance[serverInstance] || []
+            roomKeysByServerInstance[serverInstance].push({ room, key })
           })
+
+          async.mapSeries(Object.keys(roomKeysByServerInstance), (serverInstance, callback) => {
+            this._migrateServerRoomKeys(serverInstance, roomKeysByServerInstance[serverInstance], callback)
+          }, callback)
+        }
+      }, (err, { counts }) => {
+        if (err) return callback(err)
+        callback(null, sum(counts))
       })
-    }
+    })
   }
 
   /**
-  * Broadcast a packet. If no rooms are provided, will broadcast to all rooms.
-  * @param {*} data - Data to broadcast
-  * @param {Object} [opts] - Broadcast options
-  * @param {Array} [opts.except=[]] - Socket ids to exclude
-  * @param {Array} [opts.rooms=[]] - List of rooms to broadcast to
-  * @param {Function} [opts.transformer] - Message transformer
-  * @param {Object} clients - Connected clients
-  * @param {Function} [callback] - Optional callback
+  * Adds a socket to one or more rooms. Multiple rooms are joined atomically.
+  * Joins rejected by `opts.joinPolicy` or `opts.roomCapacity` fail with a
+  * `JoinRejectedError`, and the socket joins none of the rooms
+  * @param {String} id - Socket id
+  * @param {String|Array} rooms - Room name or names
+  * @param {Function} [callback] - Callback. Returns a promise if omitted
   */
-  broadcast (data, opts, clients, callback) {
-    opts = opts || {}
-    opts.rooms = opts.rooms || []
-    opts.except = opts.except || []
-    opts.transformer = opts.transformer || (data => data[0])
-    callback = callback || (err => err && console.error(err))
+  add (id, rooms, callback) {
+    rooms = castArray(rooms)
 
-    const transformedData = opts.transformer(data)
+    return withCallback(callback, this._timed('add', callback => {
+      if (rooms.length === 0) return callback()
 
-    if (opts.rooms.length > 0) {
       async.waterfall([
         callback => {
-          async.map(opts.rooms, this.clients.bind(this), (err, results) => {
-            if (err) return callback(err)
-            callback(null, flatten(results))
-          })
+          this._checkJoinPolicy(id, rooms, callback)
         },
 
-        (sparkIds, callback) => {
-          const withoutExcluded = without(sparkIds, ...opts.except)
-          this._sendToSparks(withoutExcluded, transformedData, callback)
-        }
-      ], callback)
-    } else {
-      // this is currently very inefficient for a large number of sparks,
-      // as it simply scans all spark-room keys and parses the spark ids from the keys
+        callback => {
+          this.storage.addSpark(...this._addSparkArgs(id, rooms), callback)
+        },
 
-      // ideally, we store set `room_manager:${namespace}_${identifier}:sparks` to quickly
-      // look up all of the sparks across servers
-      // however, this doesn't seem to get called in practice, so i'm avoiding over-optimizing.
-      this._keysMatchingPattern(`${this._namespace}:sparks:*`, 5000, (err, keys) => {
-        if (err) return
-        const sparkIds = keys.map(key => key.substring(`${this._namespace}:sparks:`.length))
-        this._sendToSparks(sparkIds, transformedData, callback)
-      })
-    }
+        (added, callback) => {
+          // a full room rejects the whole join, in which case the script joined none of the rooms
+          const fullRoomIndex = added.indexOf(-1)
+          if (fullRoomIndex === -1) return callback(null, added)
+
+          const room = rooms[fullRoomIndex]
+          callback(new JoinRejectedError(id, room, 'capacity', this._capacityOf(room)))
+        },
+
+        (added, callback) => {
+          // in cluster mode, rooms are found through the server instance
+          // index, so this server instance must be registered in it
+          if (!this._cluster) return callback(null, added)
+          this._registerServerInstance(this._roomSparkSetTTLSeconds, err => callback(err, added))
+        },
+
+        (added, callback) => {
+          if (!this._sessions) return callback(null, added)
+          this._sessions.joined(id, rooms, err => callback(err, added))
+        },
+
+        (added, callback) => {
+          const joinedRooms = rooms.filter((room, i) => added[i])
+          if (joinedRooms.length === 0) return callback()
+
+          this._roomsChanged(joinedRooms, () => {
+            this._publishPresence(joinedRooms.map(room => {
+              return { event: 'join', room, sparkIds: [id] }
+            }), callback)
+          })
+        }
+      ], err => callback(err))
+    }))
   }
 
   /**
-    * Get client ids connected to a room.
-    * returns Array of spark ids
-    * @param {String} room - Room name
-    * @param {Function} callback - Callback
-    */
-  clients (room, callback) {
-    async.waterfall([
-      callback => {
-        this._keysMatchingPattern(`${this._namespace}:rooms:*:${room}`, callback)
-      },
+  * Get rooms the socket is in or get all rooms if no socket ID is provided
+  * returns Array of room names
+  * @param {String} [id] Socket id
+  * @param {Function} [callback] Callback. Returns a promise if omitted
+  */
+  get (id, callback) {
+    if (typeof id === 'function') {
+      callback = id
+      id = null
+    }
 
-      (roomKeys, callback) => {
-        this._setMembersForKeys(roomKeys, callback)
+    return withCallback(callback, this._timed('get', callback => {
+      if (this._cluster) {
+        // without a room index, the rooms are those of each live server instance.
+        // spark->room sets are scoped by server instance as well, and the
+        // spark may be connected to any of them
+        const roomSetKey = serverInstance => {
+          return id ? this._sparkRoomSetKey(id, serverInstance) : this._serverRoomSetKey(serverInstance)
+        }
+
+        this._liveServerInstances((err, serverInstances) => {
+          if (err) return callback(err)
+
+          async.map(serverInstances, (serverInstance, callback) => {
+            this.storage.smembers(roomSetKey(serverInstance), callback)
+          }, (err, roomGroups) => {
+            if (err) return callback(err)
+            callback(null, union(...roomGroups))
+          })
+        })
+      } else if (id) {
+        this.storage.smembers(this._sparkRoomSetKey(id), callback)
+      } else {
+        this.storage.zrangebyscore(this._roomNamesKey(), Date.now(), '+inf', callback)
       }
-    ], callback)
+    }))
   }
 
   /**
-  * Remove all sockets from a room.
-  * @param {String|Array} room - Room name
-  * @param {Function} callback - Callback
+  * Remove a socket from one or more rooms, or all rooms if a room name is not passed.
+  * Multiple rooms are left atomically
+  * @param {String} id - Socket id
+  * @param {String|Array} [rooms] - Room name or names
+  * @param {Function} [callback] Callback. Returns a promise if omitted
   */
-  empty (room, callback) {
-    async.autoInject({
-      roomKeys: callback => {
-        this._keysMatchingPattern(`${this._namespace}:rooms:*:${room}`, callback)
-      },
+  del (id, rooms, callback) {
+    if (typeof rooms === 'function') {
+      callback = rooms
+      rooms = null
+    }
 
-      sparkIds: (roomKeys, callback) => {
-        this._setMembersForKeys(roomKeys, callback)
-      },
+    return withCallback(callback, this._timed('del', callback => {
+      if (rooms) {
+        rooms = castArray(rooms)
+        if (rooms.length === 0) return callback()
 
-      removeData: (roomKeys, sparkIds, callback) => {
-        const multi = this.redis.multi().del(roomKeys)
+        const now = Date.now()
+        const multi = this.storage.multi()
 
-        sparkIds.forEach(sparkId => {
-          multi.srem(this._sparkRoomSetKey(sparkId), room)
+        rooms.forEach(room => {
+          const keys = this._membershipKeys(id, room)
+
+          multi.delSpark(
+            keys.length,
+            ...keys,
+            id,
+            room,
+            this._serverInstance,
+            now,
+            this._roomSparkSetTTLSeconds
+          )
         })
 
         multi.exec((err, results) => {
           if (err) return callback(err)
-          this._validateMultiResults(results, err => callback(err))
+
+          this._validateMultiResults(results, err => {
+            if (err) return callback(err)
+
+            const leftRooms = []
+            rooms.forEach((room, i) => {
+              const [removed, roomEmpty] = results[i][1]
+              if (removed) leftRooms.push([room, roomEmpty])
+            })
+
+            async.series([
+              callback => this._sessions ? this._sessions.left(id, rooms, callback) : callback(),
+              callback => this._publishLeave(id, leftRooms, callback)
+            ], err => callback(err))
+          })
+        })
+      } else {
+        // leaving all rooms isn't removed from the session of the
+        // spark, as primus-rooms does it whenever a spark disconnects
+        this.storage.delSparkFromAllRooms(...this._delSparkFromAllRoomsArgs(id), (err, leftRooms) => {
+          if (err) return callback(err)
+          this._publishLeave(id, chunk(leftRooms, 2), callback)
         })
       }
-    }, callback)
+    }))
   }
 
   /**
-  * Check if a room is empty.
-  * returns `true` if the room is empty, else `false`
-  * @param {String} room - Room name
-  * @param {Function} callback - Callback
+  * Broadcast a packet. If no rooms are provided, will broadcast to all connected sparks.
+  * @param {*} data - Data to broadcast
+  * @param {Object} [opts] - Broadcast options
+  * @param {Array} [opts.except=[]] - Socket ids to exclude
+  * @param {Array} [opts.exceptRooms=[]] - Rooms whose sockets are excluded
+  * @param {Array} [opts.rooms=[]] - List of rooms to broadcast to
+  * @param {Array} [opts.users=[]] - List of users whose sparks are broadcast to,
+  *   along with the sparks of `opts.rooms`
+  * @param {Function} [opts.transformer] - Message transformer
+  * @param {Object} clients - Connected clients
+  * @param {Function} [callback] - Optional callback. Returns a promise if omitted
+  * returns Object delivery report with the number of targeted `sparks`, `failedSparks`
+  *   and `retries`, and the same for each server instance in `serverInstances`,
+  *   along with whether it was `delivered` and the last `error`. If forwarding
+  *   to any server instance failed, the error has the report as `err.report`
   */
-  isEmpty (room, callback) {
-    this._keysMatchingPattern(`${this._namespace}:rooms:*:${room}`, (err, roomKeys) => {
+  broadcast (data, opts, clients, callback) {
+    if (!callback) {
+      const promise = withCallback(null, callback => this.broadcast(data, opts, clients, callback))
+      // primus-rooms never waits for the result, so failed broadcasts are
+      // logged here instead of crashing the process as unhandled rejections
+      promise.catch(err => this._logger.error(err))
+      return promise
+    }
+
+    opts = opts || {}
+    opts.rooms = opts.rooms || []
+    opts.users = opts.users || []
+    opts.except = opts.except || []
+    opts.exceptRooms = opts.exceptRooms || []
+    opts.transformer = opts.transformer || (data => data[0])
+
+    const delivery = new Delivery(this, opts.transformer(data), this._forwardOptions)
+    let reported = false
+    const reportDelivery = err => {
+      if (reported) return
+      reported = true
       if (err) return callback(err)
-      callback(null, roomKeys.length === 0)
-    })
+
+      this._metrics.increment('broadcasts')
+      this._metrics.increment('broadcast_targeted_sparks', delivery.report.sparks)
+
+      const deliveryErr = delivery.error()
+      if (deliveryErr) return callback(deliveryErr)
+      callback(null, delivery.report)
+    }
+
+    try {
+      this._timed('broadcast', callback => {
+        async.series([
+          callback => this._appendHistory(opts.rooms, delivery.data, callback),
+          callback => {
+            // the membership cache holds whole rooms, so they are read at once.
+            // it doesn't hold users, so broadcasts to users are read a page at a time
+            if (this._membershipCache && opts.rooms.length > 0 && opts.users.length === 0) {
+              return this._broadcastCached(delivery, opts, callback)
+            }
+
+            this._broadcastPages(delivery, opts, callback)
+          }
+        ], callback)
+      })(reportDelivery)
+    } catch (err) {
+      // storages may throw instead of calling back, ie. on commands they don't
+      // implement. errors thrown once the broadcast was reported are the caller's
+      if (reported) throw err
+      reportDelivery(err)
+    }
   }
 
   /**
-  * Reset the store. Will remove everything including all socket data from other adapter in the same cluster
-  * @param {Function} callback - Callback
+  * Send the messages kept in the history of a room to one of its clients, in the
+  * order they were broadcast, ie. for catching up after joining. Requires `opts.history`
+  * returns Array of the replayed messages, as objects of their stream `id` and `data`
+  * @param {String} sparkId - Spark id. Must be in the room
+  * @param {String} room - Room name
+  * @param {Object} [opts] - Options. Without any, the whole history is replayed
+  * @param {String|Number|Date} [opts.since] - Only replays messages after the one with
+  *   this id, or broadcast at or after this time (ms or Date)
+  * @param {Number} [opts.last] - Only replays the last `last` messages
+  * @param {Function} [callback] - Callback. Returns a promise if omitted
   */
-  clear (callback) {
-    this._keysMatchingPattern(`${this._namespace}:*`, (err, keys) => {
-      if (err) return callback(err)
-      this.redis.del(keys, err => callback(err))
-    })
-  }
+  replay (sparkId, room, opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts
+      opts = null
+    }
+    opts = opts || {}
 
-  _initializeRoomSetTTLRefresher () {
-    setInterval(() => {
-      this._refreshRoomSetsTTL(this._roomSparkSetTTLSeconds, err => {
-        if (err) console.error(new Error(`Error refreshing room->spark set TTL: ${err}`))
+    return withCallback(callback, this._timed('replay', callback => {
+      if (!this._history) return callback(new Error('replay requires the `history` option'))
+
+      async.autoInject({
+        serverInstance: callback => this._sparkServerInstanceInRoom(sparkId, room, callback),
+        messages: callback => this._readHistory(room, opts, callback),
+        replayed: (serverInstance, messages, callback) => {
+          // messages are delivered one at a time to keep them in order
+          async.eachSeries(messages, (message, callback) => {
+            const delivery = new Delivery(this, message.data, this._forwardOptions)
+            delivery.send({ [serverInstance]: [sparkId] }, () => callback(delivery.error()))
+          }, callback)
+        }
+      }, (err, results) => {
+        if (err) return callback(err)
+        callback(null, results.messages)
       })
-    }, Math.floor(this._roomSparkSetTTLSeconds / TTL_REFRESH_DRIFT_FACTOR * 1000))
+    }))
   }
 
-  _refreshRoomSetsTTL (ttl, callback) {
-    this._keysMatchingPattern(`${this._namespace}:rooms:${this._serverInstance}:*`, (err, roomKeys) => {
-      if (err) return callback(err)
+  /**
+    * Get client ids connected to a room. For multiple rooms, gets the ids
+    * of clients in any of the rooms, or in all of them with `opts.intersect`
+    * returns Array of spark ids, without duplicates
+    * @param {String|Array} rooms - Room name or names
+    * @param {Object} [opts] - Options
+    * @param {Boolean} [opts.intersect=false] - Only get clients in all of the rooms
+    * @param {Function} [callback] - Callback. Returns a promise if omitted
+    */
+  clients (rooms, opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts
+      opts = null
+    }
+    opts = opts || {}
 
-      const multi = this.redis.multi()
-      roomKeys.forEach(roomKey => {
-        multi.expire(roomKey, ttl)
-      })
-      multi.exec((err, results) => {
+    return withCallback(callback, this._timed('clients', callback => {
+      if (!Array.isArray(rooms)) return this._roomClients(rooms, callback)
+
+      async.map(rooms, this._roomClients.bind(this), (err, sparkIdGroups) => {
         if (err) return callback(err)
-        this._validateMultiResults(results, err => callback(err))
+        if (sparkIdGroups.length === 0) return callback(null, [])
+        callback(null, opts.intersect ? intersection(...sparkIdGroups) : union(...sparkIdGroups))
       })
-    })
+    }))
   }
 
-  _initializeSparkSetsTTLRefresher () {
-    this.primus.on('connection', spark => {
-      spark.on('heartbeat', () => {
-        this.redis.expire(this._sparkRoomSetKey(spark.id), this._sparkRoomSetTTLSeconds, err => {
-          if (err) console.error(new Error(`Error refreshing spark->room set TTL: ${err}`))
-        })
-      })
-    })
+  /**
+  * Iterate the ids of the clients connected to a room a page at a time, as they
+  * are scanned, without loading all of them into memory.
+  * returns Async iterator of Arrays of spark ids
+  * @param {String} room - Room name
+  * @param {Object} [opts] - Options
+  * @param {Number} [opts.count=10000] - Number of ids to scan per page. Like the
+  *   `COUNT` of `sscan`, it's a hint, so pages can be bigger or smaller
+  */
+  iterateClients (room, opts = {}) {
+    return this._iterateSetMembers(callback => this._roomKeysForRoom(room, callback), opts.count)
   }
 
-  get _serverInstance () {
-    // primus.metroplex.address is set asynchronously,
-    // which is why we can't access & set this value in the constructor
-
-    // concatenate with unique identifier so server instances
-    // are unique between crashes, preventing the re-usage
-    // of past room lists
-    if (!this._serverInstanceValue) {
-      this._serverInstanceValue = `${this.primus.metroplex.address}_${this._identifier}`
-    }
-
-    return this._serverInstanceValue
-  }
+  /**
+  * Iterate the names of all rooms a page at a time, as they are scanned,
+  * without loading all of them into memory.
+  * returns Async iterator of Arrays of room names
+  * @param {Object} [opts] - Options
+  * @param {Number} [opts.count=10000] - Number of rooms to scan per page. Like the
+  *   `COUNT` of `scan`, it's a hint, so pages can be bigger or smaller
+  */
+  iterateRooms (opts = {}) {
+    const count = opts.count || MEMBERS_SSCAN_COUNT
 
-  _roomSparkSetKey (room) {
-    return `${this._namespace}:rooms:${this._serverInstance}:${room}`
-  }
+    if (!this._cluster) {
+      return new PageIterator(callback => callback(null, [(cursor, callback) => {
+        this.storage.zscan(this._roomNamesKey(), cursor, 'COUNT', count, (err, result) => {
+          if (err) return callback(err)
 
-  _sparkRoomSetKey (sparkId) {
-    return `${this._namespace}:sparks:${sparkId}`
-  }
+          const [nextCursor, roomsAndExpiries] = result
+          const now = Date.now()
+          const rooms = chunk(roomsAndExpiries, 2)
+            .filter(([room, expiresAt]) => Number(expiresAt) >= now)
+            .map(([room]) => room)
 
-  // redis recommends we use `scan` instead of `keys`
-  // when iterating large sets of keys.
-  // see https://redis.io/commands/scan
-  _keysMatchingPattern (pattern, count, callback) {
-    if (!callback) {
-      callback = count
-      count = DEFAULT_KEYS_MATCH_SCAN_COUNT
+          callback(null, [nextCursor, rooms])
+        })
+      }]))
     }
 
-    let cursor = 0
-    const keys = []
+    // without a room index, the rooms of each live server instance are scanned.
+    // rooms are skipped if an earlier server instance has them as well
+    return new PageIterator(callback => {
+      this._liveServerInstances((err, serverInstances) => {
+        if (err) return callback(err)
+
+        callback(null, serverInstances.map((serverInstance, i) => (cursor, callback) => {
+          this.storage.sscan(this._serverRoomSetKey(serverInstance), cursor, 'COUNT', count, (err, result) => {
+            if (err) return callback(err)
 
-    async.doWhilst(cb => {
-      this.redis.scan(cursor, 'MATCH', pattern, 'COUNT', count, (err, result) => {
-        if (err) return cb(err)
-        const [newCursor, newKeys] = result
-        cursor = newCursor
-        keys.push(...newKeys)
-        cb()
+            const [nextCursor, rooms] = result
+            async.reject(rooms, (room, callback) => {
+              async.some(serverInstances.slice(0, i), (previousServerInstance, callback) => {
+                this.storage.sismember(this._serverRoomSetKey(previousServerInstance), room, (err, isMember) => {
+                  callback(err, isMember === 1)
+                })
+              }, callback)
+            }, (err, rooms) => callback(err, [nextCursor, rooms]))
+          })
+        }))
       })
-    }, () => cursor !== '0', err => {
-      if (err) return callback(err)
-      callback(null, keys)
     })
   }
 
-  // returns all members of n sets using sscan instead of ssmembers
-  // useful in situations where a set can contain many members
-  // and we want to avoid blocking redis, which is single-threaded
-  // see https://redis.io/commands/scan
-  _setMembersForKeys (keys, callback) {
-    async.map(keys, (roomKey, callback) => {
-      let cursor = 0
-      const members = []
-
-      async.doWhilst(cb => {
-        this.redis.sscan(roomKey, cursor, 'COUNT', MEMBERS_SSCAN_COUNT, (err, result) => {
-          if (err) return cb(err)
-          const [newCursor, newMembers] = result
-          cursor = newCursor
-          members.push(...newMembers)
-          cb()
-        })
-      }, () => cursor !== '0', err => {
+  /**
+  * Binds a spark connected to this server instance to a user, so it can be
+  * addressed along with the user's other sparks. A spark is bound to one user
+  * at a time, and is unbound once it disconnects
+  * @param {String} sparkId - Spark id
+  * @param {String|null} userId - User id, or `null` to unbind the spark
+  * @param {Function} [callback] - Callback. Returns a promise if omitted
+  */
+  bindUser (sparkId, userId, callback) {
+    return withCallback(callback, this._timed('bindUser', callback => {
+      const previousUserId = this._sparkUsers.get(sparkId)
+      const multi = this.storage.multi()
+
+      if (previousUserId != null) multi.srem(this._userSparkSetKey(previousUserId), sparkId)
+      if (userId != null) {
+        multi
+          .sadd(this._userSparkSetKey(userId), sparkId)
+          .expire(this._userSparkSetKey(userId), this._sparkRoomSetTTLSeconds)
+      }
+
+      async.series([
+        callback => {
+          multi.exec((err, results) => {
+            if (err) return callback(err)
+            this._validateMultiResults(results, callback)
+          })
+        },
+
+        callback => {
+          // user sets are found through the server instance index
+          if (userId == null) return callback()
+          this._registerServerInstance(this._roomSparkSetTTLSeconds, callback)
+        }
+      ], err => {
         if (err) return callback(err)
-        callback(null, members)
+
+        if (userId == null) {
+          this._sparkUsers.delete(sparkId)
+        } else {
+          this._sparkUsers.set(sparkId, String(userId))
+        }
+        callback()
       })
-    }, (err, memberGroups) => {
-      if (err) return callback(err)
-      callback(null, flatten(memberGroups))
-    })
+    }))
+  }
+
+  /**
+  * Get the ids of the sparks bound to a user, across servers
+  * returns Array of spark ids
+  * @param {String} userId - User id
+  * @param {Function} [callback] - Callback. Returns a promise if omitted
+  */
+  sparksForUser (userId, callback) {
+    return withCallback(callback, this._timed('sparksForUser', callback => {
+      this._userSparkIdsByServer(userId, (err, sparkIdsByServer) => {
+        if (err) return callback(err)
+        callback(null, flatten(Object.keys(sparkIdsByServer).map(serverInstance => sparkIdsByServer[serverInstance])))
+      })
+    }))
+  }
+
+  /**
+  * Remove all sockets from a room.
+  * @param {String|Array} room - Room name
+  * @param {Function} [callback] - Callback. Returns a promise if omitted
+  */
+  empty (room, callback) {
+    return withCallback(callback, this._timed('empty', callback => {
+      const publishEmptied = (err, sparkIds) => {
+        if (err) return callback(err)
+        if (sparkIds.length === 0) return callback()
+
+        this._roomsChanged([room], () => {
+          this._publishPresence([
+            { event: 'leave', room, sparkIds },
+            { event: 'roomEmpty', room, sparkIds: [null] }
+          ], callback)
+        })
+      }
+
+      if (!this._cluster) {
+        return this.storage.emptyRoom(...this._emptyRoomArgs(room), publishEmptied)
+      }
+
+      this._serverInstancesForRoom(room, (err, serverInstances) => {
+        if (err) return callback(err)
+
+        async.map(serverInstances, (serverInstance, callback) => {
+          this.storage.emptyServerRoom(...this._emptyServerRoomArgs(room, serverInstance), callback)
+        }, (err, sparkIdGroups) => publishEmptied(err, flatten(sparkIdGroups || [])))
+      })
+    }))
+  }
+
+  /**
+  * Check if a room is empty.
+  * returns `true` if the room is empty, else `false`
+  * @param {String} room - Room name
+  * @param {Function} [callback] - Callback. Returns a promise if omitted
+  */
+  isEmpty (room, callback) {
+    return withCallback(callback, this._timed('isEmpty', callback => {
+      this._roomKeysForRoom(room, (err, roomKeys) => {
+        if (err) return callback(err)
+        if (roomKeys.length === 0) return callback(null, true)
+
+        this._countExistingKeys(roomKeys, (err, count) => {
+          if (err) return callback(err)
+          callback(null, count === 0)
+        })
+      })
+    }))
+  }
+
+  /**
+  * Count the sparks in a room, without loading their ids.
+  * returns Number of sparks
+  * @param {String} room - Room name
+  * @param {Function} [callback] - Callback. Returns a promise if omitted
+  */
+  count (room, callback) {
+    return withCallback(callback, this._timed('count', callback => {
+      this._roomKeysForRoom(room, (err, roomKeys) => {
+        if (err) return callback(err)
+
+        // a spark is only connected to one server instance,
+        // so the room->spark sets don't overlap
+        async.map(roomKeys, (roomKey, callback) => {
+          this.storage.scard(roomKey, callback)
+        }, (err, counts) => {
+          if (err) return callback(err)
+          callback(null, sum(counts))
+        })
+      })
+    }))
+  }
+
+  /**
+  * Get statistics of the rooms and sparks of all live server instances.
+  * returns Object with the total number of `rooms` and connected `sparks`,
+  *   the number of `rooms` and `sparks` of each server instance in `serverInstances`,
+  *   and the `biggestRooms` as `{ room, sparks }` objects, biggest first
+  * @param {Object} [opts] - Options
+  * @param {Number} [opts.biggestRooms=10] - Number of biggest rooms to return
+  * @param {Function} [callback] - Callback. Returns a promise if omitted
+  */
+  stats (opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts
+      opts = null
+    }
+    opts = opts || {}
+
+    const biggestRoomsLimit = opts.biggestRooms || DEFAULT_STATS_BIGGEST_ROOMS
+
+    return withCallback(callback, this._timed('stats', callback => {
+      this._liveServerInstances((err, serverInstances) => {
+        if (err) return callback(err)
+
+        async.map(serverInstances, this._serverInstanceStats.bind(this), (err, serverStats) => {
+          if (err) return callback(err)
+
+          const roomSizes = {}
+          const stats = { rooms: 0, sparks: 0, serverInstances: {}, biggestRooms: [] }
+
+          serverStats.forEach(({ sparks, roomSizes: serverRoomSizes }, i) => {
+            const rooms = Object.keys(serverRoomSizes)
+            rooms.forEach(room => {
+              roomSizes[room] = (roomSizes[room] || 0) + serverRoomSizes[room]
+            })
+
+            stats.sparks += sparks
+            stats.serverInstances[serverInstances[i]] = { rooms: rooms.length, sparks }
+          })
+
+          const rooms = Object.keys(roomSizes)
+          stats.rooms = rooms.length
+          stats.biggestRooms = orderBy(rooms.map(room => ({ room, sparks: roomSizes[room] })), ['sparks', 'room'], ['desc', 'asc'])
+            .slice(0, biggestRoomsLimit)
+
+          callback(null, stats)
+        })
+      })
+    }))
+  }
+
+  /**
+  * Check that the room->spark and spark->room sets agree. Both are walked
+  * with `scan` and `sscan`, so it's safe to run on a live deployment.
+  * returns Object report with the number of `roomSets` and `sparkSets` checked,
+  *   the `counts` of each type of issue, the `issues` as objects of their `type`,
+  *   `room`, `sparkId` and `serverInstance`, and a one-line `summary`
+  * @param {Object} [opts] - Options
+  * @param {Number} [opts.maxIssues=1000] - Number of issues listed in the report. All are counted
+  * @param {Function} [callback] - Callback. Returns a promise if omitted
+  */
+  verify (opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts
+      opts = null
+    }
+    opts = opts || {}
+
+    return withCallback(callback, this._timed('verify', callback => {
+      new IndexCheck(this, { maxIssues: opts.maxIssues }).run(callback)
+    }))
+  }
+
+  /**
+  * Fix the issues `verify` finds: orphaned members are removed from their room,
+  * and one-sided memberships are added to or removed from the spark->room set.
+  * returns Object report like `verify`, with the number of `repaired` issues
+  * @param {Object} [opts] - Options
+  * @param {Boolean} [opts.dryRun=false] - Only reports the issues which would be repaired
+  * @param {Number} [opts.maxIssues=1000] - Number of issues listed in the report. All are counted
+  * @param {Function} [callback] - Callback. Returns a promise if omitted
+  */
+  repair (opts, callback) {
+    if (typeof opts === 'function') {
+      callback = opts
+      opts = null
+    }
+    opts = opts || {}
+
+    return withCallback(callback, this._timed('repair', callback => {
+      new IndexCheck(this, { repair: true, dryRun: opts.dryRun, maxIssues: opts.maxIssues }).run(callback)
+    }))
+  }
+
+  /**
+  * Get the hit and miss counters of the membership cache of this server instance.
+  * returns Object with the number of cache `hits` and `misses`, and the number of
+  *   cached rooms as `size`, or `null` if the cache isn't enabled
+  */
+  cacheStats () {
+    return this._membershipCache ? this._membershipCache.stats() : null
+  }
+
+  /**
+  * Reset the store. Will remove everything including all socket data from other adapter in the same cluster
+  * @param {Function} [callback] - Callback. Returns a promise if omitted
+  */
+  clear (callback) {
+    return withCallback(callback, this._timed('clear', callback => {
+      this._keysMatchingPattern(`${escapeGlob(this._namespace)}:*`, (err, keys) => {
+        if (err) return callback(err)
+        if (keys.length === 0) return callback()
+        if (!this._cluster) return this.storage.del(keys, err => callback(err))
+
+        // keys of different hash slots can't be deleted at once
+        async.each(keys, (key, callback) => {
+          this.storage.del(key, err => callback(err))
+        }, callback)
+      })
+    }))
+  }
+
+  // wraps an operation taking a callback, so its latency is recorded once it calls back
+  _timed (operation, fn) {
+    return callback => {
+      const start = process.hrtime()
+
+      fn((err, result) => {
+        const [seconds, nanoseconds] = process.hrtime(start)
+        this._metrics.timing('operation_duration', seconds * 1e3 + nanoseconds / 1e6, { operation })
+        callback(err, result)
+      })
+    }
+  }
+
+  // reads the ids of the clients of a room, from the room->spark sets of all server instances
+  _roomClients (room, callback) {
+    async.waterfall([
+      callback => {
+        this._roomKeysForRoom(room, callback)
+      },
+
+      (roomKeys, callback) => {
+        this._setMembersForKeys(roomKeys, callback)
+      }
+    ], callback)
+  }
+
+  // asks the join policy whether a spark may join each of the rooms, one at a time
+  _checkJoinPolicy (sparkId, rooms, callback) {
+    if (!this._joinPolicy) return callback()
+
+    async.eachSeries(rooms, (room, callback) => {
+      this._joinPolicy(sparkId, room, (err, allowed) => {
+        if (err) return callback(err)
+        callback(allowed ? null : new JoinRejectedError(sparkId, room, 'policy'))
+      })
+    }, callback)
+  }
+
+  // capacity of a room, or null if it has no limit
+  _capacityOf (room) {
+    const capacity = typeof this._roomCapacity === 'function'
+      ? this._roomCapacity(room)
+      : this._roomCapacity
+
+    return capacity != null ? Number(capacity) : null
+  }
+
+  _initializeRoomSetTTLRefresher () {
+    this._roomSetTTLRefresher = this._setRefresher('ttl', Math.floor(this._roomSparkSetTTLSeconds / TTL_REFRESH_DRIFT_FACTOR * 1000), () => {
+      this._refreshRoomSetsTTL(this._roomSparkSetTTLSeconds, err => {
+        if (err) this._refresherFailed('ttl', new Error(`Error refreshing room->spark set TTL: ${err}`))
+      })
+      this._refreshServerSparkSetTTL(this._roomSparkSetTTLSeconds, err => {
+        if (err) this._refresherFailed('ttl', new Error(`Error refreshing server->spark set TTL: ${err}`))
+      })
+    })
+  }
+
+  _initializeReaper () {
+    this._reaper = this._setRefresher('reaper', this._reaperInterval, () => {
+      this.reap(err => {
+        if (err) this._refresherFailed('reaper', new Error(`Error reaping dead server instances: ${err}`))
+      })
+    })
+  }
+
+  // runs `task` every `interval` ms, like `setInterval`, and reports how late
+  // each run started. a busy event loop delays runs, and with them the TTL refreshes
+  _setRefresher (name, interval, task) {
+    let due = Date.now() + interval
+
+    return setInterval(() => {
+      const now = Date.now()
+      this._metrics.gauge('refresher_lag_seconds', Math.max(0, now - due) / 1000, { refresher: name })
+      due = now + interval
+      task()
+    }, interval)
+  }
+
+  _refresherFailed (name, err) {
+    this._metrics.increment('refresher_failures', 1, { refresher: name })
+    this._logger.error(err)
+  }
+
+  // server instances are dead if metroplex doesn't list their address,
+  // or if they stopped refreshing their entry in the server instance index
+  _deadServerInstances (callback) {
+    async.autoInject({
+      liveAddresses: callback => {
+        this.primus.metroplex.servers((err, servers) => callback(err, servers))
+      },
+
+      knownServerInstances: callback => {
+        this._knownServerInstances(callback)
+      }
+    }, (err, results) => {
+      if (err) return callback(err)
+
+      const { liveAddresses, knownServerInstances: { serverInstances, expiredServerInstances } } = results
+      callback(null, serverInstances.filter(serverInstance => {
+        if (serverInstance === this._serverInstance) return false
+        return !liveAddresses.includes(this._serverAddress(serverInstance)) ||
+          expiredServerInstances.includes(serverInstance)
+      }))
+    })
+  }
+
+  // server instances are found through the server instance index as well
+  // as the per-server keys, in case their index entry was already pruned.
+  // calls back with all of them, and those whose index entry expired
+  _knownServerInstances (callback) {
+    async.autoInject({
+      indexedServerInstances: callback => {
+        this.storage.zrange(this._serverInstancesKey(), 0, -1, 'WITHSCORES', callback)
+      },
+
+      serverKeys: callback => {
+        this._keysMatchingPattern(`${escapeGlob(this._namespace)}:servers:*`, callback)
+      }
+    }, (err, { indexedServerInstances, serverKeys }) => {
+      if (err) return callback(err)
+
+      const now = Date.now()
+      const expiredServerInstances = []
+      const serverInstances = []
+
+      for (let i = 0; i < indexedServerInstances.length; i += 2) {
+        serverInstances.push(indexedServerInstances[i])
+        if (Number(indexedServerInstances[i + 1]) < now) {
+          expiredServerInstances.push(indexedServerInstances[i])
+        }
+      }
+
+      const serverKeyPrefix = `${this._namespace}:servers:`
+      serverKeys.forEach(key => {
+        const suffix = key.slice(key.lastIndexOf(':'))
+        const serverTag = key.slice(serverKeyPrefix.length, -suffix.length)
+        serverInstances.push(this._cluster ? serverTag.slice(1, -1) : serverTag)
+      })
+
+      callback(null, { serverInstances: uniq(serverInstances), expiredServerInstances })
+    })
+  }
+
+  _refreshRoomSetsTTL (ttl, callback) {
+    return withCallback(callback, callback => {
+      this.storage.smembers(this._serverRoomSetKey(), (err, rooms) => {
+        if (err) return callback(err)
+
+        const multi = this.storage.multi()
+        if (!this._cluster) multi.zremrangebyscore(this._roomNamesKey(), '-inf', Date.now())
+
+        rooms.forEach(room => {
+          this._syncRoomIndex(multi, room, ttl)
+        })
+        multi.exec((err, results) => {
+          if (err) return callback(err)
+          this._validateMultiResults(results, err => {
+            if (err) return callback(err)
+            this._refreshHistoryTTL(rooms, ttl, callback)
+          })
+        })
+      })
+    })
+  }
+
+  // histories of rooms live as long as the rooms do, so they are
+  // refreshed along with them, and expire once rooms are abandoned.
+  // they are of different hash slots, so each is expired on its own
+  _refreshHistoryTTL (rooms, ttl, callback) {
+    if (!this._history) return callback()
+
+    async.each(rooms, (room, callback) => {
+      this.storage.expire(this._roomHistoryKey(room), ttl, callback)
+    }, err => callback(err))
+  }
+
+  // appends a broadcast message to the history of each of its rooms,
+  // trimming the oldest messages
+  _appendHistory (rooms, data, callback) {
+    if (!this._history || rooms.length === 0) return callback()
+
+    const message = JSON.stringify(data)
+    async.each(rooms, (room, callback) => {
+      const key = this._roomHistoryKey(room)
+      this.storage.multi()
+        // trimming with `~` only removes whole nodes of a stream, which
+        // hold 100 entries by default, so it's exact to keep maxLength
+        .xadd(key, 'MAXLEN', this._history.maxLength, '*', 'data', message)
+        .expire(key, this._roomSparkSetTTLSeconds)
+        .exec((err, results) => {
+          if (err) return callback(err)
+          this._validateMultiResults(results, callback)
+        })
+    }, err => callback(err))
+  }
+
+  // reads the messages of a room's history, oldest first
+  _readHistory (room, opts, callback) {
+    const key = this._roomHistoryKey(room)
+    const toMessages = (err, entries) => {
+      if (err) return callback(err)
+
+      callback(null, entries.map(([id, fields]) => ({
+        id,
+        data: JSON.parse(fields[fields.indexOf('data') + 1])
+      })))
+    }
+
+    if (opts.since == null) {
+      if (!opts.last) return this.storage.xrange(key, '-', '+', toMessages)
+
+      return this.storage.xrevrange(key, '+', '-', 'COUNT', opts.last, (err, entries) => {
+        toMessages(err, entries && entries.reverse())
+      })
+    }
+
+    // stream ids start with the time (ms) they were added at. for an id, the
+    // range starts at its time, and the messages up to the id are dropped
+    const sinceId = typeof opts.since === 'string' && parseStreamId(opts.since)
+    const start = sinceId ? sinceId[0] : new Date(opts.since).getTime()
+
+    this.storage.xrange(key, String(start), '+', (err, entries) => {
+      if (err) return callback(err)
+
+      if (sinceId) {
+        entries = entries.filter(([id]) => {
+          const [ms, seq] = parseStreamId(id)
+          return ms > sinceId[0] || (ms === sinceId[0] && seq > sinceId[1])
+        })
+      }
+      if (opts.last) entries = entries.slice(-opts.last)
+      toMessages(null, entries)
+    })
+  }
+
+  _initializeSparkSetsTTLRefresher () {
+    this._onPrimus('connection', spark => {
+      spark.on('heartbeat', () => {
+        this.storage.expire(this._sparkRoomSetKey(spark.id), this._sparkRoomSetTTLSeconds, err => {
+          if (err) this._logger.error(new Error(`Error refreshing spark->room set TTL: ${err}`))
+        })
+
+        const userId = this._sparkUsers.get(spark.id)
+        if (userId == null) return
+
+        this.storage.expire(this._userSparkSetKey(userId), this._sparkRoomSetTTLSeconds, err => {
+          if (err) this._logger.error(new Error(`Error refreshing user->spark set TTL: ${err}`))
+        })
+      })
+    })
+  }
+
+  // keeps track of the sparks connected to this server instance,
+  // so that broadcasts to everyone don't need to scan the keyspace
+  _initializeServerSparkSetRegistry () {
+    this._onPrimus('connection', spark => {
+      this._addServerSpark(spark.id, err => {
+        if (err) this._logger.error(new Error(`Error adding spark to server->spark set: ${err}`))
+      })
+    })
+
+    // primus emits `disconnection` once a spark ends, which is when
+    // it's removed from all of its rooms. otherwise its id would stay
+    // in room sets which are still refreshed by other sparks
+    this._onPrimus('disconnection', spark => {
+      this._removeDisconnectedSpark(spark.id, err => {
+        if (err) this._logger.error(new Error(`Error removing disconnected spark ${spark.id}: ${err}`))
+      })
+    })
+  }
+
+  // removes a spark from all of its rooms and from the server->spark set
+  // in one transaction. retried while redis is unavailable, which is safe
+  // as removing a spark which was already removed changes nothing
+  _removeDisconnectedSpark (sparkId, callback) {
+    return withCallback(callback, callback => {
+      const userId = this._sparkUsers.get(sparkId)
+      this._sparkUsers.delete(sparkId)
+
+      async.retry({
+        times: DISCONNECT_CLEANUP_RETRY_TIMES,
+        // called with the number of the next attempt, starting at 2
+        interval: attempt => DISCONNECT_CLEANUP_RETRY_INTERVAL_MS * Math.pow(2, attempt - 2),
+        errorFilter: () => !this._destroyed
+      }, callback => {
+        const multi = this.storage.multi()
+          .delSparkFromAllRooms(...this._delSparkFromAllRoomsArgs(sparkId))
+          .srem(this._serverSparkSetKey(), sparkId)
+        if (userId != null) multi.srem(this._userSparkSetKey(userId), sparkId)
+
+        multi.exec((err, results) => {
+          if (err) return callback(err)
+          this._validateMultiResults(results, err => callback(err, results))
+        })
+      }, (err, results) => {
+        if (err) return callback(err)
+        this._publishLeave(sparkId, chunk(results[0][1], 2), callback)
+      })
+    })
+  }
+
+  // adds a primus listener which is removed again on `destroy`
+  _onPrimus (event, listener) {
+    this.primus.on(event, listener)
+    this._primusListeners.push({ event, listener })
+  }
+
+  // deletes the room sets, spark set and index entries of a server
+  // instance, and removes its sparks from their spark->room sets.
+  // room sets missing from the server->room set are found with `scan`
+  _removeServerInstance (serverInstance, callback) {
+    async.autoInject({
+      indexedRooms: callback => {
+        this.storage.smembers(this._serverRoomSetKey(serverInstance), callback)
+      },
+
+      roomKeys: callback => {
+        this._keysMatchingPattern(escapeGlob(this._roomSparkSetKey('', serverInstance)) + '*', callback)
+      },
+
+      userKeys: callback => {
+        this._keysMatchingPattern(escapeGlob(this._userSparkSetKey('', serverInstance)) + '*', callback)
+      },
+
+      rooms: (indexedRooms, roomKeys, callback) => {
+        const roomKeyPrefix = this._roomSparkSetKey('', serverInstance)
+        callback(null, union(indexedRooms, roomKeys.map(key => decodeRoom(key.slice(roomKeyPrefix.length)))))
+      },
+
+      sparkIdsByRoom: (rooms, callback) => {
+        async.map(rooms, (room, callback) => {
+          this._setMembersForKeys([this._roomSparkSetKey(room, serverInstance)], callback)
+        }, callback)
+      },
+
+      removeData: (rooms, sparkIdsByRoom, userKeys, callback) => {
+        const multi = this.storage.multi()
+        userKeys.forEach(key => multi.del(key))
+
+        rooms.forEach((room, i) => {
+          multi.del(this._roomSparkSetKey(room, serverInstance))
+          sparkIdsByRoom[i].forEach(sparkId => {
+            multi.srem(this._sparkRoomSetKey(sparkId, serverInstance), room)
+          })
+          this._syncRoomIndex(multi, room, this._roomSparkSetTTLSeconds, serverInstance)
+        })
+
+        multi
+          .del(this._serverRoomSetKey(serverInstance), this._serverSparkSetKey(serverInstance))
+          .exec((err, results) => {
+            if (err) return callback(err)
+            this._validateMultiResults(results, err => callback(err))
+          })
+      },
+
+      // the server instance index belongs to another hash slot in cluster mode
+      removeIndexEntry: (removeData, callback) => {
+        this.storage.zrem(this._serverInstancesKey(), serverInstance, err => callback(err))
+      },
+
+      invalidateRooms: (rooms, removeData, callback) => {
+        this._roomsChanged(rooms, callback)
+      }
+    }, err => callback(err))
+  }
+
+  _addServerSpark (sparkId, callback) {
+    return withCallback(callback, callback => {
+      const serverSparkSetKey = this._serverSparkSetKey()
+
+      async.parallel([
+        callback => {
+          this.storage.multi()
+            .sadd(serverSparkSetKey, sparkId)
+            .expire(serverSparkSetKey, this._roomSparkSetTTLSeconds)
+            .exec((err, results) => {
+              if (err) return callback(err)
+              this._validateMultiResults(results, callback)
+            })
+        },
+
+        callback => {
+          this._registerServerInstance(this._roomSparkSetTTLSeconds, callback)
+        }
+      ], err => callback(err))
+    })
+  }
+
+  _refreshServerSparkSetTTL (ttl, callback) {
+    return withCallback(callback, callback => {
+      async.parallel([
+        callback => {
+          this.storage.expire(this._serverSparkSetKey(), ttl, err => callback(err))
+        },
+
+        callback => {
+          this._registerServerInstance(ttl, callback)
+        }
+      ], err => callback(err))
+    })
+  }
+
+  // refreshes the entry of this server instance in the server instance
+  // index, and prunes the entries of server instances which expired
+  _registerServerInstance (ttl, callback) {
+    const serverInstancesKey = this._serverInstancesKey()
+    const now = Date.now()
+
+    this.storage.multi()
+      .zremrangebyscore(serverInstancesKey, '-inf', now)
+      .zadd(serverInstancesKey, now + ttl * 1000, this._serverInstance)
+      .expire(serverInstancesKey, ttl)
+      .exec((err, results) => {
+        if (err) return callback(err)
+        this._validateMultiResults(results, callback)
+      })
+  }
+
+  // merges the room sets of a server instance's rooms which were stored
+  // under unencoded keys into their encoded keys, and re-syncs the room index
+  // of all its rooms. calls back with the number of merged room sets
+  _migrateServerRoomKeys (serverInstance, roomKeys, callback) {
+    const multi = this.storage.multi()
+    let migrated = 0
+
+    roomKeys.forEach(({ room, key }) => {
+      const roomKey = this._roomSparkSetKey(room, serverInstance)
+
+      if (key !== roomKey) {
+        multi.sunionstore(roomKey, roomKey, key).del(key)
+        migrated++
+
+        // each server instance with sparks in the room re-registers
+        // itself in the room index as its room sets are migrated
+        if (!this._cluster) multi.del(this._roomServerIndexKey('') + room)
+      }
+
+      this._syncRoomIndex(multi, room, this._roomSparkSetTTLSeconds, serverInstance)
+    })
+
+    multi.exec((err, results) => {
+      if (err) return callback(err)
+      this._validateMultiResults(results, err => callback(err, migrated))
+    })
+  }
+
+  // counts the connected sparks and the sparks in each room of a server
+  // instance. its keys share a hash slot, so they're read in one multi
+  _serverInstanceStats (serverInstance, callback) {
+    this.storage.smembers(this._serverRoomSetKey(serverInstance), (err, rooms) => {
+      if (err) return callback(err)
+
+      const multi = this.storage.multi().scard(this._serverSparkSetKey(serverInstance))
+      rooms.forEach(room => {
+        multi.scard(this._roomSparkSetKey(room, serverInstance))
+      })
+
+      multi.exec((err, results) => {
+        if (err) return callback(err)
+
+        this._validateMultiResults(results, err => {
+          if (err) return callback(err)
+
+          const [sparks, ...roomCounts] = results.map(result => result[1])
+
+          // rooms are only removed from the server->room set once
+          // their room->spark set is synced, so skip emptied ones
+          const roomSizes = {}
+          rooms.forEach((room, i) => {
+            if (roomCounts[i] > 0) roomSizes[room] = roomCounts[i]
+          })
+
+          callback(null, { sparks, roomSizes })
+        })
+      })
+    })
+  }
+
+  // finds the server instances which refreshed their TTLs in time
+  _liveServerInstances (callback) {
+    this.storage.zrangebyscore(this._serverInstancesKey(), Date.now(), '+inf', callback)
+  }
+
+  // forwards a broadcast a page at a time, as the sparks of the rooms and
+  // users - or of all live server instances - are scanned. sparks of a page
+  // are skipped if they are in an excluded room, or in an earlier room of the
+  // broadcast since they were already sent to. as many sets are scanned at
+  // once as forwards may be in flight
+  _broadcastPages (delivery, opts, callback) {
+    async.waterfall([
+      callback => {
+        if (opts.rooms.length > 0 || opts.users.length > 0) {
+          return async.parallel([
+            callback => this._roomSparkSources(opts.rooms, callback),
+            callback => this._userSparkSources(opts.users, opts.rooms, callback)
+          ], (err, sourceGroups) => callback(err, flatten(sourceGroups)))
+        }
+
+        this._liveServerInstances((err, serverInstances) => {
+          if (err) return callback(err)
+          callback(null, serverInstances.map(serverInstance => {
+            return { serverInstance, key: this._serverSparkSetKey(serverInstance), previousRooms: [] }
+          }))
+        })
+      },
+
+      (sources, callback) => {
+        async.eachLimit(sources, this._forwardOptions.concurrency, ({ serverInstance, key, previousRooms }, callback) => {
+          const excludedRooms = previousRooms.concat(opts.exceptRooms)
+
+          this._iterateSetMembers(callback => callback(null, [key])).each((sparkIds, callback) => {
+            this._sparksNotInRooms(serverInstance, difference(sparkIds, opts.except), excludedRooms, (err, sparkIds) => {
+              if (err) return callback(err)
+              delivery.send({ [serverInstance]: sparkIds }, callback)
+            })
+          }, callback)
+        }, callback)
+      }
+    ], callback)
+  }
+
+  // finds the room->spark sets of each room, along with the rooms before it
+  _roomSparkSources (rooms, callback) {
+    async.mapSeries(rooms, (room, callback) => {
+      this._serverInstancesForRoom(room, callback)
+    }, (err, serverInstanceGroups) => {
+      if (err) return callback(err)
+
+      callback(null, flatten(rooms.map((room, i) => serverInstanceGroups[i].map(serverInstance => {
+        return { serverInstance, key: this._roomSparkSetKey(room, serverInstance), previousRooms: rooms.slice(0, i) }
+      }))))
+    })
+  }
+
+  // finds the user->spark sets of each user on the live server instances. sparks
+  // in any of the rooms of the broadcast were already sent to, so they're skipped
+  _userSparkSources (users, rooms, callback) {
+    if (users.length === 0) return callback(null, [])
+
+    this._liveServerInstances((err, serverInstances) => {
+      if (err) return callback(err)
+
+      callback(null, flatten(uniq(users).map(userId => serverInstances.map(serverInstance => {
+        return { serverInstance, key: this._userSparkSetKey(userId, serverInstance), previousRooms: rooms }
+      }))))
+    })
+  }
+
+  // reads the ids of the sparks bound to a user, grouped by server instance
+  _userSparkIdsByServer (userId, callback) {
+    this._liveServerInstances((err, serverInstances) => {
+      if (err) return callback(err)
+      this._setMembersByServer(serverInstances.map(serverInstance => {
+        return [serverInstance, this._userSparkSetKey(userId, serverInstance)]
+      }), callback)
+    })
+  }
+
+  // finds the server instance a spark is connected to among those with sparks in a room
+  _sparkServerInstanceInRoom (sparkId, room, callback) {
+    this._serverInstancesForRoom(room, (err, serverInstances) => {
+      if (err) return callback(err)
+
+      async.detectSeries(serverInstances, (serverInstance, callback) => {
+        this.storage.sismember(this._roomSparkSetKey(room, serverInstance), sparkId, (err, isMember) => {
+          callback(err, isMember === 1)
+        })
+      }, (err, serverInstance) => {
+        if (err) return callback(err)
+        if (!serverInstance) return callback(new Error(`spark ${sparkId} is not in room ${room}`))
+        callback(null, serverInstance)
+      })
+    })
+  }
+
+  // filters out the sparks of a server instance which are in any of the given rooms
+  _sparksNotInRooms (serverInstance, sparkIds, rooms, callback) {
+    if (rooms.length === 0 || sparkIds.length === 0) return callback(null, sparkIds)
+
+    const multi = this.storage.multi()
+    sparkIds.forEach(sparkId => {
+      rooms.forEach(room => multi.sismember(this._roomSparkSetKey(room, serverInstance), sparkId))
+    })
+
+    multi.exec((err, results) => {
+      if (err) return callback(err)
+
+      this._validateMultiResults(results, err => {
+        if (err) return callback(err)
+
+        const memberships = chunk(results.map(([, isMember]) => isMember), rooms.length)
+        callback(null, sparkIds.filter((sparkId, i) => !memberships[i].includes(1)))
+      })
+    })
+  }
+
+  // reads the sparks of the rooms of a broadcast whole, through the membership cache
+  _broadcastCached (delivery, opts, callback) {
+    async.waterfall([
+      callback => {
+        this._roomSparkIdsByServer(opts.rooms, callback)
+      },
+
+      (sparkIdsByServer, callback) => {
+        if (opts.exceptRooms.length === 0) return callback(null, sparkIdsByServer, {})
+
+        this._roomSparkIdsByServer(opts.exceptRooms, (err, excludedSparkIdsByServer) => {
+          callback(err, sparkIdsByServer, excludedSparkIdsByServer)
+        })
+      },
+
+      (sparkIdsByServer, excludedSparkIdsByServer, callback) => {
+        const withoutExcluded = mapValues(sparkIdsByServer, (sparkIds, serverInstance) => {
+          return difference(sparkIds, opts.except, excludedSparkIdsByServer[serverInstance] || [])
+        })
+        delivery.send(withoutExcluded, callback)
+      }
+    ], callback)
+  }
+
+  // finds the ids of the sparks in any of the given rooms,
+  // grouped by server instance, through the membership cache
+  _roomSparkIdsByServer (rooms, callback) {
+    async.map(rooms, (room, callback) => {
+      this._membershipCache.get(room, callback => this._fetchRoomSparkIdsByServer(room, callback), callback)
+    }, (err, sparkIdGroups) => {
+      if (err) return callback(err)
+      callback(null, mergeWith({}, ...sparkIdGroups, (sparkIds, moreSparkIds) => union(sparkIds, moreSparkIds)))
+    })
+  }
+
+  _fetchRoomSparkIdsByServer (room, callback) {
+    this._serverInstancesForRoom(room, (err, serverInstances) => {
+      if (err) return callback(err)
+      this._setMembersByServer(serverInstances.map(serverInstance => {
+        return [serverInstance, this._roomSparkSetKey(room, serverInstance)]
+      }), callback)
+    })
+  }
+
+  get _serverInstance () {
+    // primus.metroplex.address is set asynchronously,
+    // which is why we can't access & set this value in the constructor
+
+    // concatenate with unique identifier so server instances
+    // are unique between crashes, preventing the re-usage
+    // of past room lists
+    if (!this._serverInstanceValue) {
+      this._serverInstanceValue = `${this.primus.metroplex.address}_${this._identifier}`
+    }
+
+    return this._serverInstanceValue
+  }
+
+  // server instances are `${address}_${identifier}`
+  _serverAddress (serverInstance) {
+    return serverInstance.slice(0, serverInstance.lastIndexOf('_'))
+  }
+
+  // pub/sub channel for messages to a server instance
+  _serverChannel (serverInstance = this._serverInstance) {
+    return `${this._namespace}:servers:${serverInstance}:messages`
+  }
+
+  // pub/sub channel for presence changes of all server instances
+  _presenceChannel () {
+    return `${this._namespace}:presence`
+  }
+
+  _membershipChannel () {
+    return `${this._namespace}:membership`
+  }
+
+  // invalidates rooms whose membership changed in the membership cache
+  // of every server instance. never fails, as cached rooms expire anyway
+  _roomsChanged (rooms, callback) {
+    if (!this._membershipCache || rooms.length === 0) return callback()
+    this._membershipCache.invalidate(rooms, callback)
+  }
+
+  _publishPresence (changes, callback) {
+    if (!this._presence) return callback()
+    this._presence.publish(changes, callback)
+  }
+
+  // publishes a spark leaving rooms, given as pairs of the room and whether
+  // it is empty since, to the membership cache and presence events
+  _publishLeave (sparkId, leftRooms, callback) {
+    if (leftRooms.length === 0) return callback()
+
+    this._roomsChanged(leftRooms.map(([room]) => room), () => {
+      if (!this._presence) return callback()
+      this._publishPresenceLeave(sparkId, leftRooms, callback)
+    })
+  }
+
+  // in cluster mode, the scripts only know whether a room is
+  // empty on this server instance, so the other ones are checked
+  _publishPresenceLeave (sparkId, leftRooms, callback) {
+    async.filter(leftRooms, ([room, roomEmpty], callback) => {
+      if (!roomEmpty || !this._cluster) return callback(null, !!roomEmpty)
+
+      this._serverInstancesForRoom(room, (err, serverInstances) => {
+        callback(err, !err && serverInstances.length === 0)
+      })
+    }, (err, emptiedRooms) => {
+      if (err) return callback(err)
+
+      const changes = leftRooms.map(([room]) => ({ event: 'leave', room, sparkIds: [sparkId] }))
+      emptiedRooms.forEach(([room]) => {
+        changes.push({ event: 'roomEmpty', room, sparkIds: [sparkId] })
+      })
+
+      this._presence.publish(changes, callback)
+    })
+  }
+
+  // in cluster mode, the server instance in a key is used as its hash tag,
+  // so that all keys of a server instance belong to the same hash slot.
+  // see https://redis.io/topics/cluster-spec#keys-hash-tags
+  _serverTag (serverInstance) {
+    return this._cluster ? `{${serverInstance}}` : serverInstance
+  }
+
+  // splits the server instance from the rest of a key, ie. `$serverInstance:$room`.
+  // server instances contain `:`, unlike encoded rooms and spark ids, and are
+  // wrapped in a hash tag in cluster mode
+  _splitServerKey (rest) {
+    const index = rest.lastIndexOf(':')
+    const serverTag = rest.slice(0, index)
+    const serverInstance = this._cluster ? serverTag.replace(/^\{(.*)\}$/, '$1') : serverTag
+    return [serverInstance, rest.slice(index + 1)]
+  }
+
+  // splits the rest of a room key, ie. `$serverInstance:$room`, of this or an
+  // earlier version. earlier versions didn't encode rooms, which may then contain
+  // `:` as well, so the server instance is one of `serverInstances`, or one of
+  // `addresses` with an identifier. returns the server instance and room, or
+  // null for keys of other server instances.
+  // the unencoded key of a room may be the encoded key of another room
+  // (ie. `a%3A` and `a:`), which can't be told apart, so it's taken as encoded
+  _splitLegacyRoomKey (rest, serverInstances, addresses) {
+    let serverInstance
+
+    if (this._cluster) {
+      const match = /^\{([^}]*)\}:/.exec(rest)
+      if (!match) return null
+      serverInstance = match[1]
+    } else {
+      serverInstance = serverInstances.find(serverInstance => rest.startsWith(`${serverInstance}:`))
+
+      const address = !serverInstance && addresses.find(address => rest.startsWith(`${address}_`))
+      if (address) {
+        const end = rest.indexOf(':', address.length)
+        if (end !== -1) serverInstance = rest.slice(0, end)
+      }
+
+      if (!serverInstance) return null
+    }
+
+    const room = rest.slice(this._serverTag(serverInstance).length + 1)
+    const decodedRoom = decodeRoom(room)
+    return [serverInstance, encodeRoom(decodedRoom) === room ? decodedRoom : room]
+  }
+
+  _roomSparkSetKey (room, serverInstance = this._serverInstance) {
+    return `${this._namespace}:rooms:${this._serverTag(serverInstance)}:${encodeRoom(room)}`
+  }
+
+  // sorted set of the server instances with sparks in a room,
+  // scored by the time (ms) their membership expires
+  _roomServerIndexKey (room) {
+    return `${this._namespace}:room_servers:${encodeRoom(room)}`
+  }
+
+  // capped stream of the messages broadcast to a room
+  _roomHistoryKey (room) {
+    return `${this._namespace}:history:${encodeRoom(room)}`
+  }
+
+  // set of the sparks of a server instance bound to a user
+  _userSparkSetKey (userId, serverInstance = this._serverInstance) {
+    return `${this._namespace}:users:${this._serverTag(serverInstance)}:${encodeRoom(userId)}`
+  }
+
+  // set of the rooms of a session, kept while its sparks reconnect
+  _sessionRoomSetKey (sessionId) {
+    return `${this._namespace}:sessions:${encodeRoom(sessionId)}`
+  }
+
+  // sorted set of all room names, scored by expiry time (ms)
+  _roomNamesKey () {
+    return `${this._namespace}:room_names`
+  }
+
+  // set of the rooms a server instance has sparks in
+  _serverRoomSetKey (serverInstance = this._serverInstance) {
+    return `${this._namespace}:servers:${this._serverTag(serverInstance)}:rooms`
+  }
+
+  // adds the `syncRoomIndex` script for a room on a server instance
+  // to a multi, which (de-)registers the room in the room index
+  _syncRoomIndex (multi, room, ttl = this._roomSparkSetTTLSeconds, serverInstance = this._serverInstance) {
+    const keys = [this._roomSparkSetKey(room, serverInstance), this._serverRoomSetKey(serverInstance)]
+    if (!this._cluster) keys.push(this._roomServerIndexKey(room), this._roomNamesKey())
+
+    return multi.syncRoomIndex(
+      keys.length,
+      ...keys,
+      serverInstance,
+      room,
+      Date.now(),
+      ttl
+    )
+  }
+
+  // set of the sparks connected to a server instance
+  _serverSparkSetKey (serverInstance = this._serverInstance) {
+    return `${this._namespace}:servers:${this._serverTag(serverInstance)}:sparks`
+  }
+
+  // lock held by the node currently reaping dead server instances
+  _reaperLockKey () {
+    return `${this._namespace}:reaper_lock`
+  }
+
+  // sorted set of all server instances, scored by expiry time (ms)
+  _serverInstancesKey () {
+    return `${this._namespace}:server_instances`
+  }
+
+  // arguments of the `addSpark` script for a spark of this server instance.
+  // the room index isn't kept in cluster mode, and neither are capacities
+  _addSparkArgs (sparkId, rooms) {
+    const keys = [this._sparkRoomSetKey(sparkId), this._serverRoomSetKey()]
+      .concat(rooms.map(room => this._roomSparkSetKey(room)))
+
+    if (!this._cluster) {
+      keys.push(...rooms.map(room => this._roomServerIndexKey(room)), this._roomNamesKey(), `${this._namespace}:rooms:`)
+    }
+
+    const roomArgs = flatten(rooms.map(room => {
+      const capacity = this._capacityOf(room)
+      return [room, capacity !== null ? capacity : '']
+    }))
+
+    return [
+      keys.length,
+      ...keys,
+      sparkId,
+      this._serverInstance,
+      Date.now(),
+      this._roomSparkSetTTLSeconds,
+      this._sparkRoomSetTTLSeconds,
+      ...roomArgs
+    ]
+  }
+
+  // arguments of the `delSparkFromAllRooms` script for a spark of this server instance
+  _delSparkFromAllRoomsArgs (sparkId) {
+    const keys = [this._sparkRoomSetKey(sparkId), this._serverRoomSetKey(), this._roomSparkSetKey('')]
+    if (!this._cluster) keys.push(this._roomServerIndexKey(''), this._roomNamesKey())
+
+    return [
+      keys.length,
+      ...keys,
+      sparkId,
+      this._serverInstance,
+      Date.now(),
+      this._roomSparkSetTTLSeconds
+    ]
+  }
+
+  // arguments of the `emptyRoom` script, which builds the keys of
+  // each server instance with sparks in the room from the key prefixes
+  _emptyRoomArgs (room) {
+    return [
+      this._roomServerIndexKey(room),
+      this._roomNamesKey(),
+      `${this._namespace}:rooms:`,
+      `${this._namespace}:sparks:`,
+      `${this._namespace}:servers:`,
+      room
+    ]
+  }
+
+  // arguments of the `emptyServerRoom` script, for emptying a room on one server instance
+  _emptyServerRoomArgs (room, serverInstance) {
+    return [
+      this._roomSparkSetKey(room, serverInstance),
+      this._serverRoomSetKey(serverInstance),
+      this._sparkRoomSetKey('', serverInstance),
+      room
+    ]
+  }
+
+  // keys changed by the `delSpark` script.
+  // the room index isn't kept in cluster mode
+  _membershipKeys (sparkId, room) {
+    const keys = [
+      this._roomSparkSetKey(room),
+      this._sparkRoomSetKey(sparkId),
+      this._serverRoomSetKey()
+    ]
+
+    if (!this._cluster) keys.push(this._roomServerIndexKey(room), this._roomNamesKey())
+    return keys
+  }
+
+  // uses the room index to find the server instances
+  // which have sparks in a room, ignoring expired servers.
+  // in cluster mode, checks the room->spark set of each live server instance
+  _serverInstancesForRoom (room, callback) {
+    if (!this._cluster) {
+      return this.storage.zrangebyscore(this._roomServerIndexKey(room), Date.now(), '+inf', callback)
+    }
+
+    this._liveServerInstances((err, serverInstances) => {
+      if (err) return callback(err)
+
+      async.filter(serverInstances, (serverInstance, callback) => {
+        this.storage.exists(this._roomSparkSetKey(room, serverInstance), (err, exists) => {
+          callback(err, exists === 1)
+        })
+      }, callback)
+    })
+  }
+
+  _roomKeysForRoom (room, callback) {
+    this._serverInstancesForRoom(room, (err, serverInstances) => {
+      if (err) return callback(err)
+      callback(null, serverInstances.map(serverInstance => this._roomSparkSetKey(room, serverInstance)))
+    })
+  }
+
+  // in cluster mode, spark->room sets are scoped by the server instance
+  // the spark is connected to, so they share its hash slot
+  _sparkRoomSetKey (sparkId, serverInstance = this._serverInstance) {
+    if (this._cluster) {
+      return `${this._namespace}:sparks:${this._serverTag(serverInstance)}:${sparkId}`
+    }
+
+    return `${this._namespace}:sparks:${sparkId}`
+  }
+
+  _countExistingKeys (keys, callback) {
+    if (!this._cluster) return this.storage.exists(keys, callback)
+
+    // keys of different hash slots can't be checked at once
+    async.map(keys, (key, callback) => {
+      this.storage.exists(key, callback)
+    }, (err, counts) => {
+      if (err) return callback(err)
+      callback(null, counts.reduce((sum, count) => sum + count, 0))
+    })
+  }
+
+  // redis recommends we use `scan` instead of `keys`
+  // when iterating large sets of keys.
+  // in cluster mode, each master node is scanned.
+  // see https://redis.io/commands/scan
+  _keysMatchingPattern (pattern, count, callback) {
+    if (typeof count === 'function') {
+      callback = count
+      count = null
+    }
+    count = count || DEFAULT_KEYS_MATCH_SCAN_COUNT
+
+    return withCallback(callback, callback => {
+      this._iterateKeys(pattern, count).all(callback)
+    })
+  }
+
+  // iterates the keys of the namespace starting with `prefix`
+  _iterateNamespaceKeys (prefix) {
+    return this._iterateKeys(escapeGlob(`${this._namespace}:${prefix}`) + '*')
+  }
+
+  _iterateKeys (pattern, count = DEFAULT_KEYS_MATCH_SCAN_COUNT) {
+    return new PageIterator(callback => {
+      const nodes = this._cluster ? this.storage.nodes('master') : [this.storage]
+
+      callback(null, nodes.map(node => (cursor, callback) => {
+        this._metrics.increment('scan_iterations', 1, { command: 'scan' })
+
+        node.scan(cursor, 'MATCH', pattern, 'COUNT', count, (err, result) => {
+          if (!err) this._metrics.increment('keys_touched', result[1].length, { command: 'scan' })
+          callback(err, result)
+        })
+      }))
+    })
+  }
+
+  // returns all members of n sets using sscan instead of ssmembers
+  // useful in situations where a set can contain many members
+  // and we want to avoid blocking redis, which is single-threaded
+  // see https://redis.io/commands/scan
+  _setMembersForKeys (keys, callback) {
+    return withCallback(callback, callback => {
+      this._iterateSetMembers(callback => callback(null, keys)).all(callback)
+    })
+  }
+
+  // iterates the members of the sets whose keys `getKeys` calls back with
+  _iterateSetMembers (getKeys, count = MEMBERS_SSCAN_COUNT) {
+    return new PageIterator(callback => {
+      getKeys((err, keys) => {
+        if (err) return callback(err)
+
+        callback(null, keys.map(key => (cursor, callback) => {
+          this._metrics.increment('scan_iterations', 1, { command: 'sscan' })
+          if (cursor === '0') this._metrics.increment('keys_touched', 1, { command: 'sscan' })
+
+          this.storage.sscan(key, cursor, 'COUNT', count, callback)
+        }))
+      })
+    })
+  }
+
+  // reads the members of per-server-instance sets and groups them by
+  // server instance. `serverKeys` is an Array of [serverInstance, key] pairs
+  _setMembersByServer (serverKeys, callback) {
+    async.map(serverKeys, ([serverInstance, key], callback) => {
+      this._setMembersForKeys([key], callback)
+    }, (err, memberGroups) => {
+      if (err) return callback(err)
+
+      const membersByServer = {}
+      serverKeys.forEach(([serverInstance], i) => {
+        membersByServer[serverInstance] = union(membersByServer[serverInstance], memberGroups[i])
+      })
+
+      callback(null, membersByServer)
+    })
   }
 
   // redis commands grouped using `multi` or `pipeline`
@@ -382,13 +2033,28 @@ module.exports = class PrimusRoomsMetroplexAdapter extends PrimusRoomsAdapter {
     }
   }
 
-  _sendToSparks (sparkIds, data, callback) {
-    // primus.forward.sparks runs into memory issues when called
-    // with too many spark ids. to avoid this, we call it
-    // using sub-groups of spark ids
-    const sparkIdChunks = chunk(sparkIds, MAX_SPARK_FORWARDS_PER_BATCH)
-    async.each(sparkIdChunks, (sparkIds, callback) => {
-      this.primus.forward.sparks(sparkIds, data, callback)
-    }, callback)
+  // writes to sparks connected to this server instance, ie. those a
+  // transport received a message for. sparks which disconnected
+  // in the meantime are skipped
+  _writeToLocalSparks (sparkIds, data) {
+    sparkIds.forEach(sparkId => {
+      const spark = this.primus.spark(sparkId)
+      if (spark) spark.write(data)
+    })
   }
 }
+
+// primus-rooms-adapter isn't an EventEmitter, so its methods are mixed in
+Object.getOwnPropertyNames(EventEmitter.prototype)
+  .filter(name => name !== 'constructor')
+  .forEach(name => {
+    PrimusRoomsMetroplexAdapter.prototype[name] = EventEmitter.prototype[name]
+  })
+
+PrimusRoomsMetroplexAdapter.OmegaSupremeTransport = OmegaSupremeTransport
+PrimusRoomsMetroplexAdapter.RedisTransport = RedisTransport
+PrimusRoomsMetroplexAdapter.MemoryStorage = MemoryStorage
+PrimusRoomsMetroplexAdapter.JoinRejectedError = JoinRejectedError
+PrimusRoomsMetroplexAdapter.PrometheusMetrics = PrometheusMetrics
+
+module.exports = PrimusRoomsMetroplexAdapter
@@ -0,0 +1,18 @@
+// room names are encoded in keys, so they can't be mistaken for key
+// separators, glob patterns or cluster hash tags. `%` is encoded as
+// well, which keeps the encoding reversible.
+// the `encodeRoom` lua function in ./scripts must encode the same way
+function encodeRoom (room) {
+  return String(room).replace(/[%:*?[\]\\{}]/g, char => {
+    return `%${char.charCodeAt(0).toString(16).toUpperCase()}`
+  })
+}
+
+function decodeRoom (encodedRoom) {
+  return encodedRoom.replace(/%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+}
+
+module.exports = {
+  encodeRoom,
+  decodeRoom
+}
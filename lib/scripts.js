@@ -0,0 +1,302 @@
+// lua scripts registered on the redis client with `defineCommand`.
+// redis runs each script atomically, which lets us keep
+// several keys consistent without read-then-write races.
+// see https://redis.io/commands/eval
+//
+// other storages implement them as commands of the same name,
+// with the same keys, arguments and replies (see ./storage/memory)
+//
+// in cluster mode, all keys of a script must belong to the same
+// hash slot. the room index keys are left out there, which is why
+// most scripts take a variable number of keys - the room index
+// is only updated if its keys are passed.
+//
+// keys that can't be known upfront (ie. the room->spark set of each
+// room a spark is in) are built from key prefixes, which are deliberately
+// passed as keys: redis cluster routes the script by them, and in cluster
+// mode they end in the hash tag of the server instance, ie.
+// `$namespace:rooms:{$serverInstance}:`, so every key built from them
+// is in the same hash slot as the other keys of the script
+
+// encodes a room name for use in a key, like `encodeRoom`
+// in ./room-names. lua patterns work on bytes, so multibyte
+// characters are left as-is, as they are in javascript
+const encodeRoomFunction = `
+  local function encodeRoom (room)
+    return (string.gsub(room, '[%%:%*%?%[%]\\\\{}]', function (char)
+      return string.format('%%%02X', string.byte(char))
+    end))
+  end
+`
+
+// keeps the room index in sync with a single room->spark set.
+// if the set still exists its TTL is refreshed and the server instance
+// is (re-)registered for the room, otherwise the server instance is
+// removed from the index, along with the room name once no server
+// instance has members left in it.
+const syncRoomIndexFunction = `
+  local function syncRoomIndex (roomKey, serverRoomsKey, roomServersKey, roomNamesKey, serverInstance, room, now, ttl)
+    if roomServersKey then
+      redis.call('zremrangebyscore', roomServersKey, '-inf', now)
+    end
+
+    if redis.call('exists', roomKey) == 1 then
+      redis.call('expire', roomKey, ttl)
+      redis.call('sadd', serverRoomsKey, room)
+      redis.call('expire', serverRoomsKey, ttl)
+
+      if roomServersKey then
+        local expiresAt = now + ttl * 1000
+        redis.call('zadd', roomServersKey, expiresAt, serverInstance)
+        redis.call('expire', roomServersKey, ttl)
+        redis.call('zadd', roomNamesKey, expiresAt, room)
+        redis.call('expire', roomNamesKey, ttl)
+      end
+      return 1
+    end
+
+    redis.call('srem', serverRoomsKey, room)
+
+    if roomServersKey then
+      redis.call('zrem', roomServersKey, serverInstance)
+      if redis.call('zcard', roomServersKey) == 0 then
+        redis.call('zrem', roomNamesKey, room)
+      end
+    end
+    return 0
+  end
+
+  -- whether no server instance has sparks left in a room, once a room->spark
+  -- set was synced. without a room index (ie. in cluster mode), only the
+  -- room->spark set of this server instance is known
+  local function isRoomEmpty (roomExists, roomServersKey)
+    if roomExists == 1 then
+      return 0
+    end
+
+    if roomServersKey and redis.call('zcard', roomServersKey) > 0 then
+      return 0
+    end
+    return 1
+  end
+`
+
+// KEYS: room->spark set, server->room set, [room->server index, room names]
+// ARGV: server instance, room, current time (ms), ttl (s)
+const syncRoomIndex = {
+  lua: `
+    ${syncRoomIndexFunction}
+    return syncRoomIndex(KEYS[1], KEYS[2], KEYS[3], KEYS[4], ARGV[1], ARGV[2], tonumber(ARGV[3]), tonumber(ARGV[4]))
+  `
+}
+
+// adds a spark to one or more rooms on a server instance.
+// returns a list with 1 for each room the spark joined, and 0 for each
+// room it was already in. rooms with a capacity are checked before the
+// spark is added to any room, and if one of them is full, nothing is
+// written and the list has -1 for the full rooms.
+//
+// rooms are sized across server instances through the room index, so
+// capacities require it (ie. no cluster mode). the room->spark sets of
+// other server instances are built from the room->spark set key prefix
+// of the namespace, which is only passed along with the room index
+//
+// KEYS: spark->room set, server->room set, room->spark set of each room,
+//       [room->server index of each room, room names, room->spark set key prefix]
+// ARGV: spark id, server instance, current time (ms), room ttl (s), spark ttl (s),
+//       room and capacity ('' for no limit) of each room
+const addSpark = {
+  lua: `
+    ${syncRoomIndexFunction}
+    ${encodeRoomFunction}
+    local roomCount = (#ARGV - 5) / 2
+    local indexed = #KEYS > 2 + roomCount
+    local results = {}
+    local full = false
+
+    for i = 1, roomCount do
+      local roomKey = KEYS[2 + i]
+      local room = ARGV[4 + i * 2]
+      local capacity = tonumber(ARGV[5 + i * 2])
+      results[i] = 0
+
+      if capacity and indexed and redis.call('sismember', roomKey, ARGV[1]) == 0 then
+        local size = redis.call('scard', roomKey)
+        for _, serverInstance in ipairs(redis.call('zrangebyscore', KEYS[2 + roomCount + i], ARGV[3], '+inf')) do
+          if serverInstance ~= ARGV[2] then
+            size = size + redis.call('scard', KEYS[#KEYS] .. serverInstance .. ':' .. encodeRoom(room))
+          end
+        end
+
+        if size >= capacity then
+          results[i] = -1
+          full = true
+        end
+      end
+    end
+
+    if full then
+      return results
+    end
+
+    for i = 1, roomCount do
+      local roomKey = KEYS[2 + i]
+      local room = ARGV[4 + i * 2]
+      local roomServersKey = indexed and KEYS[2 + roomCount + i] or nil
+      local roomNamesKey = indexed and KEYS[#KEYS - 1] or nil
+
+      results[i] = redis.call('sadd', roomKey, ARGV[1])
+      redis.call('sadd', KEYS[1], room)
+      syncRoomIndex(roomKey, KEYS[2], roomServersKey, roomNamesKey, ARGV[2], room, tonumber(ARGV[3]), tonumber(ARGV[4]))
+    end
+
+    redis.call('expire', KEYS[1], tonumber(ARGV[5]))
+    return results
+  `
+}
+
+// removes a spark from a room on a server instance.
+// returns whether the spark left the room, and whether the room is empty
+//
+// KEYS: room->spark set, spark->room set, server->room set, [room->server index, room names]
+// ARGV: spark id, room, server instance, current time (ms), room ttl (s)
+const delSpark = {
+  lua: `
+    ${syncRoomIndexFunction}
+    local removed = redis.call('srem', KEYS[1], ARGV[1])
+    redis.call('srem', KEYS[2], ARGV[2])
+    local roomExists = syncRoomIndex(KEYS[1], KEYS[3], KEYS[4], KEYS[5], ARGV[3], ARGV[2], tonumber(ARGV[4]), tonumber(ARGV[5]))
+    return { removed, isRoomEmpty(roomExists, KEYS[4]) }
+  `
+}
+
+// removes a spark from all of its rooms on a server instance.
+// returns a flat list of the rooms the spark left, each followed by
+// whether the room is empty (ie. room1, 0, room2, 1)
+//
+// KEYS: spark->room set, server->room set, room->spark set key prefix,
+//       [room->server index key prefix, room names]
+// ARGV: spark id, server instance, current time (ms), room ttl (s)
+const delSparkFromAllRooms = {
+  lua: `
+    ${syncRoomIndexFunction}
+    ${encodeRoomFunction}
+    local leftRooms = {}
+
+    for _, room in ipairs(redis.call('smembers', KEYS[1])) do
+      local roomKey = KEYS[3] .. encodeRoom(room)
+      local roomServersKey = KEYS[4] and (KEYS[4] .. encodeRoom(room))
+      local removed = redis.call('srem', roomKey, ARGV[1])
+      local roomExists = syncRoomIndex(roomKey, KEYS[2], roomServersKey, KEYS[5], ARGV[2], room, tonumber(ARGV[3]), tonumber(ARGV[4]))
+
+      if removed == 1 then
+        table.insert(leftRooms, room)
+        table.insert(leftRooms, isRoomEmpty(roomExists, roomServersKey))
+      end
+    end
+
+    redis.call('del', KEYS[1])
+    return leftRooms
+  `
+}
+
+// removes all sparks from a room on a single server instance.
+// used in cluster mode, where rooms are emptied per server instance.
+// returns the removed spark ids
+//
+// KEYS: room->spark set, server->room set, spark->room set key prefix
+// ARGV: room
+const emptyServerRoom = {
+  numberOfKeys: 3,
+  lua: `
+    local sparkIds = redis.call('smembers', KEYS[1])
+    for _, sparkId in ipairs(sparkIds) do
+      redis.call('srem', KEYS[3] .. sparkId, ARGV[1])
+    end
+    redis.call('del', KEYS[1])
+    redis.call('srem', KEYS[2], ARGV[1])
+    return sparkIds
+  `
+}
+
+// removes all sparks from a room, across server instances.
+// returns the removed spark ids.
+// reads each room->spark set at once, which blocks redis
+// for longer than a scan would for very large rooms.
+// not available in cluster mode, as it touches every server instance.
+// their keys are built from the key prefixes of the namespace:
+//
+//   $namespace:rooms:$serverInstance:$encodedRoom
+//   $namespace:sparks:$sparkId
+//   $namespace:servers:$serverInstance:rooms
+//
+// KEYS: room->server index, room names, room->spark set key prefix,
+//       spark->room set key prefix, server key prefix
+// ARGV: room
+const emptyRoom = {
+  numberOfKeys: 5,
+  lua: `
+    ${encodeRoomFunction}
+    local room = ARGV[1]
+    local removedSparkIds = {}
+
+    for _, serverInstance in ipairs(redis.call('zrange', KEYS[1], 0, -1)) do
+      local roomKey = KEYS[3] .. serverInstance .. ':' .. encodeRoom(room)
+      for _, sparkId in ipairs(redis.call('smembers', roomKey)) do
+        redis.call('srem', KEYS[4] .. sparkId, room)
+        table.insert(removedSparkIds, sparkId)
+      end
+      redis.call('del', roomKey)
+      redis.call('srem', KEYS[5] .. serverInstance .. ':rooms', room)
+    end
+
+    redis.call('del', KEYS[1])
+    redis.call('zrem', KEYS[2], room)
+    return removedSparkIds
+  `
+}
+
+// adds a room to the spark->room set of a spark which is in the room->spark
+// set, for repairing room-only memberships. the spark may have left the room
+// since it was checked, so it's checked again before the room is added.
+// returns whether the room was added
+//
+// KEYS: room->spark set, spark->room set
+// ARGV: spark id, room, spark ttl (s)
+const repairRoomOnly = {
+  numberOfKeys: 2,
+  lua: `
+    if redis.call('sismember', KEYS[1], ARGV[1]) == 0 then
+      return 0
+    end
+
+    redis.call('sadd', KEYS[2], ARGV[2])
+    redis.call('expire', KEYS[2], tonumber(ARGV[3]))
+    return 1
+  `
+}
+
+// deletes a lock, unless it expired and was acquired by someone else
+//
+// KEYS: lock
+// ARGV: token the lock was acquired with
+const releaseLock = {
+  numberOfKeys: 1,
+  lua: `
+    if redis.call('get', KEYS[1]) == ARGV[1] then
+      return redis.call('del', KEYS[1])
+    end
+    return 0
+  `
+}
+
+module.exports = {
+  syncRoomIndex,
+  addSpark,
+  delSpark,
+  delSparkFromAllRooms,
+  emptyServerRoom,
+  emptyRoom,
+  repairRoomOnly,
+  releaseLock
+}
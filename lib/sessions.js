@@ -0,0 +1,148 @@
+const async = require('async')
+const { JoinRejectedError } = require('./errors')
+
+const DEFAULT_GRACE_WINDOW_MS = 30000
+
+// keeps the rooms of sparks by a stable session id, so a client which
+// reconnects with a new spark id re-joins its rooms. while a spark of a
+// session is connected, the rooms it joins and leaves are kept in a
+// session->room set. once it disconnects, the set is kept for a grace
+// window, and a spark of the same session connecting within it is added
+// to its rooms. sessions which don't come back expire
+module.exports = class Sessions {
+  /**
+  * @param {PrimusRoomsMetroplexAdapter} adapter - Adapter
+  * @param {Object} opts - Session options
+  * @param {Function} opts.extract - Called with a spark, returns its session id, or
+  *   nothing for sparks without a session. A spark of a session joins its rooms, so
+  *   the id has to be one the client can't choose, ie. from a verified token
+  * @param {Number} [opts.graceWindow=30000] - Time in ms the rooms of a session
+  *   are kept after its spark disconnects
+  */
+  constructor (adapter, opts) {
+    if (typeof opts.extract !== 'function') {
+      throw new Error('the `sessions` option requires an `extract` function')
+    }
+
+    this.adapter = adapter
+    this.extract = opts.extract
+    this.graceWindow = opts.graceWindow || DEFAULT_GRACE_WINDOW_MS
+    this._sparkSessions = new Map()
+  }
+
+  /**
+  * Starts tracking the sessions of connecting sparks
+  */
+  initialize () {
+    this.adapter._onPrimus('connection', spark => this._onConnection(spark))
+    this.adapter._onPrimus('disconnection', spark => this._onDisconnection(spark))
+  }
+
+  /**
+  * Forgets the sessions of connected sparks. Their rooms are
+  * kept until their session->room sets expire
+  */
+  destroy () {
+    this._sparkSessions.clear()
+  }
+
+  /**
+  * returns String session id of a spark connected to this server instance, or null
+  * @param {String} sparkId - Spark id
+  */
+  sessionOf (sparkId) {
+    return this._sparkSessions.get(sparkId) || null
+  }
+
+  /**
+  * Adds rooms a spark joined to its session
+  * @param {String} sparkId - Spark id
+  * @param {Array} rooms - Room names
+  * @param {Function} callback - Callback
+  */
+  joined (sparkId, rooms, callback) {
+    const sessionId = this.sessionOf(sparkId)
+    if (!sessionId || rooms.length === 0) return callback()
+
+    const key = this.adapter._sessionRoomSetKey(sessionId)
+    this.adapter.storage.multi()
+      .sadd(key, rooms)
+      .expire(key, this.adapter._sparkRoomSetTTLSeconds)
+      .exec((err, results) => {
+        if (err) return callback(err)
+        this.adapter._validateMultiResults(results, callback)
+      })
+  }
+
+  /**
+  * Removes rooms a spark left from its session
+  * @param {String} sparkId - Spark id
+  * @param {Array} rooms - Room names
+  * @param {Function} callback - Callback
+  */
+  left (sparkId, rooms, callback) {
+    const sessionId = this.sessionOf(sparkId)
+    if (!sessionId || rooms.length === 0) return callback()
+
+    this.adapter.storage.srem(this.adapter._sessionRoomSetKey(sessionId), rooms, err => callback(err))
+  }
+
+  _onConnection (spark) {
+    const sessionId = this.extract(spark)
+    if (sessionId == null || sessionId === '') return
+
+    this._sparkSessions.set(spark.id, String(sessionId))
+
+    // the session lives as long as the spark->room set of its spark
+    spark.on('heartbeat', () => {
+      if (!this.sessionOf(spark.id)) return
+
+      this.adapter.storage.expire(this.adapter._sessionRoomSetKey(String(sessionId)), this.adapter._sparkRoomSetTTLSeconds, err => {
+        if (err) this.adapter._logger.error(new Error(`Error refreshing session->room set TTL: ${err}`))
+      })
+    })
+
+    this._restore(spark.id, String(sessionId), err => {
+      if (err) this.adapter._logger.error(new Error(`Error restoring the rooms of session ${sessionId}: ${err}`))
+    })
+  }
+
+  _onDisconnection (spark) {
+    const sessionId = this.sessionOf(spark.id)
+    if (!sessionId) return
+
+    this._sparkSessions.delete(spark.id)
+    this.adapter.storage.pexpire(this.adapter._sessionRoomSetKey(sessionId), this.graceWindow, err => {
+      if (err) this.adapter._logger.error(new Error(`Error starting the grace window of session ${sessionId}: ${err}`))
+    })
+  }
+
+  // adds a new spark of a session to the rooms of the session. rooms are joined
+  // one at a time, so rooms which reject the spark (ie. full ones) don't keep it
+  // out of the others. rejecting rooms are removed from the session
+  _restore (sparkId, sessionId, callback) {
+    this.adapter.storage.smembers(this.adapter._sessionRoomSetKey(sessionId), (err, rooms) => {
+      if (err) return callback(err)
+      if (rooms.length === 0) return callback()
+
+      const rejectedRooms = []
+      async.filterSeries(rooms, (room, callback) => {
+        this.adapter.add(sparkId, room, err => {
+          if (err instanceof JoinRejectedError) {
+            rejectedRooms.push(room)
+            return callback(null, false)
+          }
+          callback(err, !err)
+        })
+      }, (err, restoredRooms) => {
+        if (err) return callback(err)
+
+        this.left(sparkId, rejectedRooms, err => {
+          if (err) return callback(err)
+          this.adapter.emit('sessionRestored', { sparkId, sessionId, rooms: restoredRooms, rejectedRooms })
+          callback()
+        })
+      })
+    })
+  }
+}
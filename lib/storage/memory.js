@@ -0,0 +1,908 @@
+const { EventEmitter } = require('events')
+const { escapeRegExp, flatten, sortBy } = require('lodash')
+const { encodeRoom } = require('../room-names')
+
+// in-memory implementation of the storage interface: the ioredis commands
+// used by the adapter, and the atomic operations of ../scripts.
+// data only lives in this process, so it's meant for single-process
+// deployments, local development and tests.
+//
+// like redis, commands are applied one at a time in the order they are
+// called, and the commands of a multi are applied at once. results are
+// passed to the callback, or a promise if it's omitted, asynchronously
+
+const WRONGTYPE_ERROR = 'WRONGTYPE Operation against a key holding the wrong kind of value'
+
+// default `COUNT` of `scan`, `sscan` and `zscan`, like redis
+const DEFAULT_SCAN_COUNT = 10
+
+// entries per node of a stream, the default `stream-node-max-entries` of redis
+const STREAM_NODE_ENTRIES = 100
+
+// keys which expired are deleted when they're read, and by a sweep of the
+// keyspace for those which aren't read anymore, like redis does. each sweep
+// walks this many keys, continuing where the previous one stopped
+const EXPIRY_SWEEP_INTERVAL = 100
+const EXPIRY_SWEEP_KEYS = 200
+
+// settles a callback or a promise with the result of `fn`,
+// which is run right away
+function settle (callback, fn) {
+  let error = null
+  let result
+
+  try {
+    result = fn()
+  } catch (err) {
+    error = err
+  }
+
+  if (typeof callback === 'function') {
+    setImmediate(() => callback(error, result))
+    return
+  }
+
+  return new Promise((resolve, reject) => {
+    setImmediate(() => error ? reject(error) : resolve(result))
+  })
+}
+
+// escapes a character for use in a regexp character class
+function escapeClassChar (char) {
+  return /[\\\]^-]/.test(char) ? `\\${char}` : char
+}
+
+// converts a glob-style pattern of `keys` and `scan` to a regexp.
+// supports `*`, `?`, `[...]` (with `^` and ranges) and `\` escapes
+function globToRegExp (pattern) {
+  let source = ''
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[++i])
+    } else if (char === '*') {
+      source += '[\\s\\S]*'
+    } else if (char === '?') {
+      source += '[\\s\\S]'
+    } else if (char === '[') {
+      let j = i + 1
+      let negate = false
+      let members = ''
+
+      if (pattern[j] === '^') {
+        negate = true
+        j++
+      }
+
+      while (j < pattern.length && pattern[j] !== ']') {
+        let from = pattern[j]
+        if (from === '\\' && j + 1 < pattern.length) from = pattern[++j]
+
+        if (pattern[j + 1] === '-' && j + 2 < pattern.length && pattern[j + 2] !== ']') {
+          let to = pattern[j + 2]
+          j += 2
+          if (to === '\\' && j + 1 < pattern.length) to = pattern[++j]
+          if (from > to) [from, to] = [to, from]
+          members += `${escapeClassChar(from)}-${escapeClassChar(to)}`
+        } else {
+          members += escapeClassChar(from)
+        }
+
+        j++
+      }
+
+      // without a closing bracket, the bracket is matched as-is
+      if (j >= pattern.length) {
+        source += '\\['
+        continue
+      }
+
+      if (members) {
+        source += `[${negate ? '^' : ''}${members}]`
+      } else {
+        source += negate ? '[\\s\\S]' : '(?!)'
+      }
+      i = j
+    } else {
+      source += escapeRegExp(char)
+    }
+  }
+
+  return new RegExp(`^${source}$`)
+}
+
+// parses a `zrangebyscore` bound, ie. `-inf`, `(5` or `5`
+function parseScoreBound (bound) {
+  bound = String(bound)
+  const exclusive = bound[0] === '('
+  const value = exclusive ? bound.slice(1) : bound
+
+  let score = Number(value)
+  if (value === '-inf') score = -Infinity
+  if (value === '+inf' || value === 'inf') score = Infinity
+
+  return { score, exclusive }
+}
+
+// parses a stream id, ie. `1526919030474-55`. a missing sequence
+// number is 0, or the highest one for the end of a range
+function parseStreamId (id, isEnd) {
+  const [ms, seq] = String(id).split('-')
+  const parsed = [Number(ms), seq === undefined ? (isEnd ? Infinity : 0) : Number(seq)]
+  if (!parsed.every(part => part >= 0)) throw new Error('ERR Invalid stream ID specified as stream command argument')
+  return parsed
+}
+
+// parses an `xrange` bound, ie. `-`, `+`, `(1526919030474-55` or `1526919030474`
+function parseStreamBound (bound, isEnd) {
+  bound = String(bound)
+  if (bound === '-') return { id: [-Infinity, -Infinity], exclusive: false }
+  if (bound === '+') return { id: [Infinity, Infinity], exclusive: false }
+
+  const exclusive = bound[0] === '('
+  return { id: parseStreamId(exclusive ? bound.slice(1) : bound, isEnd), exclusive }
+}
+
+function compareStreamIds ([msA, seqA], [msB, seqB]) {
+  return msA !== msB ? msA - msB : seqA - seqB
+}
+
+// parses the `COUNT` option of `xrange` and `xrevrange`
+function parseCount (args) {
+  const index = args.findIndex(arg => String(arg).toUpperCase() === 'COUNT')
+  return index === -1 ? Infinity : Number(args[index + 1])
+}
+
+// parses the options of `scan`, `sscan` and `zscan`
+function parseScanOptions (args) {
+  const options = { match: null, count: DEFAULT_SCAN_COUNT }
+
+  for (let i = 0; i < args.length; i += 2) {
+    const option = String(args[i]).toUpperCase()
+    if (option === 'MATCH') options.match = globToRegExp(String(args[i + 1]))
+    if (option === 'COUNT') options.count = Number(args[i + 1])
+  }
+
+  return options
+}
+
+// 32 bit FNV-1a hash of a string, which orders the elements of scans
+function scanHash (str) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < str.length; i++) {
+    hash = Math.imul(hash ^ str.charCodeAt(i), 0x01000193) >>> 0
+  }
+  return hash
+}
+
+// elements ordered by hash, the order scans walk them in. it's kept between
+// the pages of a scan, and updated as elements are added and removed
+class ScanOrder {
+  constructor (elements) {
+    this._entries = sortBy(elements.map(element => [scanHash(element), element]), [0, 1])
+  }
+
+  add (element) {
+    const entry = [scanHash(element), element]
+    this._entries.splice(this._indexOf(entry), 0, entry)
+  }
+
+  delete (element) {
+    const index = this._indexOf([scanHash(element), element])
+    if (index < this._entries.length && this._entries[index][1] === element) this._entries.splice(index, 1)
+  }
+
+  // walks `count` elements from the hash `start`. elements of the same hash
+  // are walked together. returns them, and the hash of the next element,
+  // or null once all were walked
+  walk (start, count) {
+    const entries = this._entries
+    const from = this._indexOf([start, ''])
+    let end = Math.min(from + count, entries.length)
+    while (end > from && end < entries.length && entries[end][0] === entries[end - 1][0]) end++
+
+    return {
+      elements: entries.slice(from, end).map(([, element]) => element),
+      next: end < entries.length ? entries[end][0] : null
+    }
+  }
+
+  // index of the first entry which isn't ordered before `entry`
+  _indexOf ([hash, element]) {
+    let low = 0
+    let high = this._entries.length
+
+    while (low < high) {
+      const middle = (low + high) >>> 1
+      const [middleHash, middleElement] = this._entries[middle]
+
+      if (middleHash < hash || (middleHash === hash && middleElement < element)) {
+        low = middle + 1
+      } else {
+        high = middle
+      }
+    }
+
+    return low
+  }
+}
+
+// a set which keeps its scan order once it's scanned
+class ScanOrderedSet extends Set {
+  get scanOrder () {
+    if (!this._scanOrder) this._scanOrder = new ScanOrder(Array.from(this))
+    return this._scanOrder
+  }
+
+  add (member) {
+    if (this._scanOrder && !this.has(member)) this._scanOrder.add(member)
+    return super.add(member)
+  }
+
+  delete (member) {
+    if (this._scanOrder) this._scanOrder.delete(member)
+    return super.delete(member)
+  }
+
+  clear () {
+    this._scanOrder = null
+    super.clear()
+  }
+}
+
+// a map which keeps the scan order of its keys once it's scanned,
+// for the keyspace and sorted sets
+class ScanOrderedMap extends Map {
+  get scanOrder () {
+    if (!this._scanOrder) this._scanOrder = new ScanOrder(Array.from(this.keys()))
+    return this._scanOrder
+  }
+
+  set (key, value) {
+    if (this._scanOrder && !this.has(key)) this._scanOrder.add(key)
+    return super.set(key, value)
+  }
+
+  delete (key) {
+    if (this._scanOrder) this._scanOrder.delete(key)
+    return super.delete(key)
+  }
+
+  clear () {
+    this._scanOrder = null
+    super.clear()
+  }
+}
+
+// returns the cursor of the next page of a scan of the elements of a
+// `ScanOrder`, and the elements of this page which exist and match `MATCH`.
+// like on redis, `COUNT` elements are walked per page, so pages can be empty,
+// and the cursor is 0 once all were walked. elements are walked by hash, and
+// the cursor is the hash to continue from, plus one, so elements which exist
+// during the whole scan are returned even if others are added or removed between pages
+function scanPage (order, cursor, args, exists = () => true) {
+  const { match, count } = parseScanOptions(args)
+  const { elements, next } = order.walk(Math.max(Number(cursor) - 1, 0), Math.max(count, 1))
+
+  const nextCursor = next === null ? '0' : String(next + 1)
+  return [nextCursor, elements.filter(element => exists(element) && (!match || match.test(element)))]
+}
+
+// splits the arguments of an operation with a variable number of keys
+function splitKeys (numKeys, args) {
+  return [args.slice(0, Number(numKeys)), args.slice(Number(numKeys))]
+}
+
+// ports of the lua functions shared by the scripts in ../scripts
+function syncRoomIndex (storage, roomKey, serverRoomsKey, roomServersKey, roomNamesKey, serverInstance, room, now, ttl) {
+  if (roomServersKey) storage._command('zremrangebyscore', roomServersKey, '-inf', now)
+
+  if (storage._command('exists', roomKey) === 1) {
+    storage._command('expire', roomKey, ttl)
+    storage._command('sadd', serverRoomsKey, room)
+    storage._command('expire', serverRoomsKey, ttl)
+
+    if (roomServersKey) {
+      const expiresAt = now + ttl * 1000
+      storage._command('zadd', roomServersKey, expiresAt, serverInstance)
+      storage._command('expire', roomServersKey, ttl)
+      storage._command('zadd', roomNamesKey, expiresAt, room)
+      storage._command('expire', roomNamesKey, ttl)
+    }
+    return 1
+  }
+
+  storage._command('srem', serverRoomsKey, room)
+
+  if (roomServersKey) {
+    storage._command('zrem', roomServersKey, serverInstance)
+    if (storage._command('zcard', roomServersKey) === 0) {
+      storage._command('zrem', roomNamesKey, room)
+    }
+  }
+  return 0
+}
+
+function isRoomEmpty (storage, roomExists, roomServersKey) {
+  if (roomExists === 1) return 0
+  if (roomServersKey && storage._command('zcard', roomServersKey) > 0) return 0
+  return 1
+}
+
+// commands run with the storage as `this`. each returns its result,
+// or throws like redis would reply with an error
+const commands = {
+  del (...keys) {
+    return flatten(keys).filter(key => this._entry(key) && this._db.keys.delete(key)).length
+  },
+
+  exists (...keys) {
+    return flatten(keys).filter(key => this._entry(key)).length
+  },
+
+  expire (key, seconds) {
+    const entry = this._entry(key)
+    if (!entry) return 0
+
+    if (Number(seconds) <= 0) {
+      this._db.keys.delete(key)
+    } else {
+      entry.expiresAt = Date.now() + Number(seconds) * 1000
+    }
+    return 1
+  },
+
+  pexpire (key, milliseconds) {
+    return commands.expire.call(this, key, Number(milliseconds) / 1000)
+  },
+
+  ttl (key) {
+    const entry = this._entry(key)
+    if (!entry) return -2
+    if (entry.expiresAt === null) return -1
+    return Math.round((entry.expiresAt - Date.now()) / 1000)
+  },
+
+  keys (pattern) {
+    const regExp = globToRegExp(String(pattern))
+    return this._liveKeys().filter(key => regExp.test(key))
+  },
+
+  scan (cursor, ...args) {
+    return scanPage(this._db.keys.scanOrder, cursor, args, key => !!this._entry(key))
+  },
+
+  flushdb () {
+    this._db.keys.clear()
+    return 'OK'
+  },
+
+  get (key) {
+    return this._read(key, 'string')
+  },
+
+  set (key, value, ...args) {
+    const options = args.map(arg => String(arg).toUpperCase())
+    const exists = !!this._entry(key)
+
+    if ((options.includes('NX') && exists) || (options.includes('XX') && !exists)) return null
+
+    let expiresAt = null
+    const ex = options.indexOf('EX')
+    const px = options.indexOf('PX')
+    if (ex !== -1) expiresAt = Date.now() + Number(args[ex + 1]) * 1000
+    if (px !== -1) expiresAt = Date.now() + Number(args[px + 1])
+
+    this._db.keys.set(key, { type: 'string', value: String(value), expiresAt })
+    return 'OK'
+  },
+
+  sadd (key, ...members) {
+    const set = this._write(key, 'set', () => new ScanOrderedSet())
+    return flatten(members).map(String).filter(member => !set.has(member) && set.add(member)).length
+  },
+
+  srem (key, ...members) {
+    const set = this._read(key, 'set')
+    if (!set) return 0
+
+    const removed = flatten(members).map(String).filter(member => set.delete(member)).length
+    this._deleteIfEmpty(key, set)
+    return removed
+  },
+
+  smembers (key) {
+    return Array.from(this._read(key, 'set') || [])
+  },
+
+  sismember (key, member) {
+    const set = this._read(key, 'set')
+    return set && set.has(String(member)) ? 1 : 0
+  },
+
+  scard (key) {
+    const set = this._read(key, 'set')
+    return set ? set.size : 0
+  },
+
+  sscan (key, cursor, ...args) {
+    const set = this._read(key, 'set')
+    if (!set) return ['0', []]
+    return scanPage(set.scanOrder, cursor, args)
+  },
+
+  sunionstore (destination, ...keys) {
+    const members = new ScanOrderedSet()
+    flatten(keys).forEach(key => {
+      commands.smembers.call(this, key).forEach(member => members.add(member))
+    })
+
+    this._db.keys.delete(destination)
+    if (members.size > 0) this._db.keys.set(destination, { type: 'set', value: members, expiresAt: null })
+    return members.size
+  },
+
+  zadd (key, ...scoresAndMembers) {
+    const zset = this._write(key, 'zset', () => new ScanOrderedMap())
+    let added = 0
+
+    for (let i = 0; i < scoresAndMembers.length; i += 2) {
+      const member = String(scoresAndMembers[i + 1])
+      if (!zset.has(member)) added++
+      zset.set(member, Number(scoresAndMembers[i]))
+    }
+    return added
+  },
+
+  zscan (key, cursor, ...args) {
+    const zset = this._read(key, 'zset')
+    if (!zset) return ['0', []]
+
+    const [nextCursor, members] = scanPage(zset.scanOrder, cursor, args)
+    return [nextCursor, flatten(members.map(member => [member, String(zset.get(member))]))]
+  },
+
+  zrem (key, ...members) {
+    const zset = this._read(key, 'zset')
+    if (!zset) return 0
+
+    const removed = flatten(members).map(String).filter(member => zset.delete(member)).length
+    this._deleteIfEmpty(key, zset)
+    return removed
+  },
+
+  zcard (key) {
+    const zset = this._read(key, 'zset')
+    return zset ? zset.size : 0
+  },
+
+  zscore (key, member) {
+    const zset = this._read(key, 'zset')
+    return zset && zset.has(String(member)) ? String(zset.get(String(member))) : null
+  },
+
+  zrange (key, start, stop, withScores) {
+    const entries = this._sortedEntries(key)
+    const length = entries.length
+
+    let from = Number(start)
+    let to = Number(stop)
+    if (from < 0) from = Math.max(length + from, 0)
+    if (to < 0) to = length + to
+
+    return this._rangeReply(entries.slice(from, to + 1), withScores)
+  },
+
+  zrangebyscore (key, min, max, withScores) {
+    const lower = parseScoreBound(min)
+    const upper = parseScoreBound(max)
+
+    return this._rangeReply(this._sortedEntries(key).filter(([member, score]) => {
+      return (lower.exclusive ? score > lower.score : score >= lower.score) &&
+        (upper.exclusive ? score < upper.score : score <= upper.score)
+    }), withScores)
+  },
+
+  zremrangebyscore (key, min, max) {
+    const members = commands.zrangebyscore.call(this, key, min, max)
+    return commands.zrem.call(this, key, members)
+  },
+
+  xadd (key, ...args) {
+    let maxLength = Infinity
+    let approximate = false
+    if (String(args[0]).toUpperCase() === 'MAXLEN') {
+      args.shift()
+      if (args[0] === '~' || args[0] === '=') approximate = args.shift() === '~'
+      maxLength = Number(args.shift())
+    }
+
+    const requestedId = String(args.shift())
+    const stream = this._write(key, 'stream', () => ({ entries: [], lastId: [0, 0] }))
+    const [lastMs, lastSeq] = stream.lastId
+
+    let id
+    if (requestedId === '*') {
+      const now = Date.now()
+      id = now > lastMs ? [now, 0] : [lastMs, lastSeq + 1]
+    } else {
+      id = parseStreamId(requestedId, false)
+      if (compareStreamIds(id, stream.lastId) <= 0) {
+        throw new Error('ERR The ID specified in XADD is equal or smaller than the target stream top item')
+      }
+    }
+
+    stream.lastId = id
+    stream.entries.push({ id, fields: args.map(String) })
+
+    // like redis, approximate trimming only removes whole nodes of entries,
+    // so streams are kept longer than maxLength until a node can be removed
+    let excess = Math.max(stream.entries.length - maxLength, 0)
+    if (approximate) excess -= excess % STREAM_NODE_ENTRIES
+    stream.entries.splice(0, excess)
+    return id.join('-')
+  },
+
+  xrange (key, start, end, ...args) {
+    const stream = this._read(key, 'stream')
+    if (!stream) return []
+
+    const lower = parseStreamBound(start, false)
+    const upper = parseStreamBound(end, true)
+
+    return stream.entries.filter(({ id }) => {
+      const fromLower = compareStreamIds(id, lower.id)
+      const fromUpper = compareStreamIds(id, upper.id)
+      return (lower.exclusive ? fromLower > 0 : fromLower >= 0) &&
+        (upper.exclusive ? fromUpper < 0 : fromUpper <= 0)
+    }).slice(0, parseCount(args)).map(({ id, fields }) => [id.join('-'), fields.slice()])
+  },
+
+  xrevrange (key, end, start, ...args) {
+    return commands.xrange.call(this, key, start, end).reverse().slice(0, parseCount(args))
+  },
+
+  publish (channel, message) {
+    const receivers = this._db.channels.listenerCount(channel)
+    setImmediate(() => this._db.channels.emit(channel, String(message)))
+    return receivers
+  },
+
+  syncRoomIndex (numKeys, ...args) {
+    const [keys, argv] = splitKeys(numKeys, args)
+    return syncRoomIndex(this, keys[0], keys[1], keys[2], keys[3], argv[0], argv[1], Number(argv[2]), Number(argv[3]))
+  },
+
+  addSpark (numKeys, ...args) {
+    const [keys, argv] = splitKeys(numKeys, args)
+    const [sparkId, serverInstance, now, roomTTL, sparkTTL] = argv
+    const rooms = []
+    for (let i = 5; i < argv.length; i += 2) {
+      rooms.push({ room: argv[i], capacity: argv[i + 1] === '' ? null : Number(argv[i + 1]) })
+    }
+
+    const indexed = keys.length > 2 + rooms.length
+    const roomKey = i => keys[2 + i]
+    const roomServersKey = i => indexed ? keys[2 + rooms.length + i] : null
+    const roomNamesKey = indexed ? keys[keys.length - 2] : null
+
+    const results = rooms.map(({ room, capacity }, i) => {
+      if (capacity === null || !indexed || this._command('sismember', roomKey(i), sparkId) === 1) return 0
+
+      const size = this._command('zrangebyscore', roomServersKey(i), now, '+inf')
+        .filter(other => other !== serverInstance)
+        .reduce((size, other) => {
+          return size + this._command('scard', `${keys[keys.length - 1]}${other}:${encodeRoom(room)}`)
+        }, this._command('scard', roomKey(i)))
+
+      return size >= capacity ? -1 : 0
+    })
+    if (results.includes(-1)) return results
+
+    rooms.forEach(({ room }, i) => {
+      results[i] = this._command('sadd', roomKey(i), sparkId)
+      this._command('sadd', keys[0], room)
+      syncRoomIndex(this, roomKey(i), keys[1], roomServersKey(i), roomNamesKey, serverInstance, room, Number(now), Number(roomTTL))
+    })
+
+    this._command('expire', keys[0], Number(sparkTTL))
+    return results
+  },
+
+  delSpark (numKeys, ...args) {
+    const [keys, argv] = splitKeys(numKeys, args)
+
+    const removed = this._command('srem', keys[0], argv[0])
+    this._command('srem', keys[1], argv[1])
+    const roomExists = syncRoomIndex(this, keys[0], keys[2], keys[3], keys[4], argv[2], argv[1], Number(argv[3]), Number(argv[4]))
+    return [removed, isRoomEmpty(this, roomExists, keys[3])]
+  },
+
+  delSparkFromAllRooms (numKeys, ...args) {
+    const [keys, argv] = splitKeys(numKeys, args)
+    const leftRooms = []
+
+    this._command('smembers', keys[0]).forEach(room => {
+      const roomKey = keys[2] + encodeRoom(room)
+      const roomServersKey = keys[3] && keys[3] + encodeRoom(room)
+      const removed = this._command('srem', roomKey, argv[0])
+      const roomExists = syncRoomIndex(this, roomKey, keys[1], roomServersKey, keys[4], argv[1], room, Number(argv[2]), Number(argv[3]))
+
+      if (removed === 1) leftRooms.push(room, isRoomEmpty(this, roomExists, roomServersKey))
+    })
+
+    this._command('del', keys[0])
+    return leftRooms
+  },
+
+  emptyServerRoom (roomKey, serverRoomsKey, sparkKeyPrefix, room) {
+    const sparkIds = this._command('smembers', roomKey)
+    sparkIds.forEach(sparkId => {
+      this._command('srem', sparkKeyPrefix + sparkId, room)
+    })
+    this._command('del', roomKey)
+    this._command('srem', serverRoomsKey, room)
+    return sparkIds
+  },
+
+  emptyRoom (roomServersKey, roomNamesKey, roomKeyPrefix, sparkKeyPrefix, serverKeyPrefix, room) {
+    const removedSparkIds = []
+
+    this._command('zrange', roomServersKey, 0, -1).forEach(serverInstance => {
+      const roomKey = `${roomKeyPrefix}${serverInstance}:${encodeRoom(room)}`
+      this._command('smembers', roomKey).forEach(sparkId => {
+        this._command('srem', `${sparkKeyPrefix}${sparkId}`, room)
+        removedSparkIds.push(sparkId)
+      })
+      this._command('del', roomKey)
+      this._command('srem', `${serverKeyPrefix}${serverInstance}:rooms`, room)
+    })
+
+    this._command('del', roomServersKey)
+    this._command('zrem', roomNamesKey, room)
+    return removedSparkIds
+  },
+
+  repairRoomOnly (roomKey, sparkKey, sparkId, room, sparkTTL) {
+    if (this._command('sismember', roomKey, sparkId) === 0) return 0
+
+    this._command('sadd', sparkKey, room)
+    this._command('expire', sparkKey, Number(sparkTTL))
+    return 1
+  },
+
+  releaseLock (lockKey, token) {
+    if (this._command('get', lockKey) === String(token)) return this._command('del', lockKey)
+    return 0
+  }
+}
+
+class MemoryStorage extends EventEmitter {
+  /**
+  * @param {Object} [db] - Keyspace and pub/sub channels shared with other
+  *   connections. Only used by `duplicate()`
+  */
+  constructor (db) {
+    super()
+
+    this._db = db || { keys: new ScanOrderedMap(), channels: new EventEmitter() }
+    this._db.channels.setMaxListeners(0)
+    this._subscriptions = new Map()
+
+    // duplicates share the expiry sweep of the connection they were duplicated from
+    this._sweep = null
+    if (!db) {
+      this._sweepTimer = setInterval(() => this._sweepExpiredKeys(), EXPIRY_SWEEP_INTERVAL)
+      this._sweepTimer.unref()
+    }
+  }
+
+  /**
+  * Creates another connection to the same data, ie. for subscribing
+  * returns MemoryStorage
+  */
+  duplicate () {
+    return new MemoryStorage(this._db)
+  }
+
+  /**
+  * Lists the nodes of the storage in cluster mode, which is just this one
+  * returns Array of MemoryStorage
+  */
+  nodes () {
+    return [this]
+  }
+
+  /**
+  * The atomic operations of the storage interface are implemented
+  * natively, so there's nothing to define
+  */
+  defineCommand () {}
+
+  /**
+  * Queues commands, which are applied at once on `exec`.
+  * returns MemoryMulti
+  */
+  multi () {
+    return new MemoryMulti(this)
+  }
+
+  pipeline () {
+    return new MemoryMulti(this)
+  }
+
+  /**
+  * Emits `message` events for messages published on the given channels
+  * @param {...String} channels - Channels
+  * @param {Function} [callback] - Callback. Returns a promise if omitted
+  */
+  subscribe (...channels) {
+    const callback = typeof channels[channels.length - 1] === 'function' ? channels.pop() : null
+
+    return settle(callback, () => {
+      channels.forEach(channel => {
+        if (this._subscriptions.has(channel)) return
+
+        const listener = message => this.emit('message', channel, message)
+        this._subscriptions.set(channel, listener)
+        this._db.channels.on(channel, listener)
+      })
+
+      return this._subscriptions.size
+    })
+  }
+
+  /**
+  * Stops emitting messages of the given channels, or of all channels if none are given
+  * @param {...String} [channels] - Channels
+  * @param {Function} [callback] - Callback. Returns a promise if omitted
+  */
+  unsubscribe (...channels) {
+    const callback = typeof channels[channels.length - 1] === 'function' ? channels.pop() : null
+
+    return settle(callback, () => {
+      if (channels.length === 0) channels = Array.from(this._subscriptions.keys())
+
+      channels.forEach(channel => {
+        const listener = this._subscriptions.get(channel)
+        if (!listener) return
+
+        this._db.channels.removeListener(channel, listener)
+        this._subscriptions.delete(channel)
+      })
+
+      return this._subscriptions.size
+    })
+  }
+
+  /**
+  * Unsubscribes from all channels, and stops the expiry sweep if this
+  * connection runs it. The data is kept for other connections
+  */
+  disconnect () {
+    clearInterval(this._sweepTimer)
+    this.unsubscribe().catch(() => {})
+  }
+
+  /**
+  * Disconnects, like `disconnect`
+  * returns String `OK`
+  * @param {Function} [callback] - Callback. Returns a promise if omitted
+  */
+  quit (callback) {
+    this.disconnect()
+    return settle(callback, () => 'OK')
+  }
+
+  _command (name, ...args) {
+    return commands[name].apply(this, args)
+  }
+
+  // gets the entry of a key, deleting it if it expired
+  _entry (key) {
+    const entry = this._db.keys.get(key)
+
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this._db.keys.delete(key)
+      return undefined
+    }
+
+    return entry
+  }
+
+  // deletes the expired keys among the next keys of the keyspace
+  _sweepExpiredKeys () {
+    for (let i = 0; i < EXPIRY_SWEEP_KEYS; i++) {
+      if (!this._sweep) this._sweep = this._db.keys.keys()
+
+      const { value: key, done } = this._sweep.next()
+      if (done) {
+        this._sweep = null
+        return
+      }
+
+      this._entry(key)
+    }
+  }
+
+  _liveKeys () {
+    return Array.from(this._db.keys.keys()).filter(key => this._entry(key))
+  }
+
+  // gets the value of a key of the given type, or null if it doesn't exist
+  _read (key, type) {
+    const entry = this._entry(key)
+    if (!entry) return null
+    if (entry.type !== type) throw new Error(WRONGTYPE_ERROR)
+    return entry.value
+  }
+
+  // gets the value of a key of the given type, creating it if it doesn't exist
+  _write (key, type, create) {
+    if (!this._entry(key)) this._db.keys.set(key, { type, value: create(), expiresAt: null })
+    return this._read(key, type)
+  }
+
+  // like redis, sets and sorted sets without members are deleted
+  _deleteIfEmpty (key, value) {
+    if (value.size === 0) this._db.keys.delete(key)
+  }
+
+  // members and scores of a sorted set, ordered by score and then by member
+  _sortedEntries (key) {
+    const zset = this._read(key, 'zset')
+    if (!zset) return []
+
+    return Array.from(zset.entries()).sort(([memberA, scoreA], [memberB, scoreB]) => {
+      if (scoreA !== scoreB) return scoreA - scoreB
+      return memberA < memberB ? -1 : memberA > memberB ? 1 : 0
+    })
+  }
+
+  _rangeReply (entries, withScores) {
+    if (String(withScores).toUpperCase() !== 'WITHSCORES') return entries.map(([member]) => member)
+    return flatten(entries.map(([member, score]) => [member, String(score)]))
+  }
+}
+
+// queues commands of a `multi`, which are applied at once
+class MemoryMulti {
+  constructor (storage) {
+    this._storage = storage
+    this._queue = []
+  }
+
+  /**
+  * Applies the queued commands.
+  * returns Array of `[err, result]` pairs, one for each command
+  * @param {Function} [callback] - Callback. Returns a promise if omitted
+  */
+  exec (callback) {
+    const queue = this._queue
+    this._queue = []
+
+    return settle(callback, () => queue.map(([name, args]) => {
+      try {
+        return [null, commands[name].apply(this._storage, args)]
+      } catch (err) {
+        return [err, null]
+      }
+    }))
+  }
+}
+
+Object.keys(commands).forEach(name => {
+  MemoryStorage.prototype[name] = function (...args) {
+    const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null
+    return settle(callback, () => commands[name].apply(this, args))
+  }
+
+  MemoryMulti.prototype[name] = function (...args) {
+    this._queue.push([name, args])
+    return this
+  }
+})
+
+module.exports = MemoryStorage
@@ -0,0 +1,30 @@
+// forwards messages to other server instances over http,
+// using the `primus.forward` api of omega-supreme.
+// see https://github.com/primus/omega-supreme
+module.exports = class OmegaSupremeTransport {
+  constructor (adapter) {
+    this.adapter = adapter
+  }
+
+  /**
+  * Nothing to set up - omega-supreme receives forwarded messages itself
+  */
+  initialize () {}
+
+  /**
+  * Nothing to tear down
+  */
+  destroy () {}
+
+  /**
+  * Sends a message to sparks connected to another server instance
+  * @param {String} serverInstance - Server instance the sparks are connected to
+  * @param {Array} sparkIds - Spark ids
+  * @param {*} data - Message
+  * @param {Function} callback - Callback
+  */
+  send (serverInstance, sparkIds, data, callback) {
+    const address = this.adapter._serverAddress(serverInstance)
+    this.adapter.primus.forward(address, data, sparkIds, err => callback(err))
+  }
+}
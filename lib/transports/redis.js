@@ -0,0 +1,89 @@
+// publishes messages on a redis channel per server instance.
+// each server instance subscribes to its own channel and writes
+// the messages to its local sparks, so servers don't need to be
+// reachable from each other over http
+module.exports = class RedisTransport {
+  /**
+  * @param {PrimusRoomsMetroplexAdapter} adapter - Adapter
+  * @param {Object} [opts] - Transport options
+  * @param {Redis} [opts.subscriber] - ioredis connection used for subscribing.
+  *   Defaults to a duplicate of the adapter's storage connection
+  */
+  constructor (adapter, opts = {}) {
+    this.adapter = adapter
+    this.subscriber = opts.subscriber || null
+    this._ownsSubscriber = !opts.subscriber
+    this._onMessage = this._onMessage.bind(this)
+  }
+
+  /**
+  * Subscribes to the channel of this server instance
+  * @param {Function} [callback] - Called once subscribed. Errors are logged without it
+  */
+  initialize (callback) {
+    // a connection in subscriber mode can't issue other commands,
+    // so we can't subscribe using the adapter's connection
+    this.subscriber = this.subscriber || this.adapter.storage.duplicate()
+    this._channel = this.adapter._serverChannel()
+
+    this.subscriber.on('message', this._onMessage)
+    this.subscriber.subscribe(this._channel, err => {
+      if (callback) return callback(err)
+      if (err) this.adapter._logger.error(new Error(`Error subscribing to ${this._channel}: ${err}`))
+    })
+  }
+
+  /**
+  * Unsubscribes from the channel of this server instance. The subscriber
+  * connection is closed unless it was passed in the transport options
+  */
+  destroy () {
+    if (!this.subscriber) return
+
+    this.subscriber.removeListener('message', this._onMessage)
+    if (this._ownsSubscriber) {
+      this.subscriber.disconnect()
+      this.subscriber = null
+    } else {
+      this.subscriber.unsubscribe(this._channel, err => {
+        if (err) this.adapter._logger.error(new Error(`Error unsubscribing from ${this._channel}: ${err}`))
+      })
+    }
+  }
+
+  _onMessage (channel, message) {
+    if (channel !== this._channel) return
+
+    let parsed
+    try {
+      parsed = JSON.parse(message)
+    } catch (err) {
+      return this.adapter._logger.error(new Error(`Error parsing message from ${channel}: ${err}`))
+    }
+
+    this.adapter._writeToLocalSparks(parsed.sparkIds, parsed.data)
+  }
+
+  /**
+  * Sends a message to sparks connected to another server instance
+  * @param {String} serverInstance - Server instance the sparks are connected to
+  * @param {Array} sparkIds - Spark ids
+  * @param {*} data - Message. Must be serializable as JSON
+  * @param {Function} callback - Callback. Fails if no server is subscribed to the channel
+  */
+  send (serverInstance, sparkIds, data, callback) {
+    const channel = this.adapter._serverChannel(serverInstance)
+    const message = JSON.stringify({ sparkIds, data })
+
+    this.adapter.storage.publish(channel, message, (err, receivers) => {
+      if (err) return callback(err)
+
+      // in a redis cluster, publish only counts the subscribers of the node
+      // it was sent to, while the message reaches those of all nodes
+      if (receivers === 0 && !this.adapter._cluster) {
+        return callback(new Error(`no server instance is subscribed to ${channel}`))
+      }
+      callback()
+    })
+  }
+}
@@ -0,0 +1,151 @@
+const { describe, it, afterEach } = require('mocha')
+const { assert } = require('chai')
+const sinon = require('sinon')
+const { parseArgs, table, connect, FORMATTERS } = require('../../bin/room-manager-inspect')
+
+describe('room-manager-inspect', function () {
+  describe('parseArgs', () => {
+    it('uses the defaults without options', () => {
+      assert.deepEqual(parseArgs(['rooms']), {
+        redis: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+        namespace: 'room_manager',
+        metroplexNamespace: 'metroplex',
+        cluster: false,
+        json: false,
+        help: false,
+        positional: ['rooms']
+      })
+    })
+
+    it('parses options anywhere among the command and its argument', () => {
+      const opts = parseArgs([
+        '--redis', 'redis://10.0.2.20:6379', 'room', '--cluster', 'lobby',
+        '--namespace', 'rooms', '--metroplex-namespace', 'servers', '--json'
+      ])
+
+      assert.include(opts, {
+        redis: 'redis://10.0.2.20:6379',
+        namespace: 'rooms',
+        metroplexNamespace: 'servers',
+        cluster: true,
+        json: true
+      })
+      assert.deepEqual(opts.positional, ['room', 'lobby'])
+    })
+
+    it('parses help flags', () => {
+      assert.isTrue(parseArgs(['-h']).help)
+      assert.isTrue(parseArgs(['rooms', '--help']).help)
+    })
+
+    it('rejects unknown options and options without a value', () => {
+      assert.throws(() => parseArgs(['rooms', '--verbose']), 'unknown option --verbose')
+      assert.throws(() => parseArgs(['rooms', '--redis']), '--redis requires a value')
+    })
+  })
+
+  describe('table', () => {
+    it('pads each column but the last to its widest value', () => {
+      const rows = [{ room: 'lobby', sparks: 120 }, { room: 'room:1', sparks: 3 }]
+
+      assert.equal(table([['ROOM', row => row.room], ['SPARKS', row => row.sparks]], rows), [
+        'ROOM    SPARKS',
+        'lobby   120',
+        'room:1  3'
+      ].join('\n'))
+    })
+
+    it('prints only the header without rows', () => {
+      assert.equal(table([['ROOM', row => row.room], ['SPARKS', row => row.sparks]], []), 'ROOM  SPARKS')
+    })
+  })
+
+  describe('formatters', () => {
+    it('formats rooms', () => {
+      assert.equal(FORMATTERS.rooms([{ room: 'lobby', sparks: 2 }]), 'ROOM   SPARKS\nlobby  2\n\n1 rooms')
+    })
+
+    it('formats the sparks of a room by server instance', () => {
+      const output = FORMATTERS.room({
+        room: 'lobby',
+        sparks: 2,
+        serverInstances: [
+          { serverInstance: 'http://10.0.2.15:8888_1', live: true, sparkIds: ['spark1'] },
+          { serverInstance: 'http://10.0.2.16:8888_1', live: false, sparkIds: ['spark2'] }
+        ]
+      })
+
+      assert.equal(output, [
+        'SERVER INSTANCE          LIVE  SPARK',
+        'http://10.0.2.15:8888_1  yes   spark1',
+        'http://10.0.2.16:8888_1  no    spark2',
+        '',
+        '2 sparks in room lobby on 2 server instances'
+      ].join('\n'))
+    })
+
+    it('formats the rooms of a spark, and whether it is connected', () => {
+      assert.equal(
+        FORMATTERS.spark({ sparkId: 'spark1', rooms: ['lobby'], serverInstances: ['http://10.0.2.15:8888_1'] }),
+        'ROOM\nlobby\n\nspark spark1 is in 1 rooms, connected to http://10.0.2.15:8888_1'
+      )
+      assert.equal(
+        FORMATTERS.spark({ sparkId: 'spark2', rooms: [], serverInstances: [] }),
+        'ROOM\n\nspark spark2 is in 0 rooms, not connected'
+      )
+    })
+
+    it('formats server instances', () => {
+      const output = FORMATTERS.servers([
+        { serverInstance: 'http://10.0.2.15:8888_1', live: true, indexed: true, rooms: 2, sparks: 10 }
+      ])
+
+      assert.equal(output, [
+        'SERVER INSTANCE          LIVE  INDEXED  ROOMS  SPARKS',
+        'http://10.0.2.15:8888_1  yes   yes      2      10',
+        '',
+        '1 server instances'
+      ].join('\n'))
+    })
+
+    it('formats the issues of an audit', () => {
+      const output = FORMATTERS.audit({
+        keys: 12,
+        issues: [
+          { key: 'room_manager:room_names', type: 'noTTL', serverInstance: null },
+          { key: 'room_manager:servers:http://10.0.2.16:8888_1:rooms', type: 'unknownServer', serverInstance: 'http://10.0.2.16:8888_1' }
+        ]
+      })
+
+      const keyWidth = 'room_manager:servers:http://10.0.2.16:8888_1:rooms'.length
+      assert.equal(output, [
+        `${'KEY'.padEnd(keyWidth)}  ISSUE           SERVER INSTANCE`,
+        `${'room_manager:room_names'.padEnd(keyWidth)}  no TTL          -`,
+        'room_manager:servers:http://10.0.2.16:8888_1:rooms  unknown server  http://10.0.2.16:8888_1',
+        '',
+        '2 issues in 12 keys'
+      ].join('\n'))
+    })
+  })
+
+  describe('connect', () => {
+    let storage
+
+    afterEach(() => {
+      process.exit.restore()
+      console.error.restore()
+      storage.disconnect()
+    })
+
+    it('prints connection errors and exits', () => {
+      sinon.stub(process, 'exit')
+      sinon.stub(console, 'error')
+
+      storage = connect({ redis: 'redis://127.0.0.1:6379', cluster: false })
+      storage.emit('error', new Error('connect ECONNREFUSED 127.0.0.1:6379'))
+
+      sinon.assert.calledWithExactly(console.error, 'error: connect ECONNREFUSED 127.0.0.1:6379')
+      sinon.assert.calledWithExactly(process.exit, 1)
+    })
+  })
+})
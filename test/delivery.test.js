@@ -0,0 +1,101 @@
+const { describe, it, beforeEach } = require('mocha')
+const { assert } = require('chai')
+const sinon = require('sinon')
+const Delivery = require('../lib/delivery')
+
+describe('delivery', function () {
+  let adapter
+
+  beforeEach(() => {
+    adapter = {
+      _serverInstance: 'local',
+      _destroyed: false,
+      _writeToLocalSparks: sinon.spy(),
+      _transport: { send: sinon.stub().yields() },
+      _metrics: { timing: sinon.spy(), increment: sinon.spy(), gauge: sinon.spy() }
+    }
+  })
+
+  const sendAll = (delivery, sparkIdsByServer) => new Promise(resolve => delivery.send(sparkIdsByServer, resolve))
+
+  it('writes to local sparks and forwards to other server instances', async () => {
+    const delivery = new Delivery(adapter, 'data', { concurrency: 2, retries: 0, retryInterval: 1 })
+    await sendAll(delivery, { local: ['spark1'], remote: ['spark2', 'spark3'], empty: [] })
+
+    sinon.assert.calledWith(adapter._writeToLocalSparks, ['spark1'], 'data')
+    sinon.assert.calledOnce(adapter._transport.send)
+    sinon.assert.calledWith(adapter._transport.send, 'remote', ['spark2', 'spark3'], 'data')
+    assert.deepEqual(Object.keys(delivery.report.serverInstances), ['local', 'remote'])
+    assert.equal(delivery.report.sparks, 3)
+    assert.isNull(delivery.error())
+  })
+
+  it('counts the sparks written to and forwarded, and the forwarded chunks', async () => {
+    const delivery = new Delivery(adapter, 'data', { concurrency: 2, retries: 0, retryInterval: 1 })
+    await sendAll(delivery, { local: ['spark1'], remote: ['spark2', 'spark3'] })
+
+    sinon.assert.calledWith(adapter._metrics.increment, 'broadcast_sparks', 1, { target: 'local' })
+    sinon.assert.calledWith(adapter._metrics.increment, 'broadcast_sparks', 2, { target: 'forwarded' })
+    sinon.assert.calledWith(adapter._metrics.increment, 'forward_chunks', 1)
+  })
+
+  it('limits the number of forwards in flight', async () => {
+    let inFlight = 0
+    let maxInFlight = 0
+    adapter._transport.send = (serverInstance, sparkIds, data, callback) => {
+      maxInFlight = Math.max(maxInFlight, ++inFlight)
+      setTimeout(() => {
+        inFlight--
+        callback()
+      }, 5)
+    }
+
+    const delivery = new Delivery(adapter, 'data', { concurrency: 2, retries: 0, retryInterval: 1 })
+    await Promise.all([
+      sendAll(delivery, { server1: ['spark1'], server2: ['spark2'] }),
+      sendAll(delivery, { server3: ['spark3'], server4: ['spark4'], server5: ['spark5'] })
+    ])
+
+    assert.equal(maxInFlight, 2)
+    assert.equal(delivery.report.sparks, 5)
+  })
+
+  it('retries failed forwards with backoff', async () => {
+    const clock = sinon.useFakeTimers({ toFake: ['setTimeout'] })
+    adapter._transport.send = sinon.stub().yields(new Error('forward failed'))
+
+    try {
+      const delivery = new Delivery(adapter, 'data', { concurrency: 1, retries: 2, retryInterval: 100 })
+      const sent = sendAll(delivery, { remote: ['spark1'] })
+
+      // the queue starts forwarding on the next tick
+      await new Promise(resolve => setImmediate(resolve))
+      sinon.assert.calledOnce(adapter._transport.send)
+      clock.tick(99)
+      sinon.assert.calledOnce(adapter._transport.send)
+      clock.tick(1)
+      sinon.assert.calledTwice(adapter._transport.send)
+      clock.tick(200)
+      sinon.assert.calledThrice(adapter._transport.send)
+      await sent
+
+      assert.include(delivery.report.serverInstances.remote, { delivered: false, failedSparks: 1, retries: 2 })
+      assert.equal(delivery.error().report, delivery.report)
+      assert.equal(adapter._metrics.increment.withArgs('forward_retries').callCount, 2)
+      sinon.assert.calledOnce(adapter._metrics.increment.withArgs('forward_failures'))
+    } finally {
+      clock.restore()
+    }
+  })
+
+  it('stops retrying once the adapter is destroyed', async () => {
+    adapter._transport.send = sinon.stub().yields(new Error('forward failed'))
+    adapter._destroyed = true
+
+    const delivery = new Delivery(adapter, 'data', { concurrency: 1, retries: 2, retryInterval: 100 })
+    await sendAll(delivery, { remote: ['spark1'] })
+
+    sinon.assert.calledOnce(adapter._transport.send)
+    assert.equal(delivery.report.failedSparks, 1)
+  })
+})
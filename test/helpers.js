@@ -0,0 +1,144 @@
+const { EventEmitter } = require('events')
+const Redis = require('ioredis')
+const sinon = require('sinon')
+const calculateSlot = require('cluster-key-slot')
+const { flatten } = require('lodash')
+const PrimusRoomsMetroplexAdapter = require('../lib/primus-rooms-metroplex-adapter')
+const scripts = require('../lib/scripts')
+
+const { MemoryStorage } = PrimusRoomsMetroplexAdapter
+
+const testNamespace = 'namespace'
+
+// every storage passes the same suites
+const storages = {
+  redis: new Redis(),
+  memory: new MemoryStorage()
+}
+
+// commands of the storage interface whose arguments are all keys. the
+// others with keys have a single one, their first argument
+const MULTI_KEY_COMMANDS = ['del', 'exists', 'sunionstore']
+const SINGLE_KEY_COMMANDS = [
+  'expire', 'pexpire', 'ttl', 'get', 'set', 'sadd', 'srem', 'smembers', 'sismember', 'scard', 'sscan',
+  'zadd', 'zrem', 'zcard', 'zscore', 'zrange', 'zrangebyscore', 'zremrangebyscore', 'zscan',
+  'xadd', 'xrange', 'xrevrange'
+]
+
+// the keys a script declares, and those it is passed as arguments
+function declaredKeys (name, args) {
+  const numberOfKeys = scripts[name].numberOfKeys
+  return numberOfKeys ? args.slice(0, numberOfKeys) : args.slice(1, 1 + Number(args[0]))
+}
+
+// the keys of a command, or null if it has none
+function commandKeys (name, args) {
+  args = args.filter(arg => typeof arg !== 'function')
+  if (scripts[name]) return declaredKeys(name, args)
+  if (MULTI_KEY_COMMANDS.includes(name)) return flatten(args)
+  if (SINGLE_KEY_COMMANDS.includes(name)) return [args[0]]
+  return null
+}
+
+// an error like the one of redis cluster if keys are in different hash slots
+function crossSlotError (keys) {
+  if (new Set(keys.map(key => calculateSlot(key))).size <= 1) return null
+  return new Error(`CROSSSLOT Keys in request don't hash to the same slot: ${keys.join(', ')}`)
+}
+
+// fails a command with `err`, through its callback if it has one
+function failCommand (err, args) {
+  const callback = args[args.length - 1]
+  if (typeof callback !== 'function') return Promise.reject(err)
+  setImmediate(() => callback(err))
+}
+
+// wraps a storage in an ioredis cluster client of a single node, which fails
+// multis and commands whose keys are in more than one hash slot like a redis
+// cluster would. every node of a real cluster is a storage of its own, so
+// keys of other hash slots only fail there
+function asCluster (storage) {
+  const wrapMulti = multi => {
+    const keys = []
+    const proxy = new Proxy(multi, {
+      get (target, name) {
+        const value = target[name]
+        if (typeof value !== 'function') return value
+
+        if (name === 'exec') {
+          return (...args) => {
+            const err = crossSlotError(keys)
+            return err ? failCommand(err, args) : value.apply(target, args)
+          }
+        }
+
+        return (...args) => {
+          keys.push(...(commandKeys(name, args) || []))
+          const result = value.apply(target, args)
+          return result === target ? proxy : result
+        }
+      }
+    })
+
+    return proxy
+  }
+
+  const proxy = new Proxy(storage, {
+    getPrototypeOf: () => Redis.Cluster.prototype,
+
+    get (target, name) {
+      if (name === 'nodes') return () => [proxy]
+      if (name === 'multi') return (...args) => wrapMulti(target.multi(...args))
+
+      const value = target[name]
+      if (typeof value !== 'function') return value
+
+      return (...args) => {
+        const keys = commandKeys(name, args)
+        const err = keys && crossSlotError(keys)
+        return err ? failCommand(err, args) : value.apply(target, args)
+      }
+    }
+  })
+
+  return proxy
+}
+
+// creates a stub of primus with metroplex, on a server at `address`.
+// metroplex lists only this server, and the ids of sparks written
+// to on it are kept in `written`
+function createPrimus (address, props = {}) {
+  const primus = Object.assign(new EventEmitter(), {
+    forward: sinon.stub().yields(),
+    spark: sinon.stub().callsFake(id => ({ write: () => primus.written.push(id) })),
+    written: []
+  }, props)
+
+  primus.metroplex = Object.assign({
+    address,
+    interval: 30,
+    servers: callback => callback(null, [address])
+  }, props.metroplex)
+
+  return primus
+}
+
+// creates an adapter of a server at `address`. in cluster mode,
+// the storage checks the hash slots of its keys
+function createAdapter (storage, address, opts, primusProps) {
+  if (opts && opts.cluster) storage = asCluster(storage)
+
+  return new PrimusRoomsMetroplexAdapter(storage, createPrimus(address, primusProps), Object.assign({
+    namespace: testNamespace,
+    identifier: 1
+  }, opts))
+}
+
+module.exports = {
+  testNamespace,
+  storages,
+  declaredKeys,
+  asCluster,
+  createPrimus,
+  createAdapter
+}
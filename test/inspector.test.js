@@ -0,0 +1,102 @@
+const { describe, it, beforeEach } = require('mocha')
+const { assert } = require('chai')
+const Inspector = require('../lib/inspector')
+const { testNamespace, storages, createAdapter: createServerAdapter } = require('./helpers')
+
+const localAddress = 'http://10.0.2.15:8888'
+const localServer = `${localAddress}_1`
+const deadServer = 'http://10.0.2.16:8888_1'
+
+Object.keys(storages).forEach(storageName => {
+  const storage = storages[storageName]
+
+  describe(`inspector (${storageName} storage)`, function () {
+    let adapter, inspector
+
+    const createAdapter = opts => createServerAdapter(storage, localAddress, opts, { metroplex: { interval: 30000 } })
+
+    beforeEach(async () => {
+      await storage.flushdb()
+      adapter = createAdapter()
+      inspector = new Inspector(adapter)
+
+      await adapter.add('spark1', ['room:1', 'room2'])
+      await adapter.add('spark2', 'room2')
+      await adapter._addServerSpark('spark1')
+      await adapter._refreshServerSparkSetTTL(60)
+
+      // a server instance which metroplex doesn't know about, whose keys don't expire
+      await storage.multi()
+        .sadd(`${testNamespace}:rooms:${deadServer}:room2`, 'spark3')
+        .zadd(`${testNamespace}:room_servers:room2`, Date.now() + 60000, deadServer)
+        .sadd(`${testNamespace}:servers:${deadServer}:rooms`, 'room2')
+        .exec()
+    })
+
+    const inspect = (command, ...args) => new Promise((resolve, reject) => {
+      inspector[command](...args, (err, result) => err ? reject(err) : resolve(result))
+    })
+
+    it('lists rooms with their number of sparks', async () => {
+      assert.deepEqual(await inspect('rooms'), [
+        { room: 'room2', sparks: 3 },
+        { room: 'room:1', sparks: 1 }
+      ])
+    })
+
+    it('lists the sparks of a room by server instance', async () => {
+      assert.deepEqual(await inspect('room', 'room2'), {
+        room: 'room2',
+        sparks: 3,
+        serverInstances: [
+          { serverInstance: localServer, live: true, sparkIds: ['spark1', 'spark2'] },
+          { serverInstance: deadServer, live: false, sparkIds: ['spark3'] }
+        ]
+      })
+    })
+
+    it('lists the rooms of a spark and the server instance it is connected to', async () => {
+      assert.deepEqual(await inspect('spark', 'spark1'), {
+        sparkId: 'spark1',
+        rooms: ['room2', 'room:1'],
+        serverInstances: [localServer]
+      })
+      assert.deepEqual(await inspect('spark', 'spark2'), { sparkId: 'spark2', rooms: ['room2'], serverInstances: [] })
+    })
+
+    it('lists server instances with their number of rooms and sparks', async () => {
+      assert.deepEqual(await inspect('servers'), [
+        { serverInstance: localServer, live: true, indexed: true, rooms: 2, sparks: 1 },
+        { serverInstance: deadServer, live: false, indexed: false, rooms: 1, sparks: 0 }
+      ])
+    })
+
+    it('flags keys without a TTL and keys of unknown server instances', async () => {
+      const report = await inspect('audit')
+
+      assert.equal(report.keys, 12)
+      assert.deepEqual(report.issues, [
+        { key: `${testNamespace}:rooms:${deadServer}:room2`, type: 'noTTL', serverInstance: deadServer },
+        { key: `${testNamespace}:rooms:${deadServer}:room2`, type: 'unknownServer', serverInstance: deadServer },
+        { key: `${testNamespace}:servers:${deadServer}:rooms`, type: 'noTTL', serverInstance: deadServer },
+        { key: `${testNamespace}:servers:${deadServer}:rooms`, type: 'unknownServer', serverInstance: deadServer }
+      ])
+    })
+
+    it('reads the per-server keys of cluster mode', async () => {
+      await storage.flushdb()
+      adapter = createAdapter({ cluster: true })
+      inspector = new Inspector(adapter)
+
+      await adapter.add('spark1', 'room1')
+      await adapter._addServerSpark('spark1')
+      await adapter._refreshServerSparkSetTTL(60)
+
+      assert.deepEqual(await inspect('spark', 'spark1'), { sparkId: 'spark1', rooms: ['room1'], serverInstances: [localServer] })
+      assert.deepEqual((await inspect('room', 'room1')).serverInstances, [
+        { serverInstance: localServer, live: true, sparkIds: ['spark1'] }
+      ])
+      assert.deepEqual((await inspect('audit')).issues, [])
+    })
+  })
+})
@@ -0,0 +1,193 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { assert } = require('chai')
+const sinon = require('sinon')
+const { flatten } = require('lodash')
+const { storages, createAdapter: createServerAdapter } = require('./helpers')
+
+Object.keys(storages).forEach(storageName => {
+  const storage = storages[storageName]
+
+  describe(`membership cache (${storageName} storage)`, function () {
+    let adapterA, adapterB
+
+    const createAdapter = (address, opts) => createServerAdapter(storage, address, Object.assign({ membershipCache: true }, opts))
+
+    // broadcasts to a room, and returns the ids of the
+    // sparks written to locally or forwarded to
+    const recipients = async (adapter, room) => {
+      const { primus } = adapter
+      primus.written = []
+      primus.forward.resetHistory()
+
+      await adapter.broadcast(['data'], { rooms: [room] }, {})
+
+      const forwarded = primus.forward.getCalls().map(call => call.args[2])
+      return primus.written.concat(flatten(forwarded)).sort()
+    }
+
+    // resolves once adapter A received an invalidation of the room
+    const invalidated = room => new Promise(resolve => {
+      adapterA._membershipCache._entries.set(room, { sparkIdsByServer: {}, expiresAt: Infinity })
+      const check = () => {
+        if (adapterA._membershipCache._entries.has(room)) return setImmediate(check)
+        resolve()
+      }
+      check()
+    })
+
+    const setUp = opts => {
+      adapterA = createAdapter('http://10.0.2.15:8888', opts)
+      adapterB = createAdapter('http://10.0.2.16:8888', opts)
+      adapterA._membershipCache.initialize()
+      adapterB._membershipCache.initialize()
+    }
+
+    beforeEach(done => {
+      adapterA = adapterB = null
+      storage.flushdb(done)
+    })
+
+    afterEach(() => {
+      ;[adapterA, adapterB].forEach(adapter => {
+        if (adapter) adapter._membershipCache.destroy()
+      })
+    })
+
+    describe('broadcast', () => {
+      beforeEach(() => setUp())
+
+      it('reads rooms from storage once', async () => {
+        const roomInvalidated = invalidated('room1')
+        await adapterA.add('spark1', 'room1')
+        await adapterB.add('spark2', 'room1')
+        await roomInvalidated
+        sinon.spy(storage, 'sscan')
+
+        try {
+          assert.deepEqual(await recipients(adapterA, 'room1'), ['spark1', 'spark2'])
+          assert.deepEqual(await recipients(adapterA, 'room1'), ['spark1', 'spark2'])
+          sinon.assert.calledTwice(storage.sscan)
+        } finally {
+          storage.sscan.restore()
+        }
+
+        assert.deepEqual(adapterA.cacheStats(), { hits: 1, misses: 1, size: 1 })
+      })
+
+      it('reads rooms changed on this server instance again', async () => {
+        await adapterA.add('spark1', 'room1')
+        assert.deepEqual(await recipients(adapterA, 'room1'), ['spark1'])
+
+        await adapterA.add('spark2', 'room1')
+        assert.deepEqual(await recipients(adapterA, 'room1'), ['spark1', 'spark2'])
+
+        await adapterA.del('spark1', 'room1')
+        assert.deepEqual(await recipients(adapterA, 'room1'), ['spark2'])
+
+        await adapterA.del('spark2')
+        assert.deepEqual(await recipients(adapterA, 'room1'), [])
+
+        await adapterA.add('spark3', 'room1')
+        assert.deepEqual(await recipients(adapterA, 'room1'), ['spark3'])
+
+        await adapterA.empty('room1')
+        assert.deepEqual(await recipients(adapterA, 'room1'), [])
+        assert.deepEqual(adapterA.cacheStats(), { hits: 0, misses: 6, size: 1 })
+      })
+
+      it('reads rooms changed on other server instances again', async () => {
+        await adapterA.add('spark1', 'room1')
+        assert.deepEqual(await recipients(adapterA, 'room1'), ['spark1'])
+
+        const roomInvalidated = invalidated('room1')
+        await adapterB.add('spark2', 'room1')
+        await roomInvalidated
+
+        assert.deepEqual(await recipients(adapterA, 'room1'), ['spark1', 'spark2'])
+      })
+
+      it('does not cache rooms read while they were changed', async () => {
+        await adapterA.add('spark1', 'room1')
+
+        // spark2 joins once the room was read, but before it's cached
+        const fetch = adapterA._fetchRoomSparkIdsByServer
+        sinon.stub(adapterA, '_fetchRoomSparkIdsByServer').callsFake((room, callback) => {
+          fetch.call(adapterA, room, (err, sparkIdsByServer) => {
+            adapterA.add('spark2', room, () => callback(err, sparkIdsByServer))
+          })
+        })
+
+        assert.deepEqual(await recipients(adapterA, 'room1'), ['spark1'])
+        adapterA._fetchRoomSparkIdsByServer.restore()
+
+        assert.deepEqual(await recipients(adapterA, 'room1'), ['spark1', 'spark2'])
+        assert.deepEqual(adapterA.cacheStats(), { hits: 0, misses: 2, size: 1 })
+      })
+
+      it('reads rooms of reaped server instances again', async () => {
+        await adapterB.add('spark2', 'room1')
+        assert.deepEqual(await recipients(adapterB, 'room1'), ['spark2'])
+
+        await new Promise((resolve, reject) => {
+          adapterB._removeServerInstance(adapterB._serverInstance, err => err ? reject(err) : resolve())
+        })
+
+        assert.deepEqual(await recipients(adapterB, 'room1'), [])
+      })
+    })
+
+    describe('limits', () => {
+      let clock
+
+      beforeEach(() => {
+        setUp({ membershipCache: { maxRooms: 2, ttl: 1000 } })
+        clock = sinon.useFakeTimers({ now: Date.now(), toFake: ['Date'] })
+      })
+
+      afterEach(() => {
+        clock.restore()
+      })
+
+      it('reads rooms from storage again after the ttl', async () => {
+        await recipients(adapterA, 'room1')
+        clock.tick(999)
+        await recipients(adapterA, 'room1')
+        clock.tick(1)
+        await recipients(adapterA, 'room1')
+
+        assert.deepEqual(adapterA.cacheStats(), { hits: 1, misses: 2, size: 1 })
+      })
+
+      it('evicts the least recently used rooms', async () => {
+        await recipients(adapterA, 'room1')
+        await recipients(adapterA, 'room2')
+        await recipients(adapterA, 'room1')
+        await recipients(adapterA, 'room3')
+
+        assert.sameMembers(Array.from(adapterA._membershipCache._entries.keys()), ['room1', 'room3'])
+        assert.deepEqual(adapterA.cacheStats(), { hits: 1, misses: 3, size: 2 })
+      })
+    })
+
+    it('is not used unless enabled', async () => {
+      adapterA = createAdapter('http://10.0.2.15:8888', { membershipCache: false })
+      await adapterA.add('spark1', 'room1')
+
+      assert.deepEqual(await recipients(adapterA, 'room1'), ['spark1'])
+      assert.isNull(adapterA.cacheStats())
+      adapterA = null
+    })
+
+    it('stops caching rooms once destroyed', async () => {
+      setUp()
+      await recipients(adapterA, 'room1')
+
+      const subscriber = adapterA._membershipCache.subscriber
+      adapterA._membershipCache.destroy()
+      await recipients(adapterA, 'room1')
+
+      assert.equal(subscriber.listenerCount('message'), 0)
+      assert.deepEqual(adapterA.cacheStats(), { hits: 0, misses: 1, size: 0 })
+    })
+  })
+})
@@ -0,0 +1,80 @@
+const { describe, it, beforeEach } = require('mocha')
+const { assert } = require('chai')
+const { PrometheusMetrics } = require('../lib/metrics')
+
+describe('prometheus metrics', function () {
+  let metrics
+
+  beforeEach(() => {
+    metrics = new PrometheusMetrics({ buckets: [0.1, 0.01] })
+  })
+
+  it('exports counters and gauges with their labels', () => {
+    metrics.increment('broadcasts')
+    metrics.increment('broadcasts', 2)
+    metrics.increment('broadcast_sparks', 3, { target: 'local' })
+    metrics.gauge('refresher_lag_seconds', 5, { refresher: 'ttl' })
+    metrics.gauge('refresher_lag_seconds', 4, { refresher: 'ttl' })
+
+    assert.equal(metrics.export(), [
+      '# HELP room_manager_broadcasts_total Number of broadcasts',
+      '# TYPE room_manager_broadcasts_total counter',
+      'room_manager_broadcasts_total 3',
+      '# HELP room_manager_broadcast_sparks_total Number of sparks broadcast to, written to locally or forwarded',
+      '# TYPE room_manager_broadcast_sparks_total counter',
+      'room_manager_broadcast_sparks_total{target="local"} 3',
+      '# HELP room_manager_refresher_lag_seconds Time the last run of a periodic task started late',
+      '# TYPE room_manager_refresher_lag_seconds gauge',
+      'room_manager_refresher_lag_seconds{refresher="ttl"} 4',
+      ''
+    ].join('\n'))
+  })
+
+  it('exports timings as histograms in seconds', () => {
+    metrics.timing('operation_duration', 5, { operation: 'clients' })
+    metrics.timing('operation_duration', 50, { operation: 'clients' })
+    metrics.timing('operation_duration', 500, { operation: 'clients' })
+
+    assert.equal(metrics.export(), [
+      '# HELP room_manager_operation_duration_seconds Latency of adapter operations',
+      '# TYPE room_manager_operation_duration_seconds histogram',
+      'room_manager_operation_duration_seconds_bucket{operation="clients",le="0.01"} 1',
+      'room_manager_operation_duration_seconds_bucket{operation="clients",le="0.1"} 2',
+      'room_manager_operation_duration_seconds_bucket{operation="clients",le="+Inf"} 3',
+      'room_manager_operation_duration_seconds_sum{operation="clients"} 0.555',
+      'room_manager_operation_duration_seconds_count{operation="clients"} 3',
+      ''
+    ].join('\n'))
+  })
+
+  it('keeps a series per set of labels, regardless of their order', () => {
+    metrics.increment('custom', 1, { a: '1', b: '2' })
+    metrics.increment('custom', 1, { b: '2', a: '1' })
+    metrics.increment('custom', 1, { a: 'line\nbreak "quoted" \\' })
+
+    assert.equal(metrics.export(), [
+      '# TYPE room_manager_custom_total counter',
+      'room_manager_custom_total{a="1",b="2"} 2',
+      'room_manager_custom_total{a="line\\nbreak \\"quoted\\" \\\\"} 1',
+      ''
+    ].join('\n'))
+  })
+
+  it('uses the given prefix', () => {
+    metrics = new PrometheusMetrics({ prefix: 'chat_' })
+    metrics.gauge('refresher_lag_seconds', 0.5, { refresher: 'ttl' })
+
+    assert.include(metrics.export(), 'chat_refresher_lag_seconds{refresher="ttl"} 0.5\n')
+  })
+
+  it('rejects metrics recorded as different types', () => {
+    metrics.gauge('custom_total', 1)
+    assert.throws(() => metrics.increment('custom'), /metric custom_total is a gauge, not a counter/)
+  })
+
+  it('forgets all metrics on reset', () => {
+    metrics.increment('broadcasts')
+    metrics.reset()
+    assert.equal(metrics.export(), '')
+  })
+})
@@ -0,0 +1,96 @@
+const { describe, it } = require('mocha')
+const { assert } = require('chai')
+const sinon = require('sinon')
+const PageIterator = require('../lib/page-iterator')
+
+// a cursor source replying with the given pages, like `sscan` would
+const pagesSource = pages => sinon.spy((cursor, callback) => {
+  const index = Number(cursor)
+  const nextCursor = index + 1 < pages.length ? String(index + 1) : '0'
+  setImmediate(() => callback(null, [nextCursor, pages[index]]))
+})
+
+describe('page iterator', function () {
+  it('yields the pages of each source in turn', async () => {
+    const iterator = new PageIterator(callback => callback(null, [
+      pagesSource([['a', 'b'], ['c']]),
+      pagesSource([['d']])
+    ]))
+
+    assert.deepEqual(await iterator.next(), { done: false, value: ['a', 'b'] })
+    assert.deepEqual(await iterator.next(), { done: false, value: ['c'] })
+    assert.deepEqual(await iterator.next(), { done: false, value: ['d'] })
+    assert.deepEqual(await iterator.next(), { done: true, value: undefined })
+  })
+
+  it('skips empty pages', done => {
+    const iterator = new PageIterator(callback => callback(null, [
+      pagesSource([[], ['a'], []]),
+      pagesSource([[]])
+    ]))
+
+    iterator.all((err, items) => {
+      assert.isNull(err)
+      assert.deepEqual(items, ['a'])
+      done()
+    })
+  })
+
+  it('reads one page at a time', async () => {
+    const source = pagesSource([['a'], ['b']])
+    const iterator = new PageIterator(callback => callback(null, [source]))
+
+    const results = await Promise.all([iterator.next(), iterator.next(), iterator.next()])
+    assert.deepEqual(results.map(result => result.value), [['a'], ['b'], undefined])
+    assert.deepEqual(source.getCalls().map(call => call.args[0]), ['0', '1'])
+  })
+
+  it('waits for each page to be handled before reading the next one', done => {
+    const source = pagesSource([['a'], ['b']])
+    const iterator = new PageIterator(callback => callback(null, [source]))
+    const pages = []
+
+    iterator.each((page, callback) => {
+      pages.push(page)
+      sinon.assert.callCount(source, pages.length)
+      setImmediate(callback)
+    }, err => {
+      assert.isNull(err)
+      assert.deepEqual(pages, [['a'], ['b']])
+      done()
+    })
+  })
+
+  it('passes errors of sources', done => {
+    const iterator = new PageIterator(callback => callback(null, [
+      (cursor, callback) => callback(new Error('scan failed'))
+    ]))
+
+    iterator.next(err => {
+      assert.equal(err.message, 'scan failed')
+      done()
+    })
+  })
+
+  it('passes errors finding sources', async () => {
+    const iterator = new PageIterator(callback => callback(new Error('no sources')))
+
+    try {
+      await iterator.next()
+      assert.fail('expected next to fail')
+    } catch (err) {
+      assert.equal(err.message, 'no sources')
+    }
+  })
+
+  it('stops once returned', async () => {
+    const source = pagesSource([['a'], ['b']])
+    const iterator = new PageIterator(callback => callback(null, [source]))
+
+    await iterator.next()
+    await iterator.return()
+
+    assert.deepEqual(await iterator.next(), { done: true, value: undefined })
+    sinon.assert.calledOnce(source)
+  })
+})
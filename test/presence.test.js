@@ -0,0 +1,175 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { assert } = require('chai')
+const sinon = require('sinon')
+const { storages, createAdapter: createServerAdapter } = require('./helpers')
+
+const serverA = 'http://10.0.2.15:8888_1'
+const serverB = 'http://10.0.2.16:8888_1'
+
+const PRESENCE_EVENTS = ['join', 'leave', 'roomEmpty']
+
+Object.keys(storages).forEach(storageName => {
+  const storage = storages[storageName]
+
+  describe(`presence (${storageName} storage)`, function () {
+    let adapterA, adapterB, events
+
+    const createAdapter = (address, opts) => createServerAdapter(storage, address, Object.assign({ presence: true }, opts))
+
+    // resolves once `count` events were received by adapter A
+    const receivedEvents = count => new Promise(resolve => {
+      const check = () => {
+        if (events.length < count) return
+        PRESENCE_EVENTS.forEach(event => adapterA.removeListener(event, check))
+        resolve(events.slice())
+      }
+
+      PRESENCE_EVENTS.forEach(event => adapterA.on(event, check))
+      check()
+    })
+
+    const setUp = opts => {
+      adapterA = createAdapter('http://10.0.2.15:8888', opts)
+      adapterB = createAdapter('http://10.0.2.16:8888', opts)
+      adapterA._presence.initialize()
+      adapterB._presence.initialize()
+
+      events = []
+      PRESENCE_EVENTS.forEach(event => {
+        adapterA.on(event, payload => events.push(Object.assign({ event }, payload)))
+      })
+    }
+
+    beforeEach(done => {
+      adapterA = adapterB = null
+      storage.flushdb(done)
+    })
+
+    afterEach(function () {
+      ;[adapterA, adapterB].forEach(adapter => {
+        if (adapter) adapter._presence.destroy()
+      })
+    })
+
+    describe('events', () => {
+      beforeEach(() => setUp())
+
+      it('is an event emitter', () => {
+        assert.isFunction(adapterA.on)
+        assert.isFunction(adapterA.emit)
+      })
+
+      it('emits joins made on any server instance', async () => {
+        await adapterA.add('spark1', 'room1')
+        await adapterB.add('spark2', 'room1')
+
+        assert.deepEqual(await receivedEvents(2), [
+          { event: 'join', sparkId: 'spark1', room: 'room1', serverInstance: serverA },
+          { event: 'join', sparkId: 'spark2', room: 'room1', serverInstance: serverB }
+        ])
+      })
+
+      it('emits join for each room joined at once', async () => {
+        await adapterA.add('spark1', ['room1', 'room2', 'room1'])
+
+        assert.deepEqual(await receivedEvents(2), [
+          { event: 'join', sparkId: 'spark1', room: 'room1', serverInstance: serverA },
+          { event: 'join', sparkId: 'spark1', room: 'room2', serverInstance: serverA }
+        ])
+      })
+
+      it('emits roomEmpty once the last spark of a room leaves', async () => {
+        await adapterA.add('spark1', 'room1')
+        await adapterB.add('spark2', 'room1')
+        await adapterB.del('spark2', 'room1')
+        await adapterA.del('spark1', 'room1')
+
+        assert.deepEqual((await receivedEvents(5)).slice(2), [
+          { event: 'leave', sparkId: 'spark2', room: 'room1', serverInstance: serverB },
+          { event: 'leave', sparkId: 'spark1', room: 'room1', serverInstance: serverA },
+          { event: 'roomEmpty', sparkId: 'spark1', room: 'room1', serverInstance: serverA }
+        ])
+      })
+
+      it('emits leave for each room when a spark leaves all rooms', async () => {
+        await adapterA.add('spark1', 'room1')
+        await adapterA.add('spark1', 'room2')
+        await adapterA.add('spark2', 'room2')
+        await adapterA.del('spark1')
+
+        const leftRooms = (await receivedEvents(6)).slice(3)
+        assert.sameDeepMembers(leftRooms, [
+          { event: 'leave', sparkId: 'spark1', room: 'room1', serverInstance: serverA },
+          { event: 'leave', sparkId: 'spark1', room: 'room2', serverInstance: serverA },
+          { event: 'roomEmpty', sparkId: 'spark1', room: 'room1', serverInstance: serverA }
+        ])
+      })
+
+      it('emits leave for each spark and roomEmpty when a room is emptied', async () => {
+        await adapterA.add('spark1', 'room1')
+        await adapterB.add('spark2', 'room1')
+        await adapterB.empty('room1')
+
+        const emptied = (await receivedEvents(5)).slice(2)
+        assert.sameDeepMembers(emptied.slice(0, 2), [
+          { event: 'leave', sparkId: 'spark1', room: 'room1', serverInstance: serverB },
+          { event: 'leave', sparkId: 'spark2', room: 'room1', serverInstance: serverB }
+        ])
+        assert.deepEqual(emptied[2], { event: 'roomEmpty', sparkId: null, room: 'room1', serverInstance: serverB })
+      })
+
+      it('only publishes changes to room membership', async () => {
+        await adapterA.add('spark1', 'room1')
+        sinon.spy(storage, 'publish')
+
+        try {
+          await adapterA.add('spark1', 'room1')
+          await adapterA.del('spark2', 'room1')
+          await adapterA.del('spark2')
+          await adapterA.empty('room2')
+          sinon.assert.notCalled(storage.publish)
+        } finally {
+          storage.publish.restore()
+        }
+      })
+
+      it('stops emitting events once destroyed', () => {
+        const subscriber = adapterA._presence.subscriber
+        adapterA._presence.destroy()
+
+        assert.equal(subscriber.listenerCount('message'), 0)
+        assert.isNull(adapterA._presence.subscriber)
+      })
+    })
+
+    describe('cluster mode', () => {
+      beforeEach(() => setUp({ cluster: true }))
+
+      it('emits roomEmpty once no server instance has sparks left in a room', async () => {
+        await adapterA.add('spark1', 'room1')
+        await adapterB.add('spark2', 'room1')
+        await adapterA.del('spark1')
+        await adapterB.del('spark2', 'room1')
+
+        assert.deepEqual((await receivedEvents(5)).slice(2), [
+          { event: 'leave', sparkId: 'spark1', room: 'room1', serverInstance: serverA },
+          { event: 'leave', sparkId: 'spark2', room: 'room1', serverInstance: serverB },
+          { event: 'roomEmpty', sparkId: 'spark2', room: 'room1', serverInstance: serverB }
+        ])
+      })
+    })
+
+    it('does not publish changes unless enabled', async () => {
+      const adapter = createAdapter('http://10.0.2.15:8888', { presence: false })
+      sinon.spy(storage, 'publish')
+
+      try {
+        await adapter.add('spark1', 'room1')
+        await adapter.del('spark1', 'room1')
+        sinon.assert.notCalled(storage.publish)
+      } finally {
+        storage.publish.restore()
+      }
+    })
+  })
+})
@@ -1,399 +1,2416 @@
-const { describe, it, beforeEach } = require('mocha')
+const { EventEmitter } = require('events')
+const { describe, it, beforeEach, afterEach } = require('mocha')
 const { assert } = require('chai')
 const { parallel } = require('async')
 const Redis = require('ioredis')
 const sinon = require('sinon')
-const { times } = require('lodash')
+const calculateSlot = require('cluster-key-slot')
+const fc = require('fast-check')
+const { flatten, times } = require('lodash')
 const PrimusRoomsMetroplexAdapter = require('../lib/primus-rooms-metroplex-adapter')
+const { testNamespace, storages, declaredKeys, asCluster } = require('./helpers')
 
-const redis = new Redis()
+const { MemoryStorage, PrometheusMetrics } = PrimusRoomsMetroplexAdapter
 
-const testNamespace = 'namespace'
 const testAddress = 'http://10.0.2.15:8888'
 const testDate = new Date().getTime()
 
-describe('primus-rooms-metroplex-adapter', function () {
-  let adapter, primus
+const remoteAddress1 = 'http://10.0.2.16:8888'
+const remoteAddress2 = 'http://10.0.2.17:8888'
+const remoteServer1 = `${remoteAddress1}_1`
+const remoteServer2 = `${remoteAddress2}_1`
+const remoteServer3 = 'http://10.0.2.18:8888_1'
 
-  beforeEach(done => {
-    redis.flushdb(done)
-  })
+// room index score for room->spark sets seeded directly in storage
+const indexExpiry = () => Date.now() + 60000
 
-  beforeEach(function () {
-    primus = {
-      options: {
-        pingInterval: 30
-      },
-      metroplex: {
-        address: testAddress,
-        interval: 30
-      },
-      on: () => {},
-      forward: {
-        sparks: sinon.stub().yields()
-      }
-    }
+// reads all pages of an async iterator
+const readPages = async iterator => {
+  const pages = []
+  for (let result = await iterator.next(); !result.done; result = await iterator.next()) {
+    pages.push(result.value)
+  }
+  return pages
+}
+
+Object.keys(storages).forEach(storageName => {
+  const storage = storages[storageName]
+  const clusterStorage = asCluster(storage)
 
-    adapter = new PrimusRoomsMetroplexAdapter(redis, primus, {
-      namespace: testNamespace,
-      identifier: testDate
+  describe(`primus-rooms-metroplex-adapter (${storageName} storage)`, function () {
+    let adapter, primus
+
+    beforeEach(done => {
+      storage.flushdb(done)
     })
-  })
 
-  describe('add', () => {
-    it('adds to both registries and sets TTLs', done => {
-      adapter.add('spark_id', 'some_room', err => {
-        if (err) return done(err)
-        parallel([
-          done => {
-            redis.smembers(`${testNamespace}:rooms:${testAddress}_${testDate}:some_room`, (err, members) => {
-              if (err) return done(err)
-              assert.deepEqual(members, ['spark_id'])
-              done()
-            })
-          },
-          done => {
-            redis.ttl(`${testNamespace}:rooms:${testAddress}_${testDate}:some_room`, (err, ttl) => {
-              if (err) return done(err)
-              assert.isAbove(ttl, 0)
-              done()
-            })
-          },
-          done => {
-            redis.smembers(`${testNamespace}:sparks:spark_id`, (err, members) => {
-              if (err) return done(err)
-              assert.deepEqual(members, ['some_room'])
-              done()
-            })
-          },
-          done => {
-            redis.ttl(`${testNamespace}:sparks:spark_id`, (err, ttl) => {
-              if (err) return done(err)
-              assert.isAbove(ttl, 0)
-              done()
-            })
-          }
-        ], done)
+    beforeEach(function () {
+      primus = Object.assign(new EventEmitter(), {
+        options: {
+          pingInterval: 30
+        },
+        metroplex: {
+          address: testAddress,
+          interval: 30
+        },
+        forward: sinon.stub().yields(),
+        spark: sinon.stub()
       })
-    })
-  })
 
-  describe('get', () => {
-    it('finds the rooms that a given spark id is in', done => {
-      redis.sadd(`${testNamespace}:sparks:spark_id`, 'room1', 'room2', err => {
-        if (err) return done(err)
-        adapter.get('spark_id', (err, rooms) => {
-          if (err) return done(err)
-          assert.deepEqual(rooms.sort(), ['room1', 'room2'])
-          done()
-        })
+      adapter = new PrimusRoomsMetroplexAdapter(storage, primus, {
+        namespace: testNamespace,
+        identifier: testDate
       })
     })
 
-    it('finds all room names if no spark id is provided', done => {
-      redis.multi()
-        .sadd(`${testNamespace}:rooms:server1:room1`, 'spark1', 'spark2')
-        .sadd(`${testNamespace}:rooms:server2:room1`, 'spark1', 'spark2')
-        .sadd(`${testNamespace}:rooms:server1:room2`, 'spark3', 'spark4')
-        .exec(err => {
+    // spark ids forwarded to a server, across all primus.forward calls
+    const forwardedSparks = address => flatten(
+      primus.forward.getCalls()
+        .filter(call => call.args[0] === address)
+        .map(call => call.args[2])
+    ).sort()
+
+    // runs a script, and returns the keys it touched. the memory storage runs
+    // the commands of its ports through `_command`, where they're recorded.
+    // scripts on redis can't be observed from lua on every version, so there
+    // the keys are recorded on the client, from those passed to the script
+    const scriptKeys = async (name, args) => {
+      const memory = storage instanceof MemoryStorage
+      const command = sinon.spy(storage, memory ? '_command' : name)
+
+      try {
+        await storage[name](...args)
+        return memory ? command.args.map(([, key]) => key) : declaredKeys(name, command.firstCall.args)
+      } finally {
+        command.restore()
+      }
+    }
+
+    describe('add', () => {
+      it('adds to both registries and sets TTLs', done => {
+        adapter.add('spark_id', 'some_room', err => {
           if (err) return done(err)
-          adapter.get(null, (err, rooms) => {
-            if (err) return done(err)
-            assert.deepEqual(rooms.sort(), ['room1', 'room2'])
-            done()
-          })
+          parallel([
+            done => {
+              storage.smembers(`${testNamespace}:rooms:${testAddress}_${testDate}:some_room`, (err, members) => {
+                if (err) return done(err)
+                assert.deepEqual(members, ['spark_id'])
+                done()
+              })
+            },
+            done => {
+              storage.ttl(`${testNamespace}:rooms:${testAddress}_${testDate}:some_room`, (err, ttl) => {
+                if (err) return done(err)
+                assert.isAbove(ttl, 0)
+                done()
+              })
+            },
+            done => {
+              storage.smembers(`${testNamespace}:sparks:spark_id`, (err, members) => {
+                if (err) return done(err)
+                assert.deepEqual(members, ['some_room'])
+                done()
+              })
+            },
+            done => {
+              storage.ttl(`${testNamespace}:sparks:spark_id`, (err, ttl) => {
+                if (err) return done(err)
+                assert.isAbove(ttl, 0)
+                done()
+              })
+            }
+          ], done)
         })
+      })
+
+      it('registers the room in the room index', async () => {
+        await adapter.add('spark_id', 'some_room')
+        assert.deepEqual(await storage.zrange(`${testNamespace}:room_servers:some_room`, 0, -1), [`${testAddress}_${testDate}`])
+        assert.deepEqual(await storage.zrange(`${testNamespace}:room_names`, 0, -1), ['some_room'])
+        assert.deepEqual(await storage.smembers(`${testNamespace}:servers:${testAddress}_${testDate}:rooms`), ['some_room'])
+      })
+
+      it('adds a spark to multiple rooms in one transaction', async () => {
+        sinon.spy(storage, 'addSpark')
+
+        try {
+          await adapter.add('spark1', ['room1', 'room2', 'room3'])
+          sinon.assert.calledOnce(storage.addSpark)
+        } finally {
+          storage.addSpark.restore()
+        }
+
+        assert.deepEqual((await adapter.get('spark1')).sort(), ['room1', 'room2', 'room3'])
+        assert.deepEqual((await adapter.get()).sort(), ['room1', 'room2', 'room3'])
+        assert.deepEqual(await adapter.clients('room2'), ['spark1'])
+      })
+
+      it('does nothing for an empty list of rooms', async () => {
+        await adapter.add('spark1', [])
+        assert.deepEqual(await adapter.get('spark1'), [])
+      })
     })
-  })
 
-  describe('del', () => {
-    it('removes a spark from a room', done => {
-      redis.multi()
-        .sadd(`${testNamespace}:rooms:${testAddress}_${testDate}:room1`, 'spark1', 'spark2')
-        .sadd(`${testNamespace}:sparks:spark1`, 'room1', 'room2')
-        .exec(err => {
-          if (err) return done(err)
-          adapter.del('spark1', 'room1', err => {
-            if (err) return done(err)
-            parallel([
-              done => {
-                redis.smembers(`${testNamespace}:rooms:${testAddress}_${testDate}:room1`, (err, sparks) => {
-                  if (err) return done(err)
-                  assert.deepEqual(sparks, ['spark2'])
-                  done()
-                })
-              },
-              done => {
-                redis.smembers(`${testNamespace}:sparks:spark1`, (err, sparks) => {
-                  if (err) return done(err)
-                  assert.deepEqual(sparks, ['room2'])
-                  done()
-                })
-              }
-            ], done)
-          })
+    describe('join policy', () => {
+      const createAdapter = joinPolicy => new PrimusRoomsMetroplexAdapter(storage, primus, {
+        namespace: testNamespace,
+        identifier: testDate,
+        joinPolicy
+      })
+
+      it('asks the policy before a spark joins each room', async () => {
+        const joinPolicy = sinon.stub().resolves(true)
+        adapter = createAdapter(joinPolicy)
+
+        await adapter.add('spark1', ['room1', 'room2'])
+        assert.deepEqual(joinPolicy.args, [['spark1', 'room1'], ['spark1', 'room2']])
+        assert.deepEqual((await adapter.get('spark1')).sort(), ['room1', 'room2'])
+      })
+
+      it('rejects joins the policy does not allow, without joining any room', async () => {
+        adapter = createAdapter(async (sparkId, room) => room.startsWith('org:1:'))
+
+        try {
+          await adapter.add('spark1', ['org:1:general', 'org:2:general'])
+          assert.fail('expected add to reject')
+        } catch (err) {
+          assert.instanceOf(err, PrimusRoomsMetroplexAdapter.JoinRejectedError)
+          assert.include(err, { sparkId: 'spark1', room: 'org:2:general', reason: 'policy' })
+          assert.equal(err.message, 'spark spark1 may not join room org:2:general')
+        }
+
+        assert.deepEqual(await adapter.get(), [])
+      })
+
+      it('accepts policies returning a value', async () => {
+        adapter = createAdapter((sparkId, room) => room !== 'private')
+
+        await adapter.add('spark1', 'public')
+        try {
+          await adapter.add('spark1', 'private')
+          assert.fail('expected add to reject')
+        } catch (err) {
+          assert.equal(err.reason, 'policy')
+        }
+      })
+
+      it('passes errors of the policy', done => {
+        adapter = createAdapter(() => Promise.reject(new Error('lookup failed')))
+
+        adapter.add('spark1', 'room1', err => {
+          assert.notInstanceOf(err, PrimusRoomsMetroplexAdapter.JoinRejectedError)
+          assert.equal(err.message, 'lookup failed')
+          done()
         })
+      })
     })
 
-    it('removes a spark from all rooms', done => {
-      redis.multi()
-        .sadd(`${testNamespace}:rooms:${testAddress}_${testDate}:room1`, 'spark1', 'spark2')
-        .sadd(`${testNamespace}:rooms:${testAddress}_${testDate}:room2`, 'spark1', 'spark2')
-        .sadd(`${testNamespace}:sparks:spark1`, 'room1', 'room2')
-        .exec(err => {
-          if (err) return done(err)
-          adapter.del('spark1', null, err => {
-            if (err) return done(err)
-            parallel([
-              done => {
-                redis.smembers(`${testNamespace}:rooms:${testAddress}_${testDate}:room1`, (err, sparks) => {
-                  if (err) return done(err)
-                  assert.deepEqual(sparks, ['spark2'])
-                  done()
-                })
-              },
-              done => {
-                redis.smembers(`${testNamespace}:rooms:${testAddress}_${testDate}:room2`, (err, sparks) => {
-                  if (err) return done(err)
-                  assert.deepEqual(sparks, ['spark2'])
-                  done()
-                })
-              },
-              done => {
-                redis.smembers(`${testNamespace}:sparks:spark1`, (err, sparks) => {
-                  if (err) return done(err)
-                  assert.deepEqual(sparks, [])
-                  done()
-                })
-              }
-            ], done)
-          })
+    describe('room capacity', () => {
+      const rejectedFrom = async promise => {
+        try {
+          await promise
+        } catch (err) {
+          return err
+        }
+        assert.fail('expected add to reject')
+      }
+
+      beforeEach(() => {
+        adapter = new PrimusRoomsMetroplexAdapter(storage, primus, {
+          namespace: testNamespace,
+          identifier: testDate,
+          roomCapacity: room => room.startsWith('lobby:') ? 2 : null
         })
-    })
-  })
+      })
 
-  describe('broadcast', () => {
-    it('broadcasts the message to all sparks belonging to the room', done => {
-      redis.multi()
-        .sadd(`${testNamespace}:rooms:server1:room1`, 'spark1', 'spark2')
-        .sadd(`${testNamespace}:rooms:server2:room1`, 'spark3')
-        .sadd(`${testNamespace}:rooms:server1:room2`, 'spark4')
-        .sadd(`${testNamespace}:rooms:server1:room3`, 'spark5')
-        .exec(err => {
-          if (err) return done(err)
+      it('rejects sparks joining a full room', async () => {
+        await adapter.add('spark1', 'lobby:1')
+        await adapter.add('spark2', 'lobby:1')
+        await adapter.add('spark3', 'chat')
 
-          const opts = {
-            rooms: ['room1', 'room2'],
-            transformer: data => `${data}_transformed`
-          }
+        const err = await rejectedFrom(adapter.add('spark3', 'lobby:1'))
+        assert.instanceOf(err, PrimusRoomsMetroplexAdapter.JoinRejectedError)
+        assert.include(err, { sparkId: 'spark3', room: 'lobby:1', reason: 'capacity', capacity: 2 })
+        assert.equal(err.message, 'room lobby:1 is full (capacity 2)')
 
-          adapter.broadcast('some_data', opts, [], err => {
-            if (err) return done(err)
-            sinon.assert.calledOnce(primus.forward.sparks)
-            assert.deepEqual(primus.forward.sparks.lastCall.args[0].sort(), [
-              'spark1', 'spark2', 'spark3', 'spark4'
-            ])
-            assert.equal(primus.forward.sparks.lastCall.args[1], 'some_data_transformed')
-            done()
-          })
+        assert.deepEqual((await adapter.clients('lobby:1')).sort(), ['spark1', 'spark2'])
+        assert.deepEqual(await adapter.get('spark3'), ['chat'])
+      })
+
+      it('lets sparks already in a full room join it again', async () => {
+        await adapter.add('spark1', 'lobby:1')
+        await adapter.add('spark2', 'lobby:1')
+
+        await adapter.add('spark2', 'lobby:1')
+      })
+
+      it('counts the sparks of all server instances', async () => {
+        await storage.multi()
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:lobby%3A1`, 'spark1')
+          .zadd(`${testNamespace}:room_servers:lobby%3A1`, indexExpiry(), remoteServer1)
+          .sadd(`${testNamespace}:rooms:${remoteServer2}:lobby%3A1`, 'spark2')
+          .zadd(`${testNamespace}:room_servers:lobby%3A1`, Date.now() - 1000, remoteServer2)
+          .exec()
+
+        // the room set of the expired server instance isn't counted
+        await adapter.add('spark3', 'lobby:1')
+
+        const err = await rejectedFrom(adapter.add('spark4', 'lobby:1'))
+        assert.equal(err.reason, 'capacity')
+      })
+
+      it('joins none of the rooms of a join rejected by a full room', async () => {
+        await adapter.add('spark1', 'lobby:1')
+        await adapter.add('spark2', ['lobby:1', 'room1'])
+
+        const joins = sinon.spy()
+        sinon.stub(adapter, '_publishPresence').callsFake((changes, callback) => {
+          joins(changes)
+          callback()
         })
-    })
 
-    it('uses a default transformer if none is provided', done => {
-      redis.multi()
-        .sadd(`${testNamespace}:rooms:server1:room1`, 'spark1')
-        .exec(err => {
-          if (err) return done(err)
+        const err = await rejectedFrom(adapter.add('spark3', ['room1', 'lobby:1', 'room2']))
+        assert.equal(err.room, 'lobby:1')
 
-          const opts = {
-            rooms: ['room1']
-          }
+        assert.deepEqual(await adapter.get('spark3'), [])
+        assert.deepEqual(await adapter.clients('room1'), ['spark2'])
+        assert.deepEqual((await adapter.get()).sort(), ['lobby:1', 'room1'])
+        sinon.assert.notCalled(joins)
 
-          adapter.broadcast(['some_data'], opts, [], err => {
-            if (err) return done(err)
-            sinon.assert.calledOnce(primus.forward.sparks)
-            assert.equal(primus.forward.sparks.lastCall.args[1], 'some_data')
-            done()
-          })
+        // nothing was written, rather than joined and left again
+        assert.equal(await storage.exists(
+          `${testNamespace}:sparks:spark3`,
+          `${testNamespace}:rooms:${testAddress}_${testDate}:room2`,
+          `${testNamespace}:room_servers:room2`
+        ), 0)
+      })
+
+      it('applies a capacity to all rooms', async () => {
+        adapter = new PrimusRoomsMetroplexAdapter(storage, primus, {
+          namespace: testNamespace,
+          identifier: testDate,
+          roomCapacity: 1
         })
+
+        await adapter.add('spark1', 'room1')
+        const err = await rejectedFrom(adapter.add('spark2', 'room1'))
+        assert.include(err, { reason: 'capacity', capacity: 1 })
+      })
+
+      it('is not available in cluster mode', () => {
+        assert.throws(() => new PrimusRoomsMetroplexAdapter(clusterStorage, primus, {
+          cluster: true,
+          roomCapacity: 2
+        }), /not available in cluster mode/)
+      })
     })
 
-    it('broadcasts to all sparks if no rooms are provided', done => {
-      redis.multi()
-        .sadd(`${testNamespace}:sparks:spark1`, 'room1', 'room2')
-        .sadd(`${testNamespace}:sparks:spark2`, 'room3')
-        .exec(err => {
-          if (err) return done(err)
+    describe('sessions', () => {
+      const sessionKey = `${testNamespace}:sessions:session1`
 
-          adapter.broadcast(['some_data'], {}, [], err => {
-            if (err) return done(err)
-            sinon.assert.calledOnce(primus.forward.sparks)
-            assert.deepEqual(primus.forward.sparks.lastCall.args[0].sort(), [
-              'spark1', 'spark2'
-            ])
-            assert.equal(primus.forward.sparks.lastCall.args[1], 'some_data')
-            done()
-          })
-        })
+      const connect = (id, query = { session: 'session1' }) => {
+        const spark = Object.assign(new EventEmitter(), { id, query })
+        primus.emit('connection', spark)
+        return spark
+      }
+
+      const restored = () => new Promise(resolve => adapter.once('sessionRestored', resolve))
+
+      const createAdapter = opts => {
+        adapter = new PrimusRoomsMetroplexAdapter(storage, primus, Object.assign({
+          namespace: testNamespace,
+          identifier: testDate
+        }, opts))
+        adapter._sessions.initialize()
+      }
+
+      const extract = spark => spark.query.session
+
+      beforeEach(() => {
+        createAdapter({ sessions: { extract, graceWindow: 5000 } })
+      })
+
+      afterEach(() => {
+        adapter._sessions.destroy()
+      })
+
+      it('keeps the rooms joined and left by sparks of a session', async () => {
+        connect('spark1')
+        connect('spark2', {})
+
+        await adapter.add('spark1', ['room1', 'room2', 'room3'])
+        await adapter.del('spark1', 'room2')
+        await adapter.add('spark2', 'room4')
+
+        assert.deepEqual((await storage.smembers(sessionKey)).sort(), ['room1', 'room3'])
+        assert.isAbove(await storage.ttl(sessionKey), 0)
+        assert.deepEqual(await storage.keys(`${testNamespace}:sessions:*`), [sessionKey])
+      })
+
+      it('re-joins a reconnecting spark of the session to its rooms', async () => {
+        connect('spark1')
+        await adapter.add('spark1', ['room1', 'room2'])
+
+        primus.emit('disconnection', { id: 'spark1' })
+        const event = restored()
+        connect('spark2')
+
+        const { sparkId, sessionId, rooms, rejectedRooms } = await event
+        assert.deepEqual([sparkId, sessionId, rooms.sort(), rejectedRooms], ['spark2', 'session1', ['room1', 'room2'], []])
+        assert.deepEqual((await adapter.get('spark2')).sort(), ['room1', 'room2'])
+      })
+
+      it('keeps the rooms of a session for the grace window once its spark disconnects', async () => {
+        connect('spark1')
+        await adapter.add('spark1', 'room1')
+        primus.emit('disconnection', { id: 'spark1' })
+        await adapter.del('spark1')
+
+        assert.deepEqual(await storage.smembers(sessionKey), ['room1'])
+        assert.equal(await storage.ttl(sessionKey), 5)
+      })
+
+      it('forgets sessions which do not come back within the grace window', async () => {
+        adapter._sessions.graceWindow = 1
+        connect('spark1')
+        await adapter.add('spark1', 'room1')
+        primus.emit('disconnection', { id: 'spark1' })
+
+        await new Promise(resolve => setTimeout(resolve, 10))
+        assert.equal(await storage.exists(sessionKey), 0)
+      })
+
+      it('requires an extractor', () => {
+        assert.throws(() => new PrimusRoomsMetroplexAdapter(storage, primus, {
+          sessions: { graceWindow: 5000 }
+        }), /requires an `extract` function/)
+      })
+
+      it('extracts sessions with the given extractor', async () => {
+        primus.removeAllListeners()
+        createAdapter({ sessions: { extract: spark => spark.query.user } })
+
+        connect('spark1', { user: 'session1' })
+        await adapter.add('spark1', 'room1')
+
+        assert.deepEqual(await storage.smembers(sessionKey), ['room1'])
+      })
+
+      it('leaves out rooms which reject the reconnecting spark', async () => {
+        primus.removeAllListeners()
+        createAdapter({ sessions: { extract }, roomCapacity: 1 })
+
+        connect('spark1')
+        await adapter.add('spark1', ['room1', 'room2'])
+        primus.emit('disconnection', { id: 'spark1' })
+        // the disconnected spark is still in room2 until it's removed
+        await adapter.del('spark1', 'room1')
+        await storage.sadd(sessionKey, 'room1')
+
+        const event = restored()
+        connect('spark2')
+
+        assert.deepEqual(await event, { sparkId: 'spark2', sessionId: 'session1', rooms: ['room1'], rejectedRooms: ['room2'] })
+        assert.deepEqual(await adapter.get('spark2'), ['room1'])
+        assert.deepEqual(await storage.smembers(sessionKey), ['room1'])
+      })
     })
 
-    it('can take an array of sparks to disclude', done => {
-      redis.multi()
-        .sadd(`${testNamespace}:rooms:server1:room1`, 'spark1', 'spark2')
-        .sadd(`${testNamespace}:rooms:server2:room1`, 'spark3')
-        .sadd(`${testNamespace}:rooms:server1:room2`, 'spark4')
-        .sadd(`${testNamespace}:rooms:server1:room3`, 'spark5')
-        .exec(err => {
-          if (err) return done(err)
+    describe('scripts', () => {
+      it('only touch keys declared to them, or built from declared key prefixes', async () => {
+        adapter = new PrimusRoomsMetroplexAdapter(storage, primus, {
+          namespace: testNamespace,
+          identifier: testDate,
+          roomCapacity: 10
+        })
 
-          const opts = {
-            rooms: ['room1', 'room2'],
-            except: ['spark2', 'spark3'],
-            transformer: data => `${data}_transformed`
-          }
+        await storage.multi()
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:room%3A1`, 'spark3')
+          .zadd(`${testNamespace}:room_servers:room%3A1`, indexExpiry(), remoteServer1)
+          .exec()
+        await adapter.add('spark1', ['room:1', 'room2'])
 
-          adapter.broadcast('some_data', opts, [], err => {
-            if (err) return done(err)
-            sinon.assert.calledOnce(primus.forward.sparks)
-            assert.deepEqual(primus.forward.sparks.lastCall.args[0].sort(), [
-              'spark1', 'spark4'
-            ])
-            assert.equal(primus.forward.sparks.lastCall.args[1], 'some_data_transformed')
-            done()
+        const membershipKeys = adapter._membershipKeys('spark2', 'room:1')
+        const calls = [
+          ['addSpark', adapter._addSparkArgs('spark2', ['room:1', 'room3'])],
+          ['delSpark', [membershipKeys.length, ...membershipKeys, 'spark2', 'room:1', adapter._serverInstance, Date.now(), 60]],
+          ['delSparkFromAllRooms', adapter._delSparkFromAllRoomsArgs('spark1')],
+          ['emptyServerRoom', adapter._emptyServerRoomArgs('room3', adapter._serverInstance)],
+          ['emptyRoom', adapter._emptyRoomArgs('room:1')],
+          ['repairRoomOnly', [adapter._roomSparkSetKey('room2'), adapter._sparkRoomSetKey('spark1'), 'spark1', 'room2', 60]],
+          ['releaseLock', [adapter._reaperLockKey(), 'token']]
+        ]
+
+        for (const [name, args] of calls) {
+          const declared = declaredKeys(name, args)
+          const touched = await scriptKeys(name, args)
+
+          assert.isNotEmpty(touched)
+          touched.forEach(key => {
+            assert.isTrue(declared.some(declaredKey => key.startsWith(declaredKey)), `${name} touched undeclared key ${key}`)
           })
-        })
+        }
+      })
     })
-  })
 
-  describe('clients', () => {
-    it('gets the spark ids connected to a room across servers', done => {
-      redis.multi()
-        .sadd(`${testNamespace}:rooms:server1:room1`, 'spark1', 'spark2')
-        .sadd(`${testNamespace}:rooms:server2:room1`, 'spark3')
-        .sadd(`${testNamespace}:rooms:server1:room2`, 'spark4')
-        .exec(err => {
+    describe('get', () => {
+      it('finds the rooms that a given spark id is in', done => {
+        storage.sadd(`${testNamespace}:sparks:spark_id`, 'room1', 'room2', err => {
           if (err) return done(err)
-          adapter.clients('room1', (err, clients) => {
+          adapter.get('spark_id', (err, rooms) => {
             if (err) return done(err)
-            assert.deepEqual(clients.sort(), ['spark1', 'spark2', 'spark3'])
+            assert.deepEqual(rooms.sort(), ['room1', 'room2'])
             done()
           })
         })
+      })
+
+      it('finds all room names if no spark id is provided', done => {
+        storage.multi()
+          .sadd(`${testNamespace}:rooms:server1:room1`, 'spark1', 'spark2')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), 'server1')
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room1')
+          .sadd(`${testNamespace}:rooms:server2:room1`, 'spark1', 'spark2')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), 'server2')
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room1')
+          .sadd(`${testNamespace}:rooms:server1:room2`, 'spark3', 'spark4')
+          .zadd(`${testNamespace}:room_servers:room2`, indexExpiry(), 'server1')
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room2')
+          .exec(err => {
+            if (err) return done(err)
+            adapter.get(null, (err, rooms) => {
+              if (err) return done(err)
+              assert.deepEqual(rooms.sort(), ['room1', 'room2'])
+              done()
+            })
+          })
+      })
+
+      it('ignores expired rooms in the room index', async () => {
+        await storage.multi()
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room1')
+          .zadd(`${testNamespace}:room_names`, Date.now() - 1000, 'room2')
+          .exec()
+        assert.deepEqual(await adapter.get(), ['room1'])
+      })
     })
-  })
 
-  describe('empty', () => {
-    it('deletes all room keys and removes the rooms from each spark array', done => {
-      redis.multi()
-        .sadd(`${testNamespace}:rooms:server1:room1`, 'spark1', 'spark2')
-        .sadd(`${testNamespace}:rooms:server2:room1`, 'spark3')
-        .sadd(`${testNamespace}:rooms:server1:room2`, 'spark1', 'spark4')
-        .sadd(`${testNamespace}:sparks:spark1`, 'room1', 'room2')
-        .sadd(`${testNamespace}:sparks:spark2`, 'room1')
-        .sadd(`${testNamespace}:sparks:spark3`, 'room1')
-        .sadd(`${testNamespace}:sparks:spark4`, 'room2')
-        .exec(err => {
-          if (err) return done(err)
-          adapter.empty('room1', err => {
+    describe('del', () => {
+      it('removes a spark from a room', done => {
+        storage.multi()
+          .sadd(`${testNamespace}:rooms:${testAddress}_${testDate}:room1`, 'spark1', 'spark2')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), `${testAddress}_${testDate}`)
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room1')
+          .sadd(`${testNamespace}:sparks:spark1`, 'room1', 'room2')
+          .exec(err => {
             if (err) return done(err)
-            redis.pipeline()
-              .smembers(`${testNamespace}:rooms:server1:room1`)
-              .smembers(`${testNamespace}:rooms:server2:room1`)
-              .smembers(`${testNamespace}:rooms:server1:room2`)
-              .smembers(`${testNamespace}:sparks:spark1`)
-              .smembers(`${testNamespace}:sparks:spark2`)
-              .smembers(`${testNamespace}:sparks:spark3`)
-              .smembers(`${testNamespace}:sparks:spark4`)
-              .exec((err, results) => {
-                if (err) return done(err)
-                const [
-                  server1Room1Sparks,
-                  server2Room1Sparks,
-                  server1Room2Sparks,
-                  spark1Rooms,
-                  spark2Rooms,
-                  spark3Rooms,
-                  spark4Rooms
-                ] = results
-
-                assert.lengthOf(server1Room1Sparks[1], 0)
-                assert.lengthOf(server2Room1Sparks[1], 0)
-                assert.deepEqual(server1Room2Sparks[1].sort(), ['spark1', 'spark4'])
-                assert.deepEqual(spark1Rooms[1], ['room2'])
-                assert.lengthOf(spark2Rooms[1], 0)
-                assert.lengthOf(spark3Rooms[1], 0)
-                assert.deepEqual(spark4Rooms[1], ['room2'])
-                done()
-              })
+            adapter.del('spark1', 'room1', err => {
+              if (err) return done(err)
+              parallel([
+                done => {
+                  storage.smembers(`${testNamespace}:rooms:${testAddress}_${testDate}:room1`, (err, sparks) => {
+                    if (err) return done(err)
+                    assert.deepEqual(sparks, ['spark2'])
+                    done()
+                  })
+                },
+                done => {
+                  storage.smembers(`${testNamespace}:sparks:spark1`, (err, sparks) => {
+                    if (err) return done(err)
+                    assert.deepEqual(sparks, ['room2'])
+                    done()
+                  })
+                }
+              ], done)
+            })
           })
-        })
+      })
+
+      it('removes a spark from all rooms', done => {
+        storage.multi()
+          .sadd(`${testNamespace}:rooms:${testAddress}_${testDate}:room1`, 'spark1', 'spark2')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), `${testAddress}_${testDate}`)
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room1')
+          .sadd(`${testNamespace}:rooms:${testAddress}_${testDate}:room2`, 'spark1', 'spark2')
+          .zadd(`${testNamespace}:room_servers:room2`, indexExpiry(), `${testAddress}_${testDate}`)
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room2')
+          .sadd(`${testNamespace}:sparks:spark1`, 'room1', 'room2')
+          .exec(err => {
+            if (err) return done(err)
+            adapter.del('spark1', null, err => {
+              if (err) return done(err)
+              parallel([
+                done => {
+                  storage.smembers(`${testNamespace}:rooms:${testAddress}_${testDate}:room1`, (err, sparks) => {
+                    if (err) return done(err)
+                    assert.deepEqual(sparks, ['spark2'])
+                    done()
+                  })
+                },
+                done => {
+                  storage.smembers(`${testNamespace}:rooms:${testAddress}_${testDate}:room2`, (err, sparks) => {
+                    if (err) return done(err)
+                    assert.deepEqual(sparks, ['spark2'])
+                    done()
+                  })
+                },
+                done => {
+                  storage.smembers(`${testNamespace}:sparks:spark1`, (err, sparks) => {
+                    if (err) return done(err)
+                    assert.deepEqual(sparks, [])
+                    done()
+                  })
+                }
+              ], done)
+            })
+          })
+      })
+
+      it('removes the room from the room index once it has no sparks left', async () => {
+        await adapter.add('spark1', 'room1')
+        await adapter.add('spark2', 'room1')
+        await adapter.add('spark1', 'room2')
+
+        await adapter.del('spark1')
+        assert.deepEqual(await adapter.get(), ['room1'])
+
+        await adapter.del('spark2', 'room1')
+        assert.deepEqual(await adapter.get(), [])
+        assert.equal(await storage.zcard(`${testNamespace}:room_servers:room1`), 0)
+        assert.deepEqual(await storage.smembers(`${testNamespace}:servers:${testAddress}_${testDate}:rooms`), [])
+      })
+
+      it('removes a spark from multiple rooms in one transaction', async () => {
+        await adapter.add('spark1', ['room1', 'room2', 'room3'])
+        await adapter.add('spark2', 'room1')
+        sinon.spy(storage, 'multi')
+
+        try {
+          await adapter.del('spark1', ['room1', 'room2'])
+          sinon.assert.calledOnce(storage.multi)
+        } finally {
+          storage.multi.restore()
+        }
+
+        assert.deepEqual(await adapter.get('spark1'), ['room3'])
+        assert.deepEqual((await adapter.get()).sort(), ['room1', 'room3'])
+        assert.deepEqual(await adapter.clients('room1'), ['spark2'])
+      })
     })
-  })
 
-  describe('isEmpty', () => {
-    it('returns true if a room is empty - false otherwise', done => {
-      redis.multi()
-        .sadd(`${testNamespace}:rooms:server1:room1`, 'spark1', 'spark2')
-        .sadd(`${testNamespace}:rooms:server2:room1`, 'spark3')
-        .exec(err => {
-          if (err) return done(err)
-          parallel([
-            done => adapter.isEmpty('room1', (err, room1IsEmpty) => {
+    describe('broadcast', () => {
+      it('broadcasts the message to all sparks belonging to the room', done => {
+        storage.multi()
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:room1`, 'spark1', 'spark2')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), remoteServer1)
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room1')
+          .sadd(`${testNamespace}:rooms:${remoteServer2}:room1`, 'spark3')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), remoteServer2)
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room1')
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:room2`, 'spark4')
+          .zadd(`${testNamespace}:room_servers:room2`, indexExpiry(), remoteServer1)
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room2')
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:room3`, 'spark5')
+          .zadd(`${testNamespace}:room_servers:room3`, indexExpiry(), remoteServer1)
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room3')
+          .exec(err => {
+            if (err) return done(err)
+
+            const opts = {
+              rooms: ['room1', 'room2'],
+              transformer: data => `${data}_transformed`
+            }
+
+            adapter.broadcast('some_data', opts, [], err => {
               if (err) return done(err)
-              assert.isFalse(room1IsEmpty)
+              // rooms are scanned one after another, so each room is forwarded separately
+              sinon.assert.calledThrice(primus.forward)
+              assert.deepEqual(forwardedSparks(remoteAddress1), ['spark1', 'spark2', 'spark4'])
+              assert.deepEqual(forwardedSparks(remoteAddress2), ['spark3'])
+              sinon.assert.alwaysCalledWith(primus.forward, sinon.match.string, 'some_data_transformed')
               done()
-            }),
-            done => adapter.isEmpty('room2', (err, room2IsEmpty) => {
+            })
+          })
+      })
+
+      it('uses a default transformer if none is provided', done => {
+        storage.multi()
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:room1`, 'spark1')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), remoteServer1)
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room1')
+          .exec(err => {
+            if (err) return done(err)
+
+            const opts = {
+              rooms: ['room1']
+            }
+
+            adapter.broadcast(['some_data'], opts, [], err => {
               if (err) return done(err)
-              assert.isTrue(room2IsEmpty)
+              sinon.assert.calledOnce(primus.forward)
+              assert.equal(primus.forward.lastCall.args[1], 'some_data')
               done()
             })
-          ], done)
-        })
-    })
-  })
+          })
+      })
 
-  describe('clear', () => {
-    it('clears all room data across servers', done => {
-      redis.multi()
-        .sadd(`${testNamespace}:rooms:server1:room1`, 'spark1', 'spark2')
-        .sadd(`${testNamespace}:rooms:server2:room1`, 'spark3')
-        .sadd(`${testNamespace}:sparks:spark1`, 'room1')
-        .set('unrelatedData', 'value')
-        .exec(err => {
-          if (err) return done(err)
-          adapter.clear(err => {
+      it('broadcasts to all sparks if no rooms are provided', done => {
+        storage.multi()
+          .sadd(`${testNamespace}:servers:${remoteServer1}:sparks`, 'spark1')
+          .zadd(`${testNamespace}:server_instances`, indexExpiry(), remoteServer1)
+          .sadd(`${testNamespace}:servers:${remoteServer2}:sparks`, 'spark2')
+          .zadd(`${testNamespace}:server_instances`, indexExpiry(), remoteServer2)
+          .sadd(`${testNamespace}:servers:${remoteServer3}:sparks`, 'spark3')
+          .zadd(`${testNamespace}:server_instances`, Date.now() - 1000, remoteServer3)
+          .exec(err => {
             if (err) return done(err)
-            redis.keys('*', (err, keys) => {
+
+            adapter.broadcast(['some_data'], {}, [], err => {
               if (err) return done(err)
-              assert.deepEqual(keys, ['unrelatedData'])
+              sinon.assert.calledTwice(primus.forward)
+              assert.deepEqual(forwardedSparks(remoteAddress1), ['spark1'])
+              assert.deepEqual(forwardedSparks(remoteAddress2), ['spark2'])
+              sinon.assert.alwaysCalledWith(primus.forward, sinon.match.string, 'some_data')
               done()
             })
           })
-        })
-    })
-  })
+      })
 
-  describe('_keysMatchingPattern', () => {
-    it('finds all keys matching the given pattern', done => {
-      // test a large number of keys to ensure that redis scan will iterate
-      const numKeys = 100
+      it('reports errors when broadcasting to all sparks', async () => {
+        sinon.stub(storage, 'zrangebyscore').yields(new Error('zrangebyscore failed'))
 
-      const keys = times(numKeys, n => `namespace:${n}`)
-      const nonMatchingKeys = times(20, n => `wrong_namespace:${n}`)
+        try {
+          await new Promise((resolve, reject) => {
+            adapter.broadcast(['some_data'], {}, [], err => err ? reject(err) : resolve())
+          })
+          assert.fail('expected broadcast to fail')
+        } catch (err) {
+          assert.equal(err.message, 'zrangebyscore failed')
+          sinon.assert.notCalled(primus.forward)
+        } finally {
+          storage.zrangebyscore.restore()
+        }
+      })
 
-      const addKeys = keys.concat(nonMatchingKeys).reduce((multi, key) => {
-        return multi.set(key, 'value')
-      }, redis.multi())
+      it('can take an array of sparks to disclude', done => {
+        storage.multi()
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:room1`, 'spark1', 'spark2')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), remoteServer1)
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room1')
+          .sadd(`${testNamespace}:rooms:${remoteServer2}:room1`, 'spark3')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), remoteServer2)
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room1')
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:room2`, 'spark4')
+          .zadd(`${testNamespace}:room_servers:room2`, indexExpiry(), remoteServer1)
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room2')
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:room3`, 'spark5')
+          .zadd(`${testNamespace}:room_servers:room3`, indexExpiry(), remoteServer1)
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room3')
+          .exec(err => {
+            if (err) return done(err)
 
-      addKeys.exec(err => {
-        if (err) return done(err)
-        adapter._keysMatchingPattern('namespace:*', 20, (err, returnedKeys) => {
-          if (err) return done(err)
-          assert.lengthOf(returnedKeys, numKeys)
-          assert.sameMembers(returnedKeys, keys)
-          done()
-        })
+            const opts = {
+              rooms: ['room1', 'room2'],
+              except: ['spark2', 'spark3'],
+              transformer: data => `${data}_transformed`
+            }
+
+            adapter.broadcast('some_data', opts, [], err => {
+              if (err) return done(err)
+              sinon.assert.calledTwice(primus.forward)
+              assert.deepEqual(forwardedSparks(remoteAddress1), ['spark1', 'spark4'])
+              assert.equal(primus.forward.lastCall.args[1], 'some_data_transformed')
+              done()
+            })
+          })
+      })
+
+      it('writes to sparks connected to this server instance directly', done => {
+        const localSpark = { write: sinon.spy() }
+        primus.spark.withArgs('spark1').returns(localSpark)
+
+        storage.multi()
+          .sadd(`${testNamespace}:rooms:${testAddress}_${testDate}:room1`, 'spark1', 'spark2')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), `${testAddress}_${testDate}`)
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:room1`, 'spark3')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), remoteServer1)
+          .exec(err => {
+            if (err) return done(err)
+
+            adapter.broadcast(['some_data'], { rooms: ['room1'] }, [], err => {
+              if (err) return done(err)
+              sinon.assert.calledOnce(localSpark.write)
+              sinon.assert.calledWith(localSpark.write, 'some_data')
+              sinon.assert.calledOnce(primus.forward)
+              assert.deepEqual(forwardedSparks(remoteAddress1), ['spark3'])
+              done()
+            })
+          })
+      })
+
+      it('excludes the sparks of the given rooms', async () => {
+        await storage.multi()
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:room1`, 'spark1', 'spark2')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), remoteServer1)
+          .sadd(`${testNamespace}:rooms:${remoteServer2}:room1`, 'spark3', 'spark4')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), remoteServer2)
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:muted`, 'spark2')
+          .zadd(`${testNamespace}:room_servers:muted`, indexExpiry(), remoteServer1)
+          .sadd(`${testNamespace}:rooms:${remoteServer2}:away`, 'spark3', 'spark5')
+          .zadd(`${testNamespace}:room_servers:away`, indexExpiry(), remoteServer2)
+          .exec()
+
+        await adapter.broadcast(['some_data'], { rooms: ['room1'], exceptRooms: ['muted', 'away'] }, [])
+        assert.deepEqual(forwardedSparks(remoteAddress1), ['spark1'])
+        assert.deepEqual(forwardedSparks(remoteAddress2), ['spark4'])
+      })
+
+      it('excludes the sparks of the given rooms when broadcasting to all sparks', async () => {
+        await storage.multi()
+          .sadd(`${testNamespace}:servers:${remoteServer1}:sparks`, 'spark1', 'spark2')
+          .zadd(`${testNamespace}:server_instances`, indexExpiry(), remoteServer1)
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:muted`, 'spark2')
+          .zadd(`${testNamespace}:room_servers:muted`, indexExpiry(), remoteServer1)
+          .exec()
+
+        await adapter.broadcast(['some_data'], { exceptRooms: ['muted'] }, [])
+        assert.deepEqual(forwardedSparks(remoteAddress1), ['spark1'])
+      })
+
+      it('forwards sparks in several of the rooms once', async () => {
+        await storage.multi()
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:room1`, 'spark1', 'spark2')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), remoteServer1)
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:room2`, 'spark2', 'spark3')
+          .zadd(`${testNamespace}:room_servers:room2`, indexExpiry(), remoteServer1)
+          .exec()
+
+        await adapter.broadcast(['some_data'], { rooms: ['room1', 'room2'] }, [])
+        assert.deepEqual(forwardedSparks(remoteAddress1), ['spark1', 'spark2', 'spark3'])
+      })
+
+      it('reports the delivery to each server instance', async () => {
+        await storage.multi()
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:room1`, 'spark1', 'spark2')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), remoteServer1)
+          .sadd(`${testNamespace}:rooms:${testAddress}_${testDate}:room1`, 'spark3')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), `${testAddress}_${testDate}`)
+          .exec()
+
+        assert.deepEqual(await adapter.broadcast(['some_data'], { rooms: ['room1'] }, []), {
+          sparks: 3,
+          failedSparks: 0,
+          retries: 0,
+          serverInstances: {
+            [remoteServer1]: { sparks: 2, delivered: true, failedSparks: 0, retries: 0, error: null },
+            [`${testAddress}_${testDate}`]: { sparks: 1, delivered: true, failedSparks: 0, retries: 0, error: null }
+          }
+        })
+      })
+
+      it('retries failed forwards, and reports partial delivery', async () => {
+        const logger = { error: sinon.stub() }
+        adapter = new PrimusRoomsMetroplexAdapter(storage, primus, {
+          namespace: testNamespace,
+          identifier: testDate,
+          forwardRetries: 2,
+          forwardRetryInterval: 1,
+          logger
+        })
+
+        primus.forward = sinon.stub()
+        primus.forward.withArgs(remoteAddress1).yields(new Error('forward failed'))
+        primus.forward.withArgs(remoteAddress2).onFirstCall().yields(new Error('forward failed'))
+        primus.forward.withArgs(remoteAddress2).onSecondCall().yields()
+
+        await storage.multi()
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:room1`, 'spark1', 'spark2')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), remoteServer1)
+          .sadd(`${testNamespace}:rooms:${remoteServer2}:room1`, 'spark3')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), remoteServer2)
+          .exec()
+
+        try {
+          await adapter.broadcast(['some_data'], { rooms: ['room1'] }, [])
+          assert.fail('expected broadcast to reject')
+        } catch (err) {
+          const { report } = err
+          assert.include(report, { sparks: 3, failedSparks: 2, retries: 3 })
+          assert.include(report.serverInstances[remoteServer1], { delivered: false, failedSparks: 2, retries: 2 })
+          assert.equal(report.serverInstances[remoteServer1].error.message, 'forward failed')
+          assert.include(report.serverInstances[remoteServer2], { delivered: true, failedSparks: 0, retries: 1 })
+        }
+
+        sinon.assert.callCount(primus.forward, 5)
+        sinon.assert.calledOnce(logger.error)
+        assert.include(logger.error.firstCall.args[0].report, { sparks: 3, failedSparks: 2 })
+      })
+
+      it('forwards each page of sparks as it is scanned', async () => {
+        await storage.zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), remoteServer1)
+
+        const pages = { 0: ['1', ['spark1', 'spark2']], 1: ['0', ['spark3']] }
+        sinon.stub(storage, 'sscan').callsFake((key, cursor, ...args) => {
+          const callback = args.pop()
+          setImmediate(() => callback(null, pages[cursor]))
+        })
+
+        try {
+          await adapter.broadcast(['some_data'], { rooms: ['room1'] }, [])
+        } finally {
+          storage.sscan.restore()
+        }
+
+        sinon.assert.calledTwice(primus.forward)
+        assert.deepEqual(primus.forward.firstCall.args[2], ['spark1', 'spark2'])
+        assert.deepEqual(primus.forward.secondCall.args[2], ['spark3'])
+      })
+    })
+
+    describe('history', () => {
+      let spark
+
+      beforeEach(() => {
+        adapter = new PrimusRoomsMetroplexAdapter(storage, primus, {
+          namespace: testNamespace,
+          identifier: testDate,
+          history: { maxLength: 3 }
+        })
+
+        spark = { write: sinon.spy() }
+        primus.spark.withArgs('spark1').returns(spark)
+      })
+
+      const broadcastAll = async (room, messages) => {
+        for (const message of messages) {
+          await adapter.broadcast([message], { rooms: [room] }, [])
+        }
+      }
+
+      const writtenData = () => spark.write.getCalls().map(call => call.args[0])
+
+      it('keeps the last messages broadcast to each room', async () => {
+        await broadcastAll('room1', [{ n: 1 }, { n: 2 }, { n: 3 }, { n: 4 }])
+        await broadcastAll('room2', [{ n: 5 }])
+
+        const [entries, ttl] = await Promise.all([
+          storage.xrange(`${testNamespace}:history:room1`, '-', '+'),
+          storage.ttl(`${testNamespace}:history:room1`)
+        ])
+        assert.deepEqual(entries.map(([id, fields]) => fields), [
+          ['data', '{"n":2}'],
+          ['data', '{"n":3}'],
+          ['data', '{"n":4}']
+        ])
+        assert.isAbove(ttl, 0)
+        assert.lengthOf(await storage.xrange(`${testNamespace}:history:room2`, '-', '+'), 1)
+      })
+
+      it('rejects broadcast if the storage throws', async () => {
+        sinon.stub(storage, 'multi').throws(new Error('multi.xadd is not a function'))
+
+        try {
+          await adapter.broadcast(['some_data'], { rooms: ['room1'] }, [])
+          assert.fail('expected broadcast to reject')
+        } catch (err) {
+          assert.equal(err.message, 'multi.xadd is not a function')
+        } finally {
+          storage.multi.restore()
+        }
+
+        const callback = sinon.spy()
+        sinon.stub(storage, 'multi').throws(new Error('multi.xadd is not a function'))
+        try {
+          adapter.broadcast(['some_data'], { rooms: ['room1'] }, [], callback)
+        } finally {
+          storage.multi.restore()
+        }
+        sinon.assert.calledOnce(callback)
+        assert.equal(callback.firstCall.args[0].message, 'multi.xadd is not a function')
+      })
+
+      it('keeps no history by default', async () => {
+        adapter = new PrimusRoomsMetroplexAdapter(storage, primus, { namespace: testNamespace })
+        await broadcastAll('room1', ['some_data'])
+
+        assert.equal(await storage.exists(`${testNamespace}:history:room1`), 0)
+      })
+
+      it('replays the history of a room to a spark in order', async () => {
+        await broadcastAll('room1', ['message1', 'message2'])
+        await adapter.add('spark1', 'room1')
+
+        const messages = await adapter.replay('spark1', 'room1')
+        assert.deepEqual(messages.map(message => message.data), ['message1', 'message2'])
+        assert.deepEqual(writtenData(), ['message1', 'message2'])
+      })
+
+      it('forwards replayed messages to sparks of other server instances', async () => {
+        await broadcastAll('room1', ['message1'])
+        await storage.multi()
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:room1`, 'spark2')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), remoteServer1)
+          .exec()
+
+        await adapter.replay('spark2', 'room1')
+        sinon.assert.calledOnce(primus.forward)
+        sinon.assert.calledWith(primus.forward, remoteAddress1, 'message1', ['spark2'])
+      })
+
+      it('replays the last messages', async () => {
+        await broadcastAll('room1', ['message1', 'message2', 'message3'])
+        await adapter.add('spark1', 'room1')
+
+        await adapter.replay('spark1', 'room1', { last: 2 })
+        assert.deepEqual(writtenData(), ['message2', 'message3'])
+      })
+
+      it('replays the messages after a message id', async () => {
+        await broadcastAll('room1', ['message1', 'message2', 'message3'])
+        await adapter.add('spark1', 'room1')
+
+        const [first] = await adapter.replay('spark1', 'room1', { last: 1 })
+        spark.write.resetHistory()
+        const history = await storage.xrange(`${testNamespace}:history:room1`, '-', '+')
+
+        const messages = await adapter.replay('spark1', 'room1', { since: history[0][0] })
+        assert.equal(first.data, 'message3')
+        assert.deepEqual(messages.map(message => message.id), [history[1][0], history[2][0]])
+        assert.deepEqual(writtenData(), ['message2', 'message3'])
+      })
+
+      it('replays the messages broadcast since a time', async () => {
+        await broadcastAll('room1', ['message1', 'message2', 'message3'])
+        await adapter.add('spark1', 'room1')
+
+        const history = await storage.xrange(`${testNamespace}:history:room1`, '-', '+')
+        const since = Number(history[1][0].split('-')[0])
+        const expected = history
+          .filter(([id]) => Number(id.split('-')[0]) >= since)
+          .map(([id, fields]) => JSON.parse(fields[1]))
+
+        await adapter.replay('spark1', 'room1', { since: new Date(since) })
+        assert.deepEqual(writtenData(), expected)
+        assert.include(expected, 'message2')
+      })
+
+      it('refreshes the history TTL along with the rooms of this server instance', async () => {
+        await adapter.add('spark1', 'room1')
+        await broadcastAll('room1', ['message1'])
+        await adapter._refreshRoomSetsTTL(1000)
+
+        assert.isAbove(await storage.ttl(`${testNamespace}:history:room1`), 900)
+      })
+
+      it('rejects replaying to a spark which is not in the room', async () => {
+        await broadcastAll('room1', ['message1'])
+
+        try {
+          await adapter.replay('spark1', 'room1')
+          assert.fail('expected replay to reject')
+        } catch (err) {
+          assert.equal(err.message, 'spark spark1 is not in room room1')
+        }
+        sinon.assert.notCalled(spark.write)
+      })
+
+      it('rejects replaying without history', done => {
+        adapter = new PrimusRoomsMetroplexAdapter(storage, primus, { namespace: testNamespace })
+
+        adapter.replay('spark1', 'room1', err => {
+          assert.equal(err.message, 'replay requires the `history` option')
+          done()
+        })
+      })
+    })
+
+    describe('users', () => {
+      const localServer = `${testAddress}_${testDate}`
+
+      const seedRemoteUser = (userId, ...sparkIds) => storage.multi()
+        .sadd(`${testNamespace}:users:${remoteServer1}:${userId}`, ...sparkIds)
+        .zadd(`${testNamespace}:server_instances`, indexExpiry(), remoteServer1)
+        .exec()
+
+      it('binds sparks to users', async () => {
+        await adapter.bindUser('spark1', 'user1')
+        await adapter.bindUser('spark2', 'user1')
+
+        assert.deepEqual((await storage.smembers(`${testNamespace}:users:${localServer}:user1`)).sort(), ['spark1', 'spark2'])
+        assert.isAbove(await storage.ttl(`${testNamespace}:users:${localServer}:user1`), 0)
+        assert.deepEqual(await storage.zrange(`${testNamespace}:server_instances`, 0, -1), [localServer])
+      })
+
+      it('finds the sparks of a user across servers', async () => {
+        await adapter.bindUser('spark1', 'user1')
+        await adapter.bindUser('spark2', 'user2')
+        await seedRemoteUser('user1', 'spark3')
+        await storage.multi()
+          .sadd(`${testNamespace}:users:${remoteServer2}:user1`, 'spark4')
+          .zadd(`${testNamespace}:server_instances`, Date.now() - 1000, remoteServer2)
+          .exec()
+
+        // sparks of expired server instances aren't live anymore
+        assert.deepEqual((await adapter.sparksForUser('user1')).sort(), ['spark1', 'spark3'])
+        assert.deepEqual(await adapter.sparksForUser('user3'), [])
+      })
+
+      it('binds a spark to one user at a time', async () => {
+        await adapter.bindUser('spark1', 'user1')
+        await adapter.bindUser('spark1', 'user2')
+        assert.deepEqual(await adapter.sparksForUser('user1'), [])
+        assert.deepEqual(await adapter.sparksForUser('user2'), ['spark1'])
+
+        await adapter.bindUser('spark1', null)
+        assert.deepEqual(await adapter.sparksForUser('user2'), [])
+      })
+
+      it('unbinds sparks once they disconnect', async () => {
+        adapter._initializeServerSparkSetRegistry()
+        await adapter.bindUser('spark1', 'user1')
+        await adapter.bindUser('spark2', 'user1')
+
+        await adapter._removeDisconnectedSpark('spark1')
+        assert.deepEqual(await adapter.sparksForUser('user1'), ['spark2'])
+      })
+
+      it('refreshes user->spark sets on heartbeats', async () => {
+        adapter._initializeSparkSetsTTLRefresher()
+        const spark = Object.assign(new EventEmitter(), { id: 'spark1' })
+        primus.emit('connection', spark)
+
+        await adapter.bindUser('spark1', 'user1')
+        await storage.expire(`${testNamespace}:users:${localServer}:user1`, 1)
+        spark.emit('heartbeat')
+        await new Promise(resolve => setImmediate(resolve))
+
+        assert.isAbove(await storage.ttl(`${testNamespace}:users:${localServer}:user1`), 1)
+      })
+
+      it('broadcasts to all sparks of the given users', async () => {
+        await adapter.bindUser('spark1', 'user1')
+        await seedRemoteUser('user1', 'spark2', 'spark3')
+        await seedRemoteUser('user2', 'spark4')
+        await seedRemoteUser('user3', 'spark5')
+        const spark1 = { write: sinon.spy() }
+        primus.spark.withArgs('spark1').returns(spark1)
+
+        const report = await adapter.broadcast(['some_data'], { users: ['user1', 'user2'], except: ['spark3'] }, [])
+        sinon.assert.calledWith(spark1.write, 'some_data')
+        assert.deepEqual(forwardedSparks(remoteAddress1), ['spark2', 'spark4'])
+        assert.equal(report.sparks, 3)
+      })
+
+      it('broadcasts to the sparks of rooms and users once', async () => {
+        await seedRemoteUser('user1', 'spark1', 'spark2')
+        await storage.multi()
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:room1`, 'spark2', 'spark3')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), remoteServer1)
+          .exec()
+
+        await adapter.broadcast(['some_data'], { rooms: ['room1'], users: ['user1'] }, [])
+        assert.deepEqual(forwardedSparks(remoteAddress1), ['spark1', 'spark2', 'spark3'])
+      })
+
+      it('removes the user->spark sets of this server instance on destroy', async () => {
+        await adapter.bindUser('spark1', 'user1')
+        await seedRemoteUser('user1', 'spark2')
+
+        await adapter.destroy()
+        assert.deepEqual(await storage.keys(`${testNamespace}:users:*`), [`${testNamespace}:users:${remoteServer1}:user1`])
+      })
+    })
+
+    describe('clients', () => {
+      it('gets the spark ids connected to a room across servers', done => {
+        storage.multi()
+          .sadd(`${testNamespace}:rooms:server1:room1`, 'spark1', 'spark2')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), 'server1')
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room1')
+          .sadd(`${testNamespace}:rooms:server2:room1`, 'spark3')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), 'server2')
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room1')
+          .sadd(`${testNamespace}:rooms:server1:room2`, 'spark4')
+          .zadd(`${testNamespace}:room_servers:room2`, indexExpiry(), 'server1')
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room2')
+          .exec(err => {
+            if (err) return done(err)
+            adapter.clients('room1', (err, clients) => {
+              if (err) return done(err)
+              assert.deepEqual(clients.sort(), ['spark1', 'spark2', 'spark3'])
+              done()
+            })
+          })
+      })
+
+      it('ignores server instances which expired from the room index', async () => {
+        await storage.multi()
+          .sadd(`${testNamespace}:rooms:server1:room1`, 'spark1')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), 'server1')
+          .sadd(`${testNamespace}:rooms:server2:room1`, 'spark2')
+          .zadd(`${testNamespace}:room_servers:room1`, Date.now() - 1000, 'server2')
+          .exec()
+        assert.deepEqual(await adapter.clients('room1'), ['spark1'])
+      })
+
+      describe('multiple rooms', () => {
+        beforeEach(async () => {
+          await storage.multi()
+            .sadd(`${testNamespace}:rooms:server1:team-a`, 'spark1', 'spark2')
+            .zadd(`${testNamespace}:room_servers:team-a`, indexExpiry(), 'server1')
+            .sadd(`${testNamespace}:rooms:server2:team-a`, 'spark3')
+            .zadd(`${testNamespace}:room_servers:team-a`, indexExpiry(), 'server2')
+            .sadd(`${testNamespace}:rooms:server1:online`, 'spark2', 'spark4')
+            .zadd(`${testNamespace}:room_servers:online`, indexExpiry(), 'server1')
+            .sadd(`${testNamespace}:rooms:server2:online`, 'spark3')
+            .zadd(`${testNamespace}:room_servers:online`, indexExpiry(), 'server2')
+            .exec()
+        })
+
+        it('gets the spark ids in any of the rooms without duplicates', async () => {
+          assert.deepEqual((await adapter.clients(['team-a', 'online'])).sort(), ['spark1', 'spark2', 'spark3', 'spark4'])
+        })
+
+        it('gets the spark ids in all of the rooms', done => {
+          adapter.clients(['team-a', 'online'], { intersect: true }, (err, clients) => {
+            if (err) return done(err)
+            assert.deepEqual(clients.sort(), ['spark2', 'spark3'])
+            done()
+          })
+        })
+
+        it('gets no spark ids for an empty list of rooms', async () => {
+          assert.deepEqual(await adapter.clients([], { intersect: true }), [])
+        })
+      })
+    })
+
+    describe('iterateClients', () => {
+      it('yields the clients of a room on all server instances', async () => {
+        await adapter.add('spark1', 'room1')
+        await adapter.add('spark2', 'room2')
+        await storage.multi()
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:room1`, 'spark3')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), remoteServer1)
+          .exec()
+
+        assert.deepEqual(flatten(await readPages(adapter.iterateClients('room1'))).sort(), ['spark1', 'spark3'])
+      })
+
+      it('yields no pages for empty rooms', async () => {
+        assert.deepEqual(await readPages(adapter.iterateClients('room1')), [])
+      })
+
+      it('scans the given number of clients per page', async () => {
+        await adapter.add('spark1', 'room1')
+        sinon.spy(storage, 'sscan')
+
+        try {
+          await readPages(adapter.iterateClients('room1', { count: 10 }))
+          sinon.assert.calledWith(storage.sscan, sinon.match.string, sinon.match.any, 'COUNT', 10)
+        } finally {
+          storage.sscan.restore()
+        }
+      })
+
+      it('reads pages with a callback', done => {
+        adapter.add('spark1', 'room1', err => {
+          if (err) return done(err)
+
+          const clients = adapter.iterateClients('room1')
+          clients.next((err, result) => {
+            if (err) return done(err)
+            assert.deepEqual(result, { done: false, value: ['spark1'] })
+            done()
+          })
+        })
+      })
+
+      it('is an async iterator', async () => {
+        const clients = adapter.iterateClients('room1')
+
+        assert.strictEqual(clients[Symbol.asyncIterator](), clients)
+        assert.deepEqual(await clients.return(), { done: true, value: undefined })
+        assert.deepEqual(await clients.next(), { done: true, value: undefined })
+      })
+
+      it('passes errors to the iterator', async () => {
+        sinon.stub(storage, 'zrangebyscore').yields(new Error('zrangebyscore failed'))
+
+        try {
+          await adapter.iterateClients('room1').next()
+          assert.fail('expected next to fail')
+        } catch (err) {
+          assert.equal(err.message, 'zrangebyscore failed')
+        } finally {
+          storage.zrangebyscore.restore()
+        }
+      })
+    })
+
+    describe('iterateRooms', () => {
+      it('yields all rooms', async () => {
+        await adapter.add('spark1', ['room1', 'room2'])
+        await adapter.add('spark2', 'room2')
+        await storage.multi()
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:room3`, 'spark3')
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room3')
+          .exec()
+
+        assert.deepEqual(flatten(await readPages(adapter.iterateRooms())).sort(), ['room1', 'room2', 'room3'])
+      })
+
+      it('skips rooms which expired from the room index', async () => {
+        await adapter.add('spark1', 'room1')
+        await storage.zadd(`${testNamespace}:room_names`, Date.now() - 1000, 'room2')
+
+        assert.deepEqual(await readPages(adapter.iterateRooms()), [['room1']])
+      })
+    })
+
+    describe('empty', () => {
+      it('deletes all room keys and removes the rooms from each spark array', done => {
+        storage.multi()
+          .sadd(`${testNamespace}:rooms:server1:room1`, 'spark1', 'spark2')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), 'server1')
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room1')
+          .sadd(`${testNamespace}:rooms:server2:room1`, 'spark3')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), 'server2')
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room1')
+          .sadd(`${testNamespace}:rooms:server1:room2`, 'spark1', 'spark4')
+          .zadd(`${testNamespace}:room_servers:room2`, indexExpiry(), 'server1')
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room2')
+          .sadd(`${testNamespace}:sparks:spark1`, 'room1', 'room2')
+          .sadd(`${testNamespace}:sparks:spark2`, 'room1')
+          .sadd(`${testNamespace}:sparks:spark3`, 'room1')
+          .sadd(`${testNamespace}:sparks:spark4`, 'room2')
+          .exec(err => {
+            if (err) return done(err)
+            adapter.empty('room1', err => {
+              if (err) return done(err)
+              storage.pipeline()
+                .smembers(`${testNamespace}:rooms:server1:room1`)
+                .smembers(`${testNamespace}:rooms:server2:room1`)
+                .smembers(`${testNamespace}:rooms:server1:room2`)
+                .smembers(`${testNamespace}:sparks:spark1`)
+                .smembers(`${testNamespace}:sparks:spark2`)
+                .smembers(`${testNamespace}:sparks:spark3`)
+                .smembers(`${testNamespace}:sparks:spark4`)
+                .exec((err, results) => {
+                  if (err) return done(err)
+                  const [
+                    server1Room1Sparks,
+                    server2Room1Sparks,
+                    server1Room2Sparks,
+                    spark1Rooms,
+                    spark2Rooms,
+                    spark3Rooms,
+                    spark4Rooms
+                  ] = results
+
+                  assert.lengthOf(server1Room1Sparks[1], 0)
+                  assert.lengthOf(server2Room1Sparks[1], 0)
+                  assert.deepEqual(server1Room2Sparks[1].sort(), ['spark1', 'spark4'])
+                  assert.deepEqual(spark1Rooms[1], ['room2'])
+                  assert.lengthOf(spark2Rooms[1], 0)
+                  assert.lengthOf(spark3Rooms[1], 0)
+                  assert.deepEqual(spark4Rooms[1], ['room2'])
+                  done()
+                })
+            })
+          })
+      })
+    })
+
+    describe('isEmpty', () => {
+      it('returns true if a room is empty - false otherwise', done => {
+        storage.multi()
+          .sadd(`${testNamespace}:rooms:server1:room1`, 'spark1', 'spark2')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), 'server1')
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room1')
+          .sadd(`${testNamespace}:rooms:server2:room1`, 'spark3')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), 'server2')
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room1')
+          .exec(err => {
+            if (err) return done(err)
+            parallel([
+              done => adapter.isEmpty('room1', (err, room1IsEmpty) => {
+                if (err) return done(err)
+                assert.isFalse(room1IsEmpty)
+                done()
+              }),
+              done => adapter.isEmpty('room2', (err, room2IsEmpty) => {
+                if (err) return done(err)
+                assert.isTrue(room2IsEmpty)
+                done()
+              })
+            ], done)
+          })
+      })
+    })
+
+    describe('count', () => {
+      it('sums the sparks of a room across server instances', done => {
+        storage.multi()
+          .sadd(`${testNamespace}:rooms:server1:room1`, 'spark1', 'spark2')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), 'server1')
+          .sadd(`${testNamespace}:rooms:server2:room1`, 'spark3')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), 'server2')
+          .sadd(`${testNamespace}:rooms:server3:room1`, 'spark4')
+          .zadd(`${testNamespace}:room_servers:room1`, Date.now() - 1000, 'server3')
+          .exec(err => {
+            if (err) return done(err)
+            parallel([
+              done => adapter.count('room1', (err, count) => {
+                if (err) return done(err)
+                assert.equal(count, 3)
+                done()
+              }),
+              done => adapter.count('room2', (err, count) => {
+                if (err) return done(err)
+                assert.equal(count, 0)
+                done()
+              })
+            ], done)
+          })
+      })
+
+      it('does not load the ids of the sparks', async () => {
+        sinon.spy(storage, 'sscan')
+
+        try {
+          await adapter.add('spark1', 'room1')
+          assert.equal(await adapter.count('room1'), 1)
+          sinon.assert.notCalled(storage.sscan)
+        } finally {
+          storage.sscan.restore()
+        }
+      })
+    })
+
+    describe('stats', () => {
+      let remoteAdapter
+
+      beforeEach(async () => {
+        remoteAdapter = new PrimusRoomsMetroplexAdapter(storage, primus, {
+          namespace: testNamespace,
+          identifier: 1
+        })
+        sinon.stub(remoteAdapter, '_serverInstance').get(() => remoteServer1)
+
+        await Promise.all(['spark1', 'spark2', 'spark3'].map(id => adapter._addServerSpark(id)))
+        await Promise.all(['spark4', 'spark5'].map(id => remoteAdapter._addServerSpark(id)))
+
+        await adapter.add('spark1', 'room1')
+        await adapter.add('spark2', 'room1')
+        await adapter.add('spark2', 'room2')
+        await remoteAdapter.add('spark4', 'room1')
+        await remoteAdapter.add('spark5', 'room3')
+      })
+
+      it('summarizes the rooms and sparks of each server instance', async () => {
+        assert.deepEqual(await adapter.stats(), {
+          rooms: 3,
+          sparks: 5,
+          serverInstances: {
+            [`${testAddress}_${testDate}`]: { rooms: 2, sparks: 3 },
+            [remoteServer1]: { rooms: 2, sparks: 2 }
+          },
+          biggestRooms: [
+            { room: 'room1', sparks: 3 },
+            { room: 'room2', sparks: 1 },
+            { room: 'room3', sparks: 1 }
+          ]
+        })
+      })
+
+      it('limits the number of biggest rooms', async () => {
+        const stats = await adapter.stats({ biggestRooms: 1 })
+        assert.deepEqual(stats.biggestRooms, [{ room: 'room1', sparks: 3 }])
+      })
+
+      it('ignores server instances which stopped refreshing their TTLs', done => {
+        storage.zadd(`${testNamespace}:server_instances`, Date.now() - 1000, remoteServer1, err => {
+          if (err) return done(err)
+          adapter.stats((err, stats) => {
+            if (err) return done(err)
+            assert.deepEqual(Object.keys(stats.serverInstances), [`${testAddress}_${testDate}`])
+            assert.equal(stats.rooms, 2)
+            assert.equal(stats.sparks, 3)
+            done()
+          })
+        })
+      })
+
+      it('works in cluster mode', async () => {
+        await storage.flushdb()
+        adapter = new PrimusRoomsMetroplexAdapter(clusterStorage, primus, {
+          namespace: testNamespace,
+          identifier: testDate,
+          cluster: true
+        })
+
+        await adapter.add('spark1', 'room1')
+        assert.deepEqual((await adapter.stats()).biggestRooms, [{ room: 'room1', sparks: 1 }])
+        assert.equal(await adapter.count('room1'), 1)
+      })
+    })
+
+    describe('verify and repair', () => {
+      const localServer = `${testAddress}_${testDate}`
+      const sortIssues = issues => issues.slice().sort((a, b) => `${a.type}${a.sparkId}`.localeCompare(`${b.type}${b.sparkId}`))
+
+      beforeEach(async () => {
+        await adapter.add('spark1', ['room1', 'room2'])
+        await adapter.add('spark2', 'room2')
+
+        await storage.multi()
+          // a spark which is gone, but is still in a room
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:room3`, 'ghost', 'spark3')
+          .zadd(`${testNamespace}:room_servers:room3`, indexExpiry(), remoteServer1)
+          // a connected spark whose spark->room set expired
+          .sadd(`${testNamespace}:servers:${remoteServer1}:sparks`, 'spark3')
+          // a spark whose spark->room set is missing a room
+          .sadd(`${testNamespace}:rooms:${localServer}:room1`, 'spark2')
+          // a spark which left a room on one side only
+          .sadd(`${testNamespace}:sparks:spark1`, 'room4')
+          .exec()
+      })
+
+      const expectedIssues = [
+        { type: 'orphanedMember', room: 'room3', sparkId: 'ghost', serverInstance: remoteServer1 },
+        { type: 'roomOnly', room: 'room1', sparkId: 'spark2', serverInstance: localServer },
+        { type: 'roomOnly', room: 'room3', sparkId: 'spark3', serverInstance: remoteServer1 },
+        { type: 'sparkOnly', room: 'room4', sparkId: 'spark1', serverInstance: null }
+      ]
+
+      it('reports orphaned members and one-sided memberships', async () => {
+        const report = await adapter.verify()
+
+        assert.include(report, { roomSets: 3, sparkSets: 2 })
+        assert.deepEqual(report.counts, { orphanedMember: 1, roomOnly: 2, sparkOnly: 1 })
+        assert.deepEqual(sortIssues(report.issues), expectedIssues)
+        assert.equal(report.summary, 'checked 3 room->spark and 2 spark->room sets: 4 issues ' +
+          '(1 orphaned members, 2 room-only and 1 spark-only memberships)')
+      })
+
+      it('lists up to the given number of issues', async () => {
+        const report = await adapter.verify({ maxIssues: 1 })
+
+        assert.lengthOf(report.issues, 1)
+        assert.deepEqual(report.counts, { orphanedMember: 1, roomOnly: 2, sparkOnly: 1 })
+      })
+
+      it('repairs the issues', async () => {
+        const report = await adapter.repair()
+        assert.include(report, { dryRun: false, repaired: 4 })
+        assert.match(report.summary, /4 repaired$/)
+
+        assert.deepEqual((await adapter.verify()).counts, { orphanedMember: 0, roomOnly: 0, sparkOnly: 0 })
+        assert.deepEqual(await storage.smembers(`${testNamespace}:rooms:${remoteServer1}:room3`), ['spark3'])
+        assert.deepEqual(await storage.smembers(`${testNamespace}:sparks:spark3`), ['room3'])
+        assert.isAbove(await storage.ttl(`${testNamespace}:sparks:spark3`), 0)
+        assert.deepEqual((await adapter.get('spark1')).sort(), ['room1', 'room2'])
+        assert.deepEqual((await adapter.get('spark2')).sort(), ['room1', 'room2'])
+      })
+
+      it('does not add rooms to spark->room sets of sparks which left them during the check', async () => {
+        const repairRoomOnly = storage.repairRoomOnly
+        sinon.stub(storage, 'repairRoomOnly').callsFake((roomKey, ...args) => {
+          const callback = args.pop()
+          // spark2 leaves room1 between the check and its repair
+          storage.srem(roomKey, 'spark2', err => {
+            if (err) return callback(err)
+            repairRoomOnly.call(storage, roomKey, ...args, callback)
+          })
+        })
+
+        try {
+          const report = await adapter.repair()
+          assert.equal(report.counts.roomOnly, 2)
+          assert.equal(report.repaired, 3)
+        } finally {
+          storage.repairRoomOnly.restore()
+        }
+
+        assert.deepEqual(await adapter.get('spark2'), ['room2'])
+        assert.deepEqual(await storage.smembers(`${testNamespace}:sparks:spark3`), ['room3'])
+        assert.deepEqual(await adapter.verify().then(report => report.counts), { orphanedMember: 0, roomOnly: 0, sparkOnly: 0 })
+      })
+
+      it('removes rooms left without sparks from the room index', async () => {
+        await storage.srem(`${testNamespace}:rooms:${remoteServer1}:room3`, 'spark3')
+        await adapter.repair()
+
+        assert.deepEqual(await storage.zrange(`${testNamespace}:room_servers:room3`, 0, -1), [])
+      })
+
+      it('only reports the issues on a dry run', async () => {
+        const report = await adapter.repair({ dryRun: true })
+        assert.include(report, { dryRun: true, repaired: 0 })
+        assert.deepEqual(sortIssues(report.issues), expectedIssues)
+        assert.match(report.summary, /dry run$/)
+
+        assert.deepEqual((await adapter.verify()).counts, { orphanedMember: 1, roomOnly: 2, sparkOnly: 1 })
+      })
+
+      it('checks the keys of cluster mode', async () => {
+        await storage.flushdb()
+        adapter = new PrimusRoomsMetroplexAdapter(clusterStorage, primus, {
+          namespace: testNamespace,
+          identifier: testDate,
+          cluster: true
+        })
+
+        await adapter.add('spark1', 'room:1')
+        await storage.sadd(`${testNamespace}:sparks:{${localServer}}:spark1`, 'room2')
+        await storage.sadd(`${testNamespace}:rooms:{${localServer}}:room3`, 'spark2')
+
+        const report = await adapter.repair()
+        assert.deepEqual(sortIssues(report.issues), [
+          { type: 'orphanedMember', room: 'room3', sparkId: 'spark2', serverInstance: localServer },
+          { type: 'sparkOnly', room: 'room2', sparkId: 'spark1', serverInstance: localServer }
+        ])
+        assert.deepEqual(await adapter.get('spark1'), ['room:1'])
+        assert.equal(await storage.exists(`${testNamespace}:rooms:{${localServer}}:room3`), 0)
+      })
+    })
+
+    describe('metrics and logging', () => {
+      let metrics, logger
+
+      beforeEach(() => {
+        metrics = new PrometheusMetrics()
+        logger = { error: sinon.spy() }
+        adapter = new PrimusRoomsMetroplexAdapter(storage, primus, {
+          namespace: testNamespace,
+          identifier: testDate,
+          forwardRetries: 0,
+          metrics,
+          logger
+        })
+      })
+
+      it('requires the metrics to implement timers, counters and gauges', () => {
+        assert.throws(
+          () => new PrimusRoomsMetroplexAdapter(storage, primus, { metrics: { timing () {}, increment () {} } }),
+          /metrics object does not implement `timing`, `increment` and `gauge`/
+        )
+      })
+
+      it('records the latency of operations and their scans', async () => {
+        await adapter.add('spark1', ['room1', 'room2'])
+        assert.sameMembers(await adapter.clients(['room1', 'room2']), ['spark1'])
+        await adapter.clear()
+
+        const exported = metrics.export()
+        assert.include(exported, 'room_manager_operation_duration_seconds_count{operation="add"} 1\n')
+        assert.include(exported, 'room_manager_operation_duration_seconds_count{operation="clients"} 1\n')
+        assert.include(exported, 'room_manager_operation_duration_seconds_count{operation="clear"} 1\n')
+        assert.include(exported, 'room_manager_scan_iterations_total{command="sscan"} 2\n')
+        assert.include(exported, 'room_manager_keys_touched_total{command="sscan"} 2\n')
+        assert.match(exported, /^room_manager_keys_touched_total\{command="scan"\} [1-9]/m)
+      })
+
+      it('records the fan-out of broadcasts', async () => {
+        await adapter.add('spark1', 'room1')
+        await storage.multi()
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:room1`, 'spark2', 'spark3')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), remoteServer1)
+          .exec()
+
+        await adapter.broadcast(['some_data'], { rooms: ['room1'] }, [])
+        await adapter.broadcast(['some_data'], { rooms: ['room1'], except: ['spark1'] }, [])
+
+        const exported = metrics.export()
+        assert.include(exported, 'room_manager_broadcasts_total 2\n')
+        assert.include(exported, 'room_manager_broadcast_targeted_sparks_total 5\n')
+        assert.include(exported, 'room_manager_broadcast_sparks_total{target="local"} 1\n')
+        assert.include(exported, 'room_manager_broadcast_sparks_total{target="forwarded"} 4\n')
+        assert.include(exported, 'room_manager_forward_chunks_total 2\n')
+        assert.include(exported, 'room_manager_operation_duration_seconds_count{operation="broadcast"} 2\n')
+      })
+
+      it('reports the lag and failures of the TTL refresher', () => {
+        const clock = sinon.useFakeTimers({ now: 1000, toFake: ['Date', 'setInterval', 'clearInterval'] })
+        sinon.stub(adapter, '_refreshRoomSetsTTL').yields(new Error('ttl failed'))
+        sinon.stub(adapter, '_refreshServerSparkSetTTL').yields()
+
+        try {
+          adapter._initializeRoomSetTTLRefresher()
+          // the event loop was blocked for 250ms
+          clock.setSystemTime(1250)
+          clock.tick(833)
+        } finally {
+          clearInterval(adapter._roomSetTTLRefresher)
+          clock.restore()
+        }
+
+        const exported = metrics.export()
+        assert.include(exported, 'room_manager_refresher_lag_seconds{refresher="ttl"} 0.25\n')
+        assert.include(exported, 'room_manager_refresher_failures_total{refresher="ttl"} 1\n')
+        sinon.assert.calledOnce(logger.error)
+        assert.equal(logger.error.firstCall.args[0].message, 'Error refreshing room->spark set TTL: Error: ttl failed')
+      })
+
+      it('counts and logs failed broadcasts without a callback', async () => {
+        primus.forward = sinon.stub().yields(new Error('forward failed'))
+        await storage.multi()
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:room1`, 'spark1')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), remoteServer1)
+          .exec()
+
+        let error
+        try {
+          await adapter.broadcast(['some_data'], { rooms: ['room1'] }, [])
+          assert.fail('expected broadcast to reject')
+        } catch (err) {
+          error = err
+          assert.equal(err.report.failedSparks, 1)
+        }
+
+        assert.include(metrics.export(), 'room_manager_forward_failures_total 1\n')
+        sinon.assert.calledOnce(logger.error)
+        sinon.assert.calledWithExactly(logger.error, error)
+      })
+    })
+
+    describe('clear', () => {
+      it('clears all room data across servers', done => {
+        storage.multi()
+          .sadd(`${testNamespace}:rooms:server1:room1`, 'spark1', 'spark2')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), 'server1')
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room1')
+          .sadd(`${testNamespace}:rooms:server2:room1`, 'spark3')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), 'server2')
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room1')
+          .sadd(`${testNamespace}:sparks:spark1`, 'room1')
+          .set('unrelatedData', 'value')
+          .exec(err => {
+            if (err) return done(err)
+            adapter.clear(err => {
+              if (err) return done(err)
+              storage.keys('*', (err, keys) => {
+                if (err) return done(err)
+                assert.deepEqual(keys, ['unrelatedData'])
+                done()
+              })
+            })
+          })
+      })
+    })
+
+    describe('concurrent membership changes', () => {
+      // both indexes must agree on the rooms a spark is in
+      const assertConsistent = async sparkId => {
+        const roomKeyPrefix = `${testNamespace}:rooms:${testAddress}_${testDate}:`
+        const roomKeys = await storage.keys(`${roomKeyPrefix}*`)
+        const isMember = await Promise.all(roomKeys.map(key => storage.sismember(key, sparkId)))
+        const roomsWithSpark = roomKeys.filter((key, i) => isMember[i]).map(key => key.slice(roomKeyPrefix.length))
+
+        assert.sameMembers(await adapter.get(sparkId), roomsWithSpark)
+      }
+
+      it('keeps rooms joined while removing a spark from all rooms', async () => {
+        await adapter.add('spark1', 'room1')
+        await adapter.add('spark1', 'room2')
+
+        await Promise.all([adapter.del('spark1'), adapter.add('spark1', 'room3')])
+
+        assert.deepEqual(await adapter.get('spark1'), ['room3'])
+        await assertConsistent('spark1')
+      })
+
+      it('keeps sparks joining while a room is emptied', async () => {
+        await adapter.add('spark1', 'room1')
+
+        await Promise.all([adapter.empty('room1'), adapter.add('spark2', 'room1')])
+
+        assert.deepEqual(await adapter.clients('room1'), ['spark2'])
+        assert.deepEqual(await adapter.get('spark1'), [])
+        await assertConsistent('spark1')
+        await assertConsistent('spark2')
+      })
+
+      it('applies adds and dels of the same room in order', async () => {
+        await Promise.all([adapter.add('spark1', 'room1'), adapter.del('spark1', 'room1')])
+        assert.isTrue(await adapter.isEmpty('room1'))
+        await assertConsistent('spark1')
+
+        await Promise.all([adapter.del('spark1', 'room1'), adapter.add('spark1', 'room1')])
+        assert.deepEqual(await adapter.clients('room1'), ['spark1'])
+        await assertConsistent('spark1')
+      })
+    })
+
+    describe('destroy', () => {
+      it('stops the refresher and removes the primus listeners', async () => {
+        adapter.initialize()
+        assert.isAbove(primus.listenerCount('connection'), 0)
+
+        await adapter.destroy()
+        assert.isNull(adapter._roomSetTTLRefresher)
+        assert.equal(primus.listenerCount('connection'), 0)
+        assert.equal(primus.listenerCount('disconnection'), 0)
+      })
+
+      it('removes the room state of this server instance only', async () => {
+        await adapter.add('spark1', 'room1')
+        await adapter.add('spark1', 'room2')
+        await adapter.add('spark2', 'room1')
+        await adapter._addServerSpark('spark1')
+        await storage.multi()
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:room1`, 'spark3')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), remoteServer1)
+          .sadd(`${testNamespace}:sparks:spark3`, 'room1')
+          .exec()
+
+        await adapter.destroy()
+
+        assert.deepEqual(await adapter.clients('room1'), ['spark3'])
+        assert.deepEqual(await adapter.get(), ['room1'])
+        assert.deepEqual(await adapter.get('spark1'), [])
+        assert.deepEqual(await adapter.get('spark3'), ['room1'])
+        assert.deepEqual(await storage.zrange(`${testNamespace}:server_instances`, 0, -1), [])
+        assert.deepEqual(await storage.keys(`${testNamespace}:servers:*`), [])
+      })
+    })
+
+    describe('reap', () => {
+      const seedServer = (serverInstance, room, sparkId, expiresAt) => storage.multi()
+        .sadd(`${testNamespace}:rooms:${serverInstance}:${room}`, sparkId)
+        .zadd(`${testNamespace}:room_servers:${room}`, expiresAt, serverInstance)
+        .zadd(`${testNamespace}:room_names`, expiresAt, room)
+        .sadd(`${testNamespace}:servers:${serverInstance}:rooms`, room)
+        .sadd(`${testNamespace}:servers:${serverInstance}:sparks`, sparkId)
+        .zadd(`${testNamespace}:server_instances`, expiresAt, serverInstance)
+        .sadd(`${testNamespace}:sparks:${sparkId}`, room)
+        .exec()
+
+      beforeEach(async () => {
+        primus.metroplex.servers = sinon.stub().yields(null, [remoteAddress1])
+
+        await adapter.add('spark1', 'room1')
+        await seedServer(remoteServer1, 'room1', 'spark2', indexExpiry())
+        await seedServer(remoteServer2, 'room1', 'spark3', indexExpiry())
+        await seedServer(remoteServer2, 'room2', 'spark4', indexExpiry())
+      })
+
+      it('removes the room state of servers unknown to metroplex', async () => {
+        assert.deepEqual(await adapter.reap(), [remoteServer2])
+
+        assert.deepEqual((await adapter.clients('room1')).sort(), ['spark1', 'spark2'])
+        assert.deepEqual(await adapter.get(), ['room1'])
+        assert.deepEqual(await adapter.get('spark3'), [])
+        assert.deepEqual(await adapter.get('spark4'), [])
+        assert.deepEqual(await storage.keys(`${testNamespace}:*${remoteServer2}*`), [])
+        assert.deepEqual(await storage.zrange(`${testNamespace}:server_instances`, 0, -1), [remoteServer1])
+      })
+
+      it('removes the room state of servers which stopped refreshing it', async () => {
+        await seedServer(`${remoteAddress1}_0`, 'room3', 'spark5', Date.now() - 1000)
+        assert.sameMembers(await adapter.reap(), [remoteServer2, `${remoteAddress1}_0`])
+        assert.deepEqual(await adapter.clients('room3'), [])
+      })
+
+      it('removes room sets which are missing from the room index', async () => {
+        await storage.sadd(`${testNamespace}:rooms:${remoteServer2}:room3`, 'spark5')
+        await adapter.reap()
+        assert.deepEqual(await storage.keys(`${testNamespace}:rooms:${remoteServer2}:*`), [])
+      })
+
+      it('skips reaping while another node holds the lock', async () => {
+        await storage.set(`${testNamespace}:reaper_lock`, 'other', 'PX', 10000)
+        assert.deepEqual(await adapter.reap(), [])
+        assert.deepEqual((await adapter.clients('room1')).sort(), ['spark1', 'spark2', 'spark3'])
+        assert.equal(await storage.get(`${testNamespace}:reaper_lock`), 'other')
+      })
+
+      it('releases the lock once done', async () => {
+        await adapter.reap()
+        assert.isNull(await storage.get(`${testNamespace}:reaper_lock`))
+      })
+
+      it('reports errors listing metroplex servers', async () => {
+        primus.metroplex.servers = sinon.stub().yields(new Error('metroplex failed'))
+
+        try {
+          await adapter.reap()
+          assert.fail('expected reap to reject')
+        } catch (err) {
+          assert.equal(err.message, 'metroplex failed')
+          assert.isNull(await storage.get(`${testNamespace}:reaper_lock`))
+        }
+      })
+    })
+
+    describe('_refreshRoomSetsTTL', () => {
+      it('refreshes the room sets and room index of this server instance', async () => {
+        await adapter.add('spark1', 'room1')
+        await adapter._refreshRoomSetsTTL(1000)
+
+        const [ttl, indexExpiresAt] = await Promise.all([
+          storage.ttl(`${testNamespace}:rooms:${testAddress}_${testDate}:room1`),
+          storage.zscore(`${testNamespace}:room_servers:room1`, `${testAddress}_${testDate}`)
+        ])
+        assert.isAbove(ttl, 900)
+        assert.isAbove(Number(indexExpiresAt), Date.now() + 900000)
+      })
+
+      it('removes rooms without sparks from the room index', async () => {
+        await adapter.add('spark1', 'room1')
+        await storage.del(`${testNamespace}:rooms:${testAddress}_${testDate}:room1`)
+        await adapter._refreshRoomSetsTTL(1000)
+
+        assert.deepEqual(await adapter.get(), [])
+        assert.deepEqual(await storage.smembers(`${testNamespace}:servers:${testAddress}_${testDate}:rooms`), [])
+      })
+    })
+
+    describe('server spark registry', () => {
+      beforeEach(() => {
+        adapter._initializeServerSparkSetRegistry()
+      })
+
+      it('adds connected sparks to the server->spark set', async () => {
+        primus.emit('connection', { id: 'spark1' })
+        await adapter._addServerSpark('spark2')
+
+        assert.deepEqual((await storage.smembers(`${testNamespace}:servers:${testAddress}_${testDate}:sparks`)).sort(), ['spark1', 'spark2'])
+        assert.isAbove(await storage.ttl(`${testNamespace}:servers:${testAddress}_${testDate}:sparks`), 0)
+        assert.deepEqual(await storage.zrange(`${testNamespace}:server_instances`, 0, -1), [`${testAddress}_${testDate}`])
+      })
+
+      it('removes disconnected sparks from the server->spark set', async () => {
+        await adapter._addServerSpark('spark1')
+        await adapter._addServerSpark('spark2')
+        primus.emit('disconnection', { id: 'spark1' })
+        await adapter._refreshServerSparkSetTTL(1000)
+
+        assert.deepEqual(await storage.smembers(`${testNamespace}:servers:${testAddress}_${testDate}:sparks`), ['spark2'])
+        assert.isAbove(await storage.ttl(`${testNamespace}:servers:${testAddress}_${testDate}:sparks`), 900)
+      })
+
+      it('removes disconnected sparks from all of their rooms', async () => {
+        await adapter.add('spark1', ['room1', 'room2'])
+        await adapter.add('spark2', 'room1')
+        primus.emit('disconnection', { id: 'spark1' })
+
+        assert.deepEqual(await adapter.get('spark1'), [])
+        assert.deepEqual(await adapter.clients('room1'), ['spark2'])
+        assert.deepEqual(await adapter.get(), ['room1'])
+      })
+
+      describe('while storage is unavailable', () => {
+        // a multi whose transaction fails, as if storage was unreachable
+        const failingMulti = () => ({
+          delSparkFromAllRooms () { return this },
+          srem () { return this },
+          exec: callback => callback(new Error('Connection is closed.'))
+        })
+
+        let failures
+
+        beforeEach(async () => {
+          await adapter.add('spark1', 'room1')
+
+          const multi = storage.multi
+          failures = Infinity
+          sinon.stub(storage, 'multi').callsFake((...args) => {
+            return failures-- > 0 ? failingMulti() : multi.apply(storage, args)
+          })
+        })
+
+        afterEach(() => {
+          storage.multi.restore()
+        })
+
+        it('retries removing disconnected sparks', async () => {
+          failures = 2
+
+          await adapter._removeDisconnectedSpark('spark1')
+          sinon.assert.calledThrice(storage.multi)
+          assert.deepEqual(await adapter.clients('room1'), [])
+        })
+
+        it('stops retrying once destroyed', async () => {
+          adapter._destroyed = true
+
+          try {
+            await adapter._removeDisconnectedSpark('spark1')
+            assert.fail('expected the removal to reject')
+          } catch (err) {
+            assert.equal(err.message, 'Connection is closed.')
+            sinon.assert.calledOnce(storage.multi)
+          }
+        })
+      })
+    })
+
+    describe('promises', () => {
+      beforeEach(done => {
+        storage.multi()
+          .sadd(`${testNamespace}:rooms:${testAddress}_${testDate}:room1`, 'spark1', 'spark2')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), `${testAddress}_${testDate}`)
+          .zadd(`${testNamespace}:room_names`, indexExpiry(), 'room1')
+          .sadd(`${testNamespace}:sparks:spark1`, 'room1')
+          .sadd(`${testNamespace}:sparks:spark2`, 'room1')
+          .exec(done)
+      })
+
+      it('resolves add, get, del and clients when no callback is provided', async () => {
+        await adapter.add('spark3', 'room1')
+        assert.deepEqual((await adapter.clients('room1')).sort(), ['spark1', 'spark2', 'spark3'])
+        assert.deepEqual(await adapter.get('spark3'), ['room1'])
+        assert.deepEqual(await adapter.get(), ['room1'])
+        await adapter.del('spark3', 'room1')
+        await adapter.del('spark2')
+        assert.deepEqual(await adapter.clients('room1'), ['spark1'])
+      })
+
+      it('resolves empty, isEmpty and clear when no callback is provided', async () => {
+        assert.isFalse(await adapter.isEmpty('room1'))
+        await adapter.empty('room1')
+        assert.isTrue(await adapter.isEmpty('room1'))
+        await adapter.clear()
+        assert.deepEqual(await storage.keys('*'), [])
+      })
+
+      it('resolves broadcast when no callback is provided', async () => {
+        await adapter.broadcast(['some_data'], { rooms: ['room1'] }, [])
+        sinon.assert.calledTwice(primus.spark)
+        assert.deepEqual(primus.spark.getCalls().map(call => call.args[0]).sort(), ['spark1', 'spark2'])
+      })
+
+      it('rejects add with the error of a failed membership script', async () => {
+        sinon.stub(storage, 'addSpark').yields(new Error('script failed'))
+
+        try {
+          await adapter.add('spark3', ['room1', 'room2'])
+          assert.fail('expected add to reject')
+        } catch (err) {
+          assert.equal(err.message, 'script failed')
+        } finally {
+          storage.addSpark.restore()
+        }
+      })
+
+      it('rejects destroy with the combined errors of a failed multi', async () => {
+        sinon.stub(storage, 'multi').returns({
+          del () { return this },
+          srem () { return this },
+          zrem () { return this },
+          syncRoomIndex () { return this },
+          exec: callback => callback(null, [[new Error('first')], [null], [new Error('second')], [null]])
+        })
+
+        try {
+          await adapter.destroy()
+          assert.fail('expected destroy to reject')
+        } catch (err) {
+          assert.equal(err.message, 'Error: first,Error: second')
+        } finally {
+          storage.multi.restore()
+        }
+      })
+
+      it('rejects broadcast if forwarding fails, and logs the error', async () => {
+        const logger = { error: sinon.stub() }
+        adapter = new PrimusRoomsMetroplexAdapter(storage, primus, {
+          namespace: testNamespace,
+          identifier: testDate,
+          logger
+        })
+        primus.forward = sinon.stub().yields(new Error('forward failed'))
+        await storage.multi()
+          .sadd(`${testNamespace}:rooms:${remoteServer1}:room1`, 'spark3')
+          .zadd(`${testNamespace}:room_servers:room1`, indexExpiry(), remoteServer1)
+          .exec()
+
+        try {
+          await adapter.broadcast(['some_data'], { rooms: ['room1'] }, [])
+          assert.fail('expected broadcast to reject')
+        } catch (err) {
+          assert.equal(err.message, `Failed to deliver to 1 of 3 sparks (${remoteServer1}: forward failed)`)
+          assert.equal(err.report.failedSparks, 1)
+          sinon.assert.calledOnce(logger.error)
+          sinon.assert.calledWithExactly(logger.error, err)
+        }
+      })
+    })
+
+    describe('room names', () => {
+      // names made of key separators, glob and hash tag characters
+      // are most likely to break keys, so they're generated more often
+      const roomName = fc.oneof(
+        fc.stringOf(fc.constantFrom(':', '*', '?', '[', ']', '\\', '%', '{', '}', '^', '-', '3', 'A'), 1, 8),
+        fc.fullUnicodeString(1, 8)
+      )
+      const runs = { numRuns: 30 }
+
+      it('keeps the membership of arbitrary room names', async () => {
+        await fc.assert(fc.asyncProperty(roomName, async room => {
+          await storage.flushdb()
+
+          await adapter.add('spark1', room)
+          assert.deepEqual(await adapter.get('spark1'), [room])
+          assert.deepEqual(await adapter.get(), [room])
+          assert.deepEqual(await adapter.clients(room), ['spark1'])
+          assert.equal(await adapter.count(room), 1)
+
+          await adapter.del('spark1', room)
+          assert.isTrue(await adapter.isEmpty(room))
+          assert.deepEqual(await adapter.get(), [])
+        }), runs)
+      })
+
+      it('keeps rooms with arbitrary names apart', async () => {
+        await fc.assert(fc.asyncProperty(roomName, roomName, async (room1, room2) => {
+          fc.pre(room1 !== room2)
+          await storage.flushdb()
+
+          await adapter.add('spark1', room1)
+          await adapter.add('spark2', room2)
+          assert.deepEqual(await adapter.clients(room1), ['spark1'])
+
+          await adapter.empty(room1)
+          assert.deepEqual(await adapter.clients(room2), ['spark2'])
+          assert.deepEqual(await adapter.get(), [room2])
+        }), runs)
+      })
+
+      it('removes sparks from all rooms with arbitrary names', async () => {
+        await fc.assert(fc.asyncProperty(fc.set(roomName, 1, 4), async rooms => {
+          await storage.flushdb()
+
+          await adapter.add('spark1', rooms)
+          await adapter.del('spark1')
+          assert.deepEqual(await adapter.get(), [])
+          assert.deepEqual(await adapter.clients(rooms), [])
+        }), runs)
+      })
+
+      it('removes the room sets of dead servers with arbitrary room names', async () => {
+        const remoteAdapter = new PrimusRoomsMetroplexAdapter(storage, primus, {
+          namespace: testNamespace,
+          identifier: 1
+        })
+        sinon.stub(remoteAdapter, '_serverInstance').get(() => remoteServer1)
+
+        await fc.assert(fc.asyncProperty(fc.set(roomName, 1, 4), async rooms => {
+          await storage.flushdb()
+
+          await remoteAdapter.add('spark1', rooms)
+          // room sets are found by scanning when the server->room set is gone
+          await storage.del(`${testNamespace}:servers:${remoteServer1}:rooms`)
+          await new Promise((resolve, reject) => {
+            adapter._removeServerInstance(remoteServer1, err => err ? reject(err) : resolve())
+          })
+          assert.deepEqual(await storage.keys(`${testNamespace}:rooms:*`), [])
+          assert.deepEqual(await adapter.get('spark1'), [])
+        }), runs)
+      })
+
+      it('does not match other rooms with glob characters', async () => {
+        await adapter.add('spark1', 'room1')
+        await adapter.add('spark2', '*')
+        await adapter.empty('*')
+
+        assert.deepEqual(await adapter.clients('room1'), ['spark1'])
+        assert.isTrue(await adapter.isEmpty('room[0-9]'))
+        assert.deepEqual(await adapter.get(), ['room1'])
+      })
+
+      describe('migrateRoomKeys', () => {
+        const serverInstance = `${testAddress}_${testDate}`
+
+        // the keys of earlier versions, which only had room->spark and spark->room sets
+        beforeEach(async () => {
+          primus.metroplex.servers = callback => callback(null, [testAddress, remoteAddress1])
+
+          await storage.multi()
+            .sadd(`${testNamespace}:rooms:${serverInstance}:user:42`, 'spark1')
+            .sadd(`${testNamespace}:rooms:${serverInstance}:room1`, 'spark1')
+            .sadd(`${testNamespace}:sparks:spark1`, 'user:42', 'room1')
+            .sadd(`${testNamespace}:rooms:${remoteServer1}:user:42`, 'spark2')
+            .sadd(`${testNamespace}:sparks:spark2`, 'user:42')
+            .sadd(`${testNamespace}:rooms:${remoteServer2}:user:42`, 'spark3')
+            .sadd(`${testNamespace}:sparks:spark3`, 'user:42')
+            .exec()
+        })
+
+        it('moves room sets from unencoded keys, and indexes the rooms', async () => {
+          assert.equal(await adapter.migrateRoomKeys(), 2)
+
+          assert.deepEqual((await adapter.clients('user:42')).sort(), ['spark1', 'spark2'])
+          assert.deepEqual(await adapter.clients('room1'), ['spark1'])
+          assert.deepEqual((await adapter.get('spark1')).sort(), ['room1', 'user:42'])
+          assert.deepEqual(await storage.keys(`${testNamespace}:rooms:*user:42`), [
+            `${testNamespace}:rooms:${remoteServer2}:user:42`
+          ])
+          assert.isAbove(await storage.ttl(`${testNamespace}:rooms:${serverInstance}:user%3A42`), 0)
+        })
+
+        it('leaves the room sets of unknown server instances to expire', async () => {
+          await adapter.migrateRoomKeys()
+
+          assert.equal(await storage.exists(`${testNamespace}:rooms:${remoteServer2}:user:42`), 1)
+          assert.notInclude(await adapter.clients('user:42'), 'spark3')
+        })
+
+        it('merges room sets written since the upgrade', done => {
+          adapter.add('spark4', 'user:42', err => {
+            if (err) return done(err)
+            adapter.migrateRoomKeys(err => {
+              if (err) return done(err)
+              adapter.clients('user:42', (err, clients) => {
+                if (err) return done(err)
+                assert.deepEqual(clients.sort(), ['spark1', 'spark2', 'spark4'])
+                done()
+              })
+            })
+          })
+        })
+
+        it('does nothing once migrated', async () => {
+          await adapter.migrateRoomKeys()
+          assert.equal(await adapter.migrateRoomKeys(), 0)
+          assert.deepEqual((await adapter.clients('user:42')).sort(), ['spark1', 'spark2'])
+        })
+      })
+    })
+
+    describe('cluster mode', () => {
+      const serverTag = `{${testAddress}_${testDate}}`
+
+      beforeEach(() => {
+        adapter = new PrimusRoomsMetroplexAdapter(clusterStorage, primus, {
+          namespace: testNamespace,
+          identifier: testDate,
+          cluster: true
+        })
+      })
+
+      it('requires the cluster option for cluster clients', () => {
+        const cluster = Object.assign(Object.create(Redis.Cluster.prototype), {
+          defineCommand: sinon.stub()
+        })
+
+        assert.throws(() => new PrimusRoomsMetroplexAdapter(cluster, primus), /requires the `cluster` option/)
+        assert.instanceOf(new PrimusRoomsMetroplexAdapter(cluster, primus, { cluster: true }), PrimusRoomsMetroplexAdapter)
+        assert.throws(() => new PrimusRoomsMetroplexAdapter(storages.redis, primus, { cluster: true }), /requires an ioredis cluster/)
+      })
+
+      it('keeps the keys of every multi, script and command in one hash slot', async () => {
+        const crossSlot = clusterStorage.multi().sadd('{a}:set', 'a').sadd('{b}:set', 'b').exec()
+        assert.match((await crossSlot.catch(err => err)).message, /^CROSSSLOT/)
+
+        const logger = { error: sinon.spy() }
+        primus.metroplex.servers = callback => callback(null, [testAddress, remoteAddress1])
+        adapter = new PrimusRoomsMetroplexAdapter(clusterStorage, primus, {
+          namespace: testNamespace,
+          identifier: testDate,
+          cluster: true,
+          transport: PrimusRoomsMetroplexAdapter.RedisTransport,
+          presence: true,
+          sessions: { extract: spark => spark.query.session },
+          membershipCache: true,
+          history: true,
+          logger
+        })
+        const remoteAdapter = new PrimusRoomsMetroplexAdapter(clusterStorage, primus, {
+          namespace: testNamespace,
+          identifier: 1,
+          cluster: true
+        })
+        sinon.stub(remoteAdapter, '_serverInstance').get(() => remoteServer1)
+
+        adapter.initialize()
+        primus.emit('connection', Object.assign(new EventEmitter(), { id: 'spark1', query: { session: 'session1' } }))
+        await adapter.add('spark1', ['room1', 'room:2'])
+        await remoteAdapter.add('spark2', ['room1'])
+        await adapter.bindUser('spark1', 'user1')
+        await adapter.broadcast(['data'], { rooms: ['room1'], users: ['user1'], exceptRooms: ['room:2'] }, {})
+        await adapter.replay('spark1', 'room1')
+        await adapter.get('spark1')
+        await adapter.clients(['room1', 'room:2'])
+        await adapter.stats({})
+        await adapter.repair({})
+        await adapter.migrateRoomKeys()
+        await adapter.del('spark1', ['room1'])
+        await adapter.empty('room:2')
+        primus.emit('disconnection', { id: 'spark1' })
+        await adapter.reap()
+        await adapter.clear()
+        await adapter.destroy()
+
+        sinon.assert.notCalled(logger.error)
+      })
+
+      it('tags keys with the server instance', async () => {
+        await adapter.add('spark1', 'room1')
+
+        assert.sameMembers(await storage.keys(`${testNamespace}:*`), [
+          `${testNamespace}:rooms:${serverTag}:room1`,
+          `${testNamespace}:sparks:${serverTag}:spark1`,
+          `${testNamespace}:servers:${serverTag}:rooms`,
+          `${testNamespace}:server_instances`
+        ])
+      })
+
+      it('keeps the keys changed by the membership scripts in one hash slot', () => {
+        const slots = adapter._membershipKeys('spark1', 'room1')
+          .concat(adapter._serverSparkSetKey())
+          .map(key => calculateSlot(key))
+
+        assert.lengthOf(slots, 4)
+        assert.deepEqual(slots, times(4, () => slots[0]))
+      })
+
+      it('keeps every key the membership scripts touch in the hash slot of the server instance', async () => {
+        await adapter.add('spark1', ['room1', 'room:2'])
+
+        const slot = calculateSlot(adapter._serverSparkSetKey())
+        const membershipKeys = adapter._membershipKeys('spark2', 'room3')
+        const calls = [
+          ['addSpark', adapter._addSparkArgs('spark2', ['room1', 'room3'])],
+          ['delSpark', [membershipKeys.length, ...membershipKeys, 'spark2', 'room3', adapter._serverInstance, Date.now(), 60]],
+          ['delSparkFromAllRooms', adapter._delSparkFromAllRoomsArgs('spark1')],
+          ['emptyServerRoom', adapter._emptyServerRoomArgs('room1', adapter._serverInstance)],
+          ['repairRoomOnly', [adapter._roomSparkSetKey('room:2'), adapter._sparkRoomSetKey('spark1'), 'spark1', 'room:2', 60]]
+        ]
+
+        for (const [name, args] of calls) {
+          const touched = await scriptKeys(name, args)
+
+          assert.isNotEmpty(touched)
+          declaredKeys(name, args).concat(touched).forEach(key => {
+            assert.equal(calculateSlot(key), slot, `${name} touched ${key} in another hash slot`)
+          })
+        }
+      })
+
+      it('finds rooms, clients and server instances without a room index', async () => {
+        const remoteAdapter = new PrimusRoomsMetroplexAdapter(clusterStorage, primus, {
+          namespace: testNamespace,
+          identifier: 1,
+          cluster: true
+        })
+        sinon.stub(remoteAdapter, '_serverInstance').get(() => remoteServer1)
+
+        await adapter.add('spark1', 'room1')
+        await remoteAdapter.add('spark2', 'room1')
+        await remoteAdapter.add('spark3', 'room2')
+
+        assert.deepEqual((await adapter.get()).sort(), ['room1', 'room2'])
+        assert.deepEqual(await adapter.get('spark1'), ['room1'])
+        assert.deepEqual(await adapter.get('spark3'), ['room2'])
+        assert.deepEqual((await adapter.clients('room1')).sort(), ['spark1', 'spark2'])
+        assert.isFalse(await adapter.isEmpty('room2'))
+        assert.isTrue(await adapter.isEmpty('room3'))
+
+        await adapter.broadcast(['some_data'], { rooms: ['room1'] }, [])
+        assert.deepEqual(forwardedSparks(remoteAddress1), ['spark2'])
+      })
+
+      it('iterates rooms of several server instances once', async () => {
+        const remoteAdapter = new PrimusRoomsMetroplexAdapter(clusterStorage, primus, {
+          namespace: testNamespace,
+          identifier: 1,
+          cluster: true
+        })
+        sinon.stub(remoteAdapter, '_serverInstance').get(() => remoteServer1)
+
+        await adapter.add('spark1', ['room1', 'room2'])
+        await remoteAdapter.add('spark2', ['room1', 'room3'])
+
+        assert.deepEqual(flatten(await readPages(adapter.iterateRooms())).sort(), ['room1', 'room2', 'room3'])
+        assert.deepEqual(flatten(await readPages(adapter.iterateClients('room1'))).sort(), ['spark1', 'spark2'])
+      })
+
+      it('removes sparks from rooms', async () => {
+        await adapter.add('spark1', 'room1')
+        await adapter.add('spark1', 'room2')
+        await adapter.add('spark2', 'room2')
+
+        await adapter.del('spark2', 'room2')
+        assert.deepEqual(await adapter.clients('room2'), ['spark1'])
+
+        await adapter.del('spark1')
+        assert.deepEqual(await adapter.get('spark1'), [])
+        assert.deepEqual(await adapter.get(), [])
+      })
+
+      it('empties rooms on each server instance', async () => {
+        await adapter.add('spark1', 'room1')
+        await adapter.add('spark1', 'room2')
+        await adapter.empty('room1')
+
+        assert.isTrue(await adapter.isEmpty('room1'))
+        assert.deepEqual(await adapter.get('spark1'), ['room2'])
+        assert.deepEqual(await adapter.get(), ['room2'])
+      })
+
+      it('ignores the rooms of expired server instances', async () => {
+        await storage.multi()
+          .sadd(`${testNamespace}:rooms:{${remoteServer1}}:room1`, 'spark2')
+          .sadd(`${testNamespace}:servers:{${remoteServer1}}:rooms`, 'room1')
+          .zadd(`${testNamespace}:server_instances`, Date.now() - 1000, remoteServer1)
+          .exec()
+
+        assert.deepEqual(await adapter.get(), [])
+        assert.deepEqual(await adapter.clients('room1'), [])
+      })
+
+      it('reaps the room state of dead server instances', async () => {
+        primus.metroplex.servers = sinon.stub().yields(null, [testAddress])
+
+        await adapter.add('spark1', 'room1')
+        await storage.multi()
+          .sadd(`${testNamespace}:rooms:{${remoteServer1}}:room1`, 'spark2')
+          .sadd(`${testNamespace}:sparks:{${remoteServer1}}:spark2`, 'room1')
+          .sadd(`${testNamespace}:servers:{${remoteServer1}}:rooms`, 'room1')
+          .zadd(`${testNamespace}:server_instances`, indexExpiry(), remoteServer1)
+          .exec()
+
+        assert.deepEqual(await adapter.reap(), [remoteServer1])
+        assert.deepEqual(await storage.keys(`${testNamespace}:*{${remoteServer1}}*`), [])
+        assert.deepEqual(await adapter.clients('room1'), ['spark1'])
+      })
+
+      it('clears all keys', async () => {
+        await adapter.add('spark1', 'room1')
+        await adapter.clear()
+        assert.deepEqual(await storage.keys(`${testNamespace}:*`), [])
+      })
+    })
+
+    describe('_keysMatchingPattern', () => {
+      it('finds all keys matching the given pattern', done => {
+        // test a large number of keys to ensure that redis scan will iterate
+        const numKeys = 100
+
+        const keys = times(numKeys, n => `namespace:${n}`)
+        const nonMatchingKeys = times(20, n => `wrong_namespace:${n}`)
+
+        const addKeys = keys.concat(nonMatchingKeys).reduce((multi, key) => {
+          return multi.set(key, 'value')
+        }, storage.multi())
+
+        addKeys.exec(err => {
+          if (err) return done(err)
+          adapter._keysMatchingPattern('namespace:*', 20, (err, returnedKeys) => {
+            if (err) return done(err)
+            assert.lengthOf(returnedKeys, numKeys)
+            assert.sameMembers(returnedKeys, keys)
+            done()
+          })
+        })
+      })
+
+      it('returns a promise if no callback is provided', async () => {
+        await storage.set('namespace:1', 'value')
+        assert.deepEqual(await adapter._keysMatchingPattern('namespace:*'), ['namespace:1'])
       })
     })
   })
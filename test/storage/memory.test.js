@@ -0,0 +1,422 @@
+const { EventEmitter } = require('events')
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { assert } = require('chai')
+const sinon = require('sinon')
+const { chunk, flatten, times, without } = require('lodash')
+const PrimusRoomsMetroplexAdapter = require('../../lib/primus-rooms-metroplex-adapter')
+const scripts = require('../../lib/scripts')
+const Inspector = require('../../lib/inspector')
+const MemoryStorage = require('../../lib/storage/memory')
+
+// wraps a storage to record the names of the methods called on it, on its
+// multis and on its duplicates
+function recordCalls (target, calls) {
+  const proxy = new Proxy(target, {
+    get (target, name) {
+      const value = target[name]
+      if (typeof value !== 'function' || typeof name !== 'string' || name.startsWith('_')) return value
+
+      return (...args) => {
+        calls.add(name)
+        const result = value.apply(target, args)
+        if (result === target) return proxy
+        if (name === 'nodes') return result.map(node => recordCalls(node, calls))
+        return name === 'multi' || name === 'duplicate' ? recordCalls(result, calls) : result
+      }
+    }
+  })
+
+  return proxy
+}
+
+describe('memory storage', function () {
+  let storage
+
+  beforeEach(() => {
+    storage = new MemoryStorage()
+  })
+
+  it('is accepted by the adapter', () => {
+    const primus = Object.assign(new EventEmitter(), { metroplex: { address: 'http://10.0.2.15:8888' } })
+
+    assert.strictEqual(new PrimusRoomsMetroplexAdapter(storage, primus).storage, storage)
+    assert.throws(
+      () => new PrimusRoomsMetroplexAdapter({ smembers () {} }, primus),
+      /neither an instance of ioredis nor implements the storage interface/
+    )
+  })
+
+  it('implements every command the adapter calls', async () => {
+    const calls = new Set()
+    const primus = Object.assign(new EventEmitter(), {
+      metroplex: { address: 'http://10.0.2.15:8888', servers: sinon.stub().yields(null, ['http://10.0.2.15:8888']) },
+      forward: sinon.stub().yields(),
+      spark: sinon.stub()
+    })
+
+    // runs every operation of the adapter, so calls has all commands it uses
+    const run = async cluster => {
+      const recordedStorage = recordCalls(storage, calls)
+      const adapter = new PrimusRoomsMetroplexAdapter(recordedStorage, primus, {
+        cluster,
+        transport: PrimusRoomsMetroplexAdapter.RedisTransport,
+        presence: { subscriber: recordedStorage.duplicate() },
+        sessions: { extract: spark => spark.query.session },
+        membershipCache: true,
+        history: true,
+        roomCapacity: cluster ? null : 10
+      })
+
+      // a room set of an unencoded room name, left for migrateRoomKeys
+      await storage.multi()
+        .sadd(adapter._roomSparkSetKey('') + 'user:42', 'spark2')
+        .sadd(adapter._serverRoomSetKey(), 'user:42')
+        .zadd(adapter._roomNamesKey(), Date.now() + 60000, 'user:42')
+        .exec()
+
+      adapter.initialize()
+      primus.emit('connection', Object.assign(new EventEmitter(), { id: 'spark1', query: { session: 'session1' } }))
+      await adapter.add('spark1', ['room1', 'room2'])
+      await adapter.bindUser('spark1', 'user1')
+      await adapter.broadcast(['data'], { rooms: ['room1'], users: ['user1'], exceptRooms: ['room2'] }, {})
+      await adapter.replay('spark1', 'room1')
+      await adapter.replay('spark1', 'room1', { last: 1 })
+      await new Promise((resolve, reject) => adapter.iterateRooms().all(err => err ? reject(err) : resolve()))
+      await adapter.get('spark1')
+      await adapter.clients('room1')
+      await adapter.sparksForUser('user1')
+      await adapter.count('room1')
+      await adapter.stats({})
+      await adapter.repair({})
+      await adapter.migrateRoomKeys()
+      await adapter.del('spark1', ['room1'])
+      await adapter.empty('room2')
+      await adapter.isEmpty('room2')
+      primus.emit('disconnection', { id: 'spark1' })
+      await adapter.reap()
+      await new Promise((resolve, reject) => new Inspector(adapter).audit(err => err ? reject(err) : resolve()))
+      await adapter.clear()
+      await adapter.destroy()
+      await storage.flushdb()
+    }
+
+    await run(false)
+    await run(true)
+
+    // the subscriber of a duplicate emits messages like an event emitter,
+    // and the atomic operations of ./scripts are checked separately
+    const commands = Array.from(calls).filter(name => {
+      return !(name in EventEmitter.prototype) && !(name in scripts) && name !== 'exec'
+    })
+    const implementing = names => names.concat(Object.keys(scripts))
+      .reduce((storage, name) => Object.assign(storage, { [name]: () => {} }), {})
+
+    assert.include(commands, 'nodes')
+    assert.instanceOf(new PrimusRoomsMetroplexAdapter(implementing(commands), primus, { cluster: true }), PrimusRoomsMetroplexAdapter)
+    assert.instanceOf(new PrimusRoomsMetroplexAdapter(implementing(without(commands, 'nodes')), primus), PrimusRoomsMetroplexAdapter)
+    commands.forEach(name => {
+      assert.throws(
+        () => new PrimusRoomsMetroplexAdapter(implementing(without(commands, name)), primus, { cluster: true }),
+        /nor implements the storage interface/,
+        `the storage interface does not include ${name}`
+      )
+    })
+  })
+
+  it('supports callbacks and promises', done => {
+    storage.sadd('set', 'a', 'b').then(added => {
+      assert.equal(added, 2)
+      storage.smembers('set', (err, members) => {
+        assert.isNull(err)
+        assert.sameMembers(members, ['a', 'b'])
+        done()
+      })
+    }).catch(done)
+  })
+
+  it('rejects commands against keys of another type', async () => {
+    await storage.set('string', 'value')
+
+    try {
+      await storage.sadd('string', 'a')
+      assert.fail('sadd should have failed')
+    } catch (err) {
+      assert.match(err.message, /^WRONGTYPE/)
+    }
+  })
+
+  it('deletes sets and sorted sets without members', async () => {
+    await storage.sadd('set', 'a')
+    await storage.zadd('zset', 1, 'a')
+    await storage.srem('set', 'a')
+    await storage.zrem('zset', 'a')
+
+    assert.equal(await storage.exists('set', 'zset'), 0)
+  })
+
+  it('orders sorted sets by score', async () => {
+    await storage.zadd('zset', 3, 'c', 1, 'b', 1, 'a', 2, 'd')
+
+    assert.deepEqual(await storage.zrange('zset', 0, -1), ['a', 'b', 'd', 'c'])
+    assert.deepEqual(await storage.zrange('zset', -2, -1, 'WITHSCORES'), ['d', '2', 'c', '3'])
+    assert.deepEqual(await storage.zrangebyscore('zset', '(1', '+inf'), ['d', 'c'])
+    assert.equal(await storage.zremrangebyscore('zset', '-inf', 2), 3)
+    assert.deepEqual(await storage.zrange('zset', 0, -1), ['c'])
+  })
+
+  it('appends to capped streams with increasing ids', async () => {
+    const clock = sinon.useFakeTimers({ now: 1000, toFake: ['Date'] })
+
+    try {
+      assert.equal(await storage.xadd('stream', '*', 'n', 1), '1000-0')
+      assert.equal(await storage.xadd('stream', '*', 'n', 2), '1000-1')
+      clock.tick(1)
+      assert.equal(await storage.xadd('stream', 'MAXLEN', 2, '*', 'n', 3), '1001-0')
+    } finally {
+      clock.restore()
+    }
+
+    assert.deepEqual(await storage.xrange('stream', '-', '+'), [['1000-1', ['n', '2']], ['1001-0', ['n', '3']]])
+    assert.deepEqual(await storage.xrange('stream', '(1000-1', '1001'), [['1001-0', ['n', '3']]])
+    assert.deepEqual(await storage.xrange('stream', '1000', '1000'), [['1000-1', ['n', '2']]])
+    assert.deepEqual(await storage.xrevrange('stream', '+', '-', 'COUNT', 1), [['1001-0', ['n', '3']]])
+
+    try {
+      await storage.xadd('stream', '1000-5', 'n', 4)
+      assert.fail('expected xadd to reject')
+    } catch (err) {
+      assert.match(err.message, /equal or smaller than the target stream top item/)
+    }
+  })
+
+  it('only trims whole nodes of streams with approximate MAXLEN', async () => {
+    for (let i = 0; i < 109; i++) await storage.xadd('stream', 'MAXLEN', '~', 10, '*', 'n', i)
+    assert.lengthOf(await storage.xrange('stream', '-', '+'), 109)
+
+    await storage.xadd('stream', 'MAXLEN', '~', 10, '*', 'n', 109)
+    const entries = await storage.xrange('stream', '-', '+')
+    assert.lengthOf(entries, 10)
+    assert.deepEqual(entries[0][1], ['n', '100'])
+  })
+
+  describe('expiry', () => {
+    let clock
+
+    beforeEach(() => {
+      clock = sinon.useFakeTimers({ now: 1000, toFake: ['Date'] })
+    })
+
+    afterEach(() => {
+      clock.restore()
+    })
+
+    it('expires keys once their ttl passed', async () => {
+      await storage.sadd('set', 'a')
+      await storage.expire('set', 10)
+      await storage.set('lock', 'token', 'PX', 500)
+
+      assert.equal(await storage.ttl('set'), 10)
+      clock.tick(500)
+      assert.isNull(await storage.get('lock'))
+      clock.tick(9500)
+      assert.equal(await storage.ttl('set'), -2)
+      assert.deepEqual(await storage.keys('*'), [])
+    })
+
+    it('only sets keys which do not exist with NX', async () => {
+      assert.equal(await storage.set('lock', 'a', 'PX', 100, 'NX'), 'OK')
+      assert.isNull(await storage.set('lock', 'b', 'PX', 100, 'NX'))
+      clock.tick(100)
+      assert.equal(await storage.set('lock', 'b', 'PX', 100, 'NX'), 'OK')
+    })
+
+    it('keeps keys without a ttl', async () => {
+      await storage.sadd('set', 'a')
+      clock.tick(1e9)
+      assert.equal(await storage.ttl('set'), -1)
+    })
+
+    describe('sweep', () => {
+      beforeEach(() => {
+        clock.restore()
+        clock = sinon.useFakeTimers({ now: 1000, toFake: ['Date', 'setInterval', 'clearInterval'] })
+        storage = new MemoryStorage()
+      })
+
+      it('deletes expired keys which are not read anymore', async () => {
+        const multi = storage.multi().set('lock', 'token', 'PX', 50).sadd('set', 'a')
+        times(500, i => multi.set(`key${i}`, 'value', 'PX', 50))
+        await multi.exec()
+
+        clock.tick(100)
+        assert.isBelow(storage._db.keys.size, 502)
+        clock.tick(200)
+        assert.deepEqual(Array.from(storage._db.keys.keys()), ['set'])
+      })
+
+      it('is shared by duplicates, and stops once disconnected', async () => {
+        const duplicate = storage.duplicate()
+        duplicate.disconnect()
+        await duplicate.set('lock', 'token', 'PX', 50)
+        clock.tick(100)
+        assert.isFalse(storage._db.keys.has('lock'))
+
+        assert.equal(await storage.quit(), 'OK')
+        await storage.set('lock', 'token', 'PX', 50)
+        clock.tick(100)
+        assert.isTrue(storage._db.keys.has('lock'))
+      })
+    })
+  })
+
+  describe('patterns', () => {
+    beforeEach(() => storage.sadd('set', 'a*', 'ab', 'b?', 'bc', '[x]', 'x', 'y\\'))
+
+    const match = async pattern => (await storage.sscan('set', 0, 'MATCH', pattern))[1].sort()
+
+    it('matches glob patterns like redis', async () => {
+      assert.deepEqual(await match('a*'), ['a*', 'ab'])
+      assert.deepEqual(await match('?'), ['x'])
+      assert.deepEqual(await match('[a-b]?'), ['a*', 'ab', 'b?', 'bc'])
+      assert.deepEqual(await match('[^ab]'), ['x'])
+    })
+
+    it('matches escaped glob characters as-is', async () => {
+      assert.deepEqual(await match('a\\*'), ['a*'])
+      assert.deepEqual(await match('b\\?'), ['b?'])
+      assert.deepEqual(await match('\\[x\\]'), ['[x]'])
+      assert.deepEqual(await match('y\\\\'), ['y\\'])
+    })
+  })
+
+  describe('scans', () => {
+    const members = times(25, i => `member${i}`)
+
+    // returns the pages of a scan from `cursor` until it's 0 again
+    const scanPages = async (scan, cursor = '0') => {
+      const pages = []
+      do {
+        const [nextCursor, page] = await scan(cursor)
+        pages.push(page)
+        cursor = nextCursor
+      } while (cursor !== '0')
+      return pages
+    }
+
+    it('pages through sets by COUNT', async () => {
+      await storage.sadd('set', ...members)
+      const pages = await scanPages(cursor => storage.sscan('set', cursor, 'COUNT', 10))
+
+      assert.deepEqual(pages.map(page => page.length), [10, 10, 5])
+      assert.sameMembers(flatten(pages), members)
+    })
+
+    it('pages through keys and sorted sets 10 elements at a time by default', async () => {
+      const multi = storage.multi()
+      members.forEach((member, i) => multi.set(member, 'value').zadd('zset', i, member))
+      await multi.exec()
+
+      const keyPages = await scanPages(cursor => storage.scan(cursor))
+      assert.deepEqual(keyPages.map(page => page.length), [10, 10, 6])
+      assert.sameMembers(flatten(keyPages), members.concat('zset'))
+
+      const zsetPages = await scanPages(cursor => storage.zscan('zset', cursor))
+      assert.deepEqual(zsetPages.map(page => page.length), [20, 20, 10])
+      assert.sameDeepMembers(chunk(flatten(zsetPages), 2), members.map((member, i) => [member, String(i)]))
+    })
+
+    it('returns empty pages if no walked element matches', async () => {
+      await storage.sadd('set', ...members, 'other')
+      const pages = await scanPages(cursor => storage.sscan('set', cursor, 'MATCH', 'other', 'COUNT', 1))
+
+      assert.lengthOf(pages, 26)
+      assert.deepEqual(flatten(pages), ['other'])
+      assert.isAbove(pages.filter(page => page.length === 0).length, 0)
+    })
+
+    it('returns elements which exist during the whole scan once others are removed', async () => {
+      await storage.sadd('set', ...members)
+      const [cursor, firstPage] = await storage.sscan('set', 0, 'COUNT', 10)
+
+      await storage.srem('set', ...firstPage.slice(0, 5))
+      await storage.sadd('set', 'added')
+      const rest = flatten(await scanPages(cursor => storage.sscan('set', cursor, 'COUNT', 10), cursor))
+
+      assert.includeMembers(firstPage.concat(rest), members)
+    })
+
+    it('keeps the scan order between pages as keys are added and removed', async () => {
+      const multi = storage.multi()
+      members.forEach(member => multi.set(member, 'value'))
+      await multi.exec()
+
+      const [cursor, firstPage] = await storage.scan(0)
+      const order = storage._db.keys.scanOrder
+      const removed = firstPage.slice(0, 5)
+
+      await storage.del(...removed)
+      await storage.set('added', 'value')
+      const rest = flatten(await scanPages(cursor => storage.scan(cursor), cursor))
+
+      assert.strictEqual(storage._db.keys.scanOrder, order)
+      assert.includeMembers(firstPage.concat(rest), members)
+      assert.sameMembers(flatten(await scanPages(cursor => storage.scan(cursor))), without(members, ...removed).concat('added'))
+    })
+  })
+
+  describe('multi', () => {
+    it('applies queued commands at once', async () => {
+      const multi = storage.multi().sadd('set', 'a').smembers('set')
+      assert.equal(await storage.exists('set'), 0)
+
+      assert.deepEqual(await multi.exec(), [[null, 1], [null, ['a']]])
+    })
+
+    it('returns the error of each failed command', async () => {
+      await storage.set('string', 'value')
+      const results = await storage.multi().sadd('string', 'a').sadd('set', 'a').exec()
+
+      assert.match(results[0][0].message, /^WRONGTYPE/)
+      assert.deepEqual(results[1], [null, 1])
+    })
+  })
+
+  describe('pub/sub', () => {
+    it('delivers messages to subscribed duplicates', done => {
+      const subscriber = storage.duplicate()
+
+      subscriber.on('message', (channel, message) => {
+        assert.equal(channel, 'channel')
+        assert.equal(message, 'message')
+        subscriber.disconnect()
+        done()
+      })
+
+      subscriber.subscribe('channel', err => {
+        assert.isNull(err)
+        storage.publish('channel', 'message', (err, receivers) => {
+          assert.isNull(err)
+          assert.equal(receivers, 1)
+        })
+      })
+    })
+
+    it('shares data with duplicates', async () => {
+      await storage.sadd('set', 'a')
+      assert.deepEqual(await storage.duplicate().smembers('set'), ['a'])
+    })
+
+    it('stops delivering messages once unsubscribed', async () => {
+      const subscriber = storage.duplicate()
+      const onMessage = sinon.spy()
+      subscriber.on('message', onMessage)
+
+      await subscriber.subscribe('channel')
+      await subscriber.unsubscribe('channel')
+
+      assert.equal(await storage.publish('channel', 'message'), 0)
+      await new Promise(resolve => setImmediate(resolve))
+      sinon.assert.notCalled(onMessage)
+    })
+  })
+})
@@ -0,0 +1,43 @@
+const { describe, it, beforeEach } = require('mocha')
+const Redis = require('ioredis')
+const sinon = require('sinon')
+const PrimusRoomsMetroplexAdapter = require('../../lib/primus-rooms-metroplex-adapter')
+
+const redis = new Redis()
+
+describe('omega-supreme transport', function () {
+  let adapter, primus
+
+  beforeEach(function () {
+    primus = {
+      metroplex: {
+        address: 'http://10.0.2.15:8888',
+        interval: 30
+      },
+      forward: sinon.stub().yields()
+    }
+
+    adapter = new PrimusRoomsMetroplexAdapter(redis, primus, {
+      namespace: 'namespace',
+      transport: PrimusRoomsMetroplexAdapter.OmegaSupremeTransport
+    })
+  })
+
+  it('forwards messages to the address of the server instance', done => {
+    adapter._transport.send('http://10.0.2.16:8888_1', ['spark1', 'spark2'], 'some_data', err => {
+      if (err) return done(err)
+      sinon.assert.calledOnce(primus.forward)
+      sinon.assert.calledWith(primus.forward, 'http://10.0.2.16:8888', 'some_data', ['spark1', 'spark2'])
+      done()
+    })
+  })
+
+  it('passes forwarding errors to the callback', done => {
+    primus.forward = sinon.stub().yields(new Error('forward failed'))
+
+    adapter._transport.send('http://10.0.2.16:8888_1', ['spark1'], 'some_data', err => {
+      sinon.assert.match(err, sinon.match.instanceOf(Error).and(sinon.match.has('message', 'forward failed')))
+      done()
+    })
+  })
+})
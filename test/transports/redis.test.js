@@ -0,0 +1,86 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { assert } = require('chai')
+const sinon = require('sinon')
+const PrimusRoomsMetroplexAdapter = require('../../lib/primus-rooms-metroplex-adapter')
+const { testNamespace, storages, createAdapter } = require('../helpers')
+
+Object.keys(storages).forEach(storageName => {
+  const storage = storages[storageName]
+
+  describe(`redis transport (${storageName} storage)`, function () {
+    let sender, receiver, receiverSparks
+
+    const transport = { transport: PrimusRoomsMetroplexAdapter.RedisTransport }
+
+    beforeEach(done => {
+      storage.flushdb(done)
+    })
+
+    beforeEach(function (done) {
+      receiverSparks = {
+        spark1: { write: sinon.spy() },
+        spark2: { write: sinon.spy() }
+      }
+
+      sender = createAdapter(storage, 'http://10.0.2.15:8888', transport)
+      receiver = createAdapter(storage, 'http://10.0.2.16:8888', transport, {
+        spark: id => receiverSparks[id]
+      })
+
+      // messages published before the subscription exists would be lost
+      receiver._transport.initialize(done)
+    })
+
+    afterEach(function () {
+      receiver._transport.destroy()
+    })
+
+    it('delivers broadcasts to the sparks of other server instances', async () => {
+      await receiver.add('spark1', 'room1')
+      await receiver.add('spark2', 'room2')
+
+      const delivery = new Promise(resolve => {
+        receiverSparks.spark1.write = sinon.spy(resolve)
+      })
+      await sender.broadcast(['some_data'], { rooms: ['room1'] }, [])
+      await delivery
+
+      sinon.assert.calledOnce(receiverSparks.spark1.write)
+      sinon.assert.calledWith(receiverSparks.spark1.write, 'some_data')
+      sinon.assert.notCalled(receiverSparks.spark2.write)
+    })
+
+    it('stops delivering messages once destroyed', async () => {
+      await receiver.add('spark1', 'room1')
+      const subscriber = receiver._transport.subscriber
+      receiver._transport.destroy()
+
+      assert.equal(subscriber.listenerCount('message'), 0)
+      assert.isNull(receiver._transport.subscriber)
+    })
+
+    it('publishes on the channel of the receiving server instance', async () => {
+      sinon.spy(storage, 'publish')
+
+      try {
+        await new Promise((resolve, reject) => {
+          sender._transport.send('http://10.0.2.16:8888_1', ['spark1'], { some: 'data' }, err => err ? reject(err) : resolve())
+        })
+
+        sinon.assert.calledOnce(storage.publish)
+        assert.equal(storage.publish.lastCall.args[0], `${testNamespace}:servers:http://10.0.2.16:8888_1:messages`)
+        assert.deepEqual(JSON.parse(storage.publish.lastCall.args[1]), { sparkIds: ['spark1'], data: { some: 'data' } })
+      } finally {
+        storage.publish.restore()
+      }
+    })
+
+    it('fails to send if no server instance is subscribed to the channel', done => {
+      sender._transport.send('http://10.0.2.17:8888_1', ['spark1'], { some: 'data' }, err => {
+        assert.instanceOf(err, Error)
+        assert.equal(err.message, `no server instance is subscribed to ${testNamespace}:servers:http://10.0.2.17:8888_1:messages`)
+        done()
+      })
+    })
+  })
+})